@@ -0,0 +1,74 @@
+import { settingsKey } from './engine-options.js';
+
+// ── Analysis Index ──
+// Positions are cached by FEN without the halfmove and fullmove counters, which do
+// not change the search. Each position keeps a short list of results, none of which
+// is both shallower and narrower than another. A request is answered by any stored
+// result whose depth and MultiPV cover it; extra lines are trimmed off. Results are
+// stored with the engine and engine settings they were searched with and only answer
+// requests for the same engine with the same settings.
+
+export function normalizeFen(fen) {
+  return fen.trim().split(/\s+/).slice(0, 4).join(' ');
+}
+
+// Fewer lines than MultiPV asked for means every legal move was listed
+export function coversMultipv(entry, multipv) {
+  return entry.multipv >= multipv || entry.result.topMoves.length < entry.multipv;
+}
+
+export class AnalysisIndex {
+  constructor(store) {
+    this.store = store;
+    this.counters = {
+      position: { hits: { exact: 0, deeper: 0, wider: 0 }, misses: { cold: 0, shallow: 0, narrow: 0 } }
+    };
+  }
+
+  lookupPosition(fen, depth, multipv, engine, settings = {}) {
+    const key = settingsKey(settings);
+    const entries = this.store.get(`pos:${normalizeFen(fen)}`)
+      ?.filter((e) => e.engine === engine && settingsKey(e.settings) === key);
+    const { hits, misses } = this.counters.position;
+    if (!entries?.length) {
+      misses.cold += 1;
+      return undefined;
+    }
+    const covering = entries
+      .filter((e) => e.depth >= depth && coversMultipv(e, multipv))
+      .sort((a, b) => b.depth - a.depth);
+    if (!covering.length) {
+      if (entries.some((e) => e.depth >= depth)) misses.narrow += 1;
+      else misses.shallow += 1;
+      return undefined;
+    }
+    const entry = covering[0];
+    if (entry.depth > depth) hits.deeper += 1;
+    else if (entry.multipv > multipv) hits.wider += 1;
+    else hits.exact += 1;
+    return { ...entry.result, fen, depth: entry.depth, topMoves: entry.result.topMoves.slice(0, multipv) };
+  }
+
+  // A result that stopped short of depth (the watchdog ended its search) would answer
+  // requests it never searched for, so it is not stored under that depth
+  storePosition(fen, depth, multipv, engine, result, settings = {}) {
+    if (result.depth !== undefined && result.depth < depth) return;
+    const key = `pos:${normalizeFen(fen)}`;
+    const entries = this.store.get(key) || [];
+    const entry = { depth, multipv, result, engine, settings };
+    const same = (e) => e.engine === engine && settingsKey(e.settings) === settingsKey(settings);
+    if (entries.some((e) => same(e) && e.depth >= depth && coversMultipv(e, multipv))) return;
+    const kept = entries.filter((e) => !(same(e) && depth >= e.depth && coversMultipv(entry, e.multipv)));
+    this.store.set(key, [...kept, entry]);
+  }
+
+  stats() {
+    const summarize = ({ hits, misses }) => {
+      const hitCount = Object.values(hits).reduce((a, b) => a + b, 0);
+      const missCount = Object.values(misses).reduce((a, b) => a + b, 0);
+      const total = hitCount + missCount;
+      return { hits, misses, hitRate: total ? Math.round((hitCount / total) * 1000) / 1000 : null };
+    };
+    return { position: summarize(this.counters.position) };
+  }
+}
@@ -0,0 +1,123 @@
+import { RESULTS, START_FEN, uciLineToSan } from './chess.js';
+
+// ── Annotated PGN ──
+// Write a finished review as PGN: the seven tag roster plus ECO/Opening and per-side
+// ACPL headers, a [%eval] comment on every move (White's view, as lichess and most
+// GUIs expect), ?!/?/?? NAGs for inaccuracies, mistakes and blunders, and the
+// engine's line as a variation on each of those moves.
+const CATEGORY_NAGS = { inaccuracy: 6, mistake: 2, blunder: 4 };
+const ROSTER_TAGS = { Event: '?', Site: '?', Date: '????.??.??', Round: '?', White: '?', Black: '?' };
+const MAX_VARIATION_PLIES = 10;
+const PGN_LINE_WIDTH = 79;
+
+// score is relative to the side to move in fen; null after checkmate (no eval to give)
+function pgnEval(score, fen) {
+  const sign = fen.split(' ')[1] === 'w' ? 1 : -1;
+  if (score.kind === 'mate') return score.value === 0 ? null : `#${sign * score.value}`;
+  return (sign * score.value / 100).toFixed(2);
+}
+
+// Move number prefix: always before White's move, before Black's only when it opens a line
+function moveNumber(fen, force) {
+  const [, turn, , , , fullmove] = fen.split(' ');
+  if (turn === 'w') return `${fullmove}. `;
+  return force ? `${fullmove}... ` : '';
+}
+
+// SAN moves played from fen, numbered as a variation needs them
+export function numberedLine(fen, sans) {
+  let [, turn, , , , fullmove] = fen.split(' ');
+  let moveNo = Number(fullmove);
+  return sans.map((san, i) => {
+    const prefix = turn === 'w' ? `${moveNo}. ` : i === 0 ? `${moveNo}... ` : '';
+    if (turn === 'b') moveNo += 1;
+    turn = turn === 'w' ? 'b' : 'w';
+    return prefix + san;
+  });
+}
+
+// An engine line ({ uci, pv }) in SAN: the first move, and the whole PV numbered as
+// in a PGN variation. fen must read; callers pass validated or generated positions.
+export function sanLine(fen, line) {
+  if (!line) return { san: null, sanPv: null };
+  const sans = uciLineToSan(fen, line.pv ? line.pv.split(' ') : [line.uci]);
+  return { san: sans[0] ?? null, sanPv: sans.length ? numberedLine(fen, sans).join(' ') : null };
+}
+
+function pgnComment(text) {
+  return `{ ${text.replace(/[{}]/g, '')} }`;
+}
+
+export function wrapPgn(tokens) {
+  const lines = [];
+  let line = '';
+  for (const token of tokens) {
+    if (line && line.length + 1 + token.length > PGN_LINE_WIDTH) {
+      lines.push(line);
+      line = token;
+    } else {
+      line = line ? `${line} ${token}` : token;
+    }
+  }
+  if (line) lines.push(line);
+  return lines.join('\n');
+}
+
+export function annotatedPgn(review) {
+  const startTurn = review.startFen.split(' ')[1];
+  const sides = { w: { loss: 0, count: 0 }, b: { loss: 0, count: 0 } };
+  review.plies.forEach((p, i) => {
+    const side = sides[(i % 2 === 0) === (startTurn === 'w') ? 'w' : 'b'];
+    side.loss += p.deltaCp;
+    side.count += 1;
+  });
+  const acpl = (side) => String(side.count ? Math.round(side.loss / side.count) : 0);
+
+  const result = RESULTS.includes(review.result) ? review.result : '*';
+  const headers = { ...ROSTER_TAGS, ...review.headers, Result: result };
+  if (review.startFen !== START_FEN) Object.assign(headers, { SetUp: '1', FEN: review.startFen });
+  Object.assign(headers, {
+    ECO: review.opening.eco,
+    Opening: review.opening.name,
+    WhiteACPL: acpl(sides.w),
+    BlackACPL: acpl(sides.b),
+    // Reviews stored before engineName was recorded only have the engine's id
+    Annotator: `PawnForge (${review.engineName ?? review.engine} depth ${review.depth})`
+  });
+  const tagLines = Object.entries(headers)
+    .map(([name, value]) => `[${name} "${String(value).replace(/["\\]/g, '\\$&')}"]`);
+
+  const tokens = [];
+  let forceNumber = true;
+  review.plies.forEach((p, i) => {
+    const preFen = i === 0 ? review.startFen : review.plies[i - 1].fen;
+    tokens.push(moveNumber(preFen, forceNumber) + p.san);
+    const bestSans = CATEGORY_NAGS[p.category.key] && p.bestPv && p.bestUci !== p.uci
+      ? uciLineToSan(preFen, p.bestPv.split(' ').slice(0, MAX_VARIATION_PLIES))
+      : [];
+    // A move is only flagged along with the different move that was better
+    const nag = bestSans.length ? CATEGORY_NAGS[p.category.key] : null;
+    if (nag) tokens.push(`$${nag}`);
+
+    const notes = [];
+    const evalText = pgnEval(p.score, p.fen);
+    if (evalText) notes.push(`[%eval ${evalText}]`);
+    if (nag) {
+      notes.push(`${p.category.label}.${p.category.note ? ` ${p.category.note}.` : ''}`);
+      notes.push(`${bestSans[0]} was best.`);
+    }
+    if (notes.length) tokens.push(pgnComment(notes.join(' ')));
+    forceNumber = false;
+
+    if (nag) {
+      const line = numberedLine(preFen, bestSans);
+      line[0] = `(${line[0]}`;
+      line[line.length - 1] += ')';
+      tokens.push(...line);
+      forceNumber = true;
+    }
+  });
+  tokens.push(result);
+
+  return `${tagLines.join('\n')}\n\n${wrapPgn(tokens)}\n`;
+}
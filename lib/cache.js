@@ -0,0 +1,181 @@
+import { appendFileSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'node:fs';
+import { join, resolve } from 'node:path';
+
+// ── Persistent Cache ──
+// Optional on-disk backend with the same get/set/has interface as LRUCache.
+// Entries live in memory (LRU order) and every set is appended as one JSON line
+// to <dir>/analysis-cache.jsonl. The first line is a header carrying the format
+// version and a stamp of every engine binary; a file written by a different
+// set of binaries is discarded on load. Evicted and overwritten entries stay in the file
+// as garbage until compaction rewrites it with only the live entries.
+export const CACHE_FORMAT_VERSION = 2;
+export const CACHE_FILE = 'analysis-cache.jsonl';
+export const COMPACT_MIN_LINES = 1000;
+// A compaction forced by the byte budget evicts down to this share of it, so the file has
+// room to grow again before the next one instead of being rewritten on every append
+export const COMPACT_LOW_WATER = 0.75;
+
+
+export class PersistentCache {
+  constructor(dir, { stamp, maxEntries = 20000, maxBytes = 64 * 1024 * 1024 } = {}) {
+    this.dir = resolve(dir);
+    this.file = join(this.dir, CACHE_FILE);
+    this.stamp = stamp;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.cache = new Map(); // key → { value, timestamp, bytes }
+    this.liveBytes = 0;
+    this.fileLines = 0;
+    this.fileBytes = 0;
+    this.compactions = 0;
+    this.discarded = 0;
+    this.writeErrors = 0;
+    mkdirSync(this.dir, { recursive: true });
+    this.load();
+  }
+
+  header() {
+    return JSON.stringify({ version: CACHE_FORMAT_VERSION, engine: this.stamp, created: Date.now() }) + '\n';
+  }
+
+  load() {
+    let text = '';
+    try {
+      text = readFileSync(this.file, 'utf8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error(`Cache: cannot read ${this.file}: ${err.message}`);
+    }
+    const lines = text.split('\n');
+    let header = null;
+    try {
+      header = JSON.parse(lines[0]);
+    } catch (_err) {
+      // Missing or corrupt header: the file is discarded below
+    }
+
+    if (header?.version === CACHE_FORMAT_VERSION && header.engine === this.stamp) {
+      for (const line of lines.slice(1)) {
+        if (!line) continue;
+        let record;
+        // A crash mid-append can leave a truncated last line; skip anything unparsable
+        try {
+          record = JSON.parse(line);
+        } catch (_err) {
+          this.discarded += 1;
+          continue;
+        }
+        this.remember(record.k, record.v, record.t, Buffer.byteLength(line) + 1);
+        this.fileLines += 1;
+      }
+      this.fileBytes = Buffer.byteLength(text);
+      console.log(`Cache: loaded ${this.cache.size} entries from ${this.file}`);
+    } else if (text) {
+      this.discarded += Math.max(0, lines.filter(Boolean).length - 1);
+      console.log(`Cache: ignoring ${this.file} (written by ${header?.engine || 'unknown engine'}, format v${header?.version ?? '?'})`);
+    }
+
+    // Start a fresh file for a stale store and shrink anything over the limits
+    if (!header || header.version !== CACHE_FORMAT_VERSION || header.engine !== this.stamp || this.needsCompaction()) {
+      this.compact();
+    }
+  }
+
+  // In-memory insert with LRU eviction; the caller decides whether to append
+  remember(key, value, timestamp, bytes) {
+    const previous = this.cache.get(key);
+    if (previous) {
+      this.liveBytes -= previous.bytes;
+      this.cache.delete(key);
+    }
+    this.cache.set(key, { value, timestamp, bytes });
+    this.liveBytes += bytes;
+    this.evict(this.maxBytes);
+  }
+
+  // Drop least recently used entries until both the entry and byte limits hold
+  evict(maxBytes) {
+    while (this.cache.size > this.maxEntries || (this.liveBytes > maxBytes && this.cache.size > 1)) {
+      const [oldestKey, oldest] = this.cache.entries().next().value;
+      this.cache.delete(oldestKey);
+      this.liveBytes -= oldest.bytes;
+    }
+  }
+
+  get(key) {
+    const entry = this.cache.get(key);
+    if (!entry) return undefined;
+    this.cache.delete(key);
+    this.cache.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value) {
+    const timestamp = Date.now();
+    const line = JSON.stringify({ k: key, v: value, t: timestamp }) + '\n';
+    const bytes = Buffer.byteLength(line);
+    this.remember(key, value, timestamp, bytes);
+    try {
+      appendFileSync(this.file, line);
+      this.fileLines += 1;
+      this.fileBytes += bytes;
+    } catch (err) {
+      // Keep serving from memory; the entry is simply not persisted
+      this.writeErrors += 1;
+      console.error(`Cache: append failed: ${err.message}`);
+    }
+    if (this.needsCompaction()) this.compact();
+  }
+
+  has(key) {
+    return this.cache.has(key);
+  }
+
+  get size() {
+    return this.cache.size;
+  }
+
+  // The file is mostly garbage (evicted or overwritten entries) or over the byte budget
+  needsCompaction() {
+    const garbage = this.fileLines - this.cache.size;
+    return (this.fileLines >= COMPACT_MIN_LINES && garbage > this.cache.size)
+      || this.fileBytes > this.maxBytes;
+  }
+
+  // Rewrite the file with only the live entries, via a temp file and rename so a
+  // crash during compaction leaves the previous file intact
+  compact() {
+    if (this.fileBytes > this.maxBytes) this.evict(this.maxBytes * COMPACT_LOW_WATER);
+    const tmp = `${this.file}.tmp`;
+    let out = this.header();
+    for (const [k, entry] of this.cache) {
+      out += JSON.stringify({ k, v: entry.value, t: entry.timestamp }) + '\n';
+    }
+    try {
+      writeFileSync(tmp, out);
+      renameSync(tmp, this.file);
+      this.fileLines = this.cache.size;
+      this.fileBytes = Buffer.byteLength(out);
+      this.compactions += 1;
+    } catch (err) {
+      this.writeErrors += 1;
+      console.error(`Cache: compaction failed: ${err.message}`);
+    }
+  }
+
+  stats() {
+    return {
+      backend: 'disk',
+      file: this.file,
+      engine: this.stamp,
+      entries: this.cache.size,
+      maxEntries: this.maxEntries,
+      bytes: this.liveBytes,
+      maxBytes: this.maxBytes,
+      fileBytes: this.fileBytes,
+      fileLines: this.fileLines,
+      compactions: this.compactions,
+      discarded: this.discarded,
+      writeErrors: this.writeErrors
+    };
+  }
+}
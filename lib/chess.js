@@ -0,0 +1,582 @@
+// ── Chess Rules ──
+// Legal-move generator used to read PGN and produce SAN/UCI on the server.
+// Squares are 0..63 with a1 = 0, h1 = 7 and a8 = 56. Pieces are FEN letters
+// (uppercase white, lowercase black); empty squares are null.
+export const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+const FILES = 'abcdefgh';
+const KNIGHT_STEPS = [[1, 2], [2, 1], [2, -1], [1, -2], [-1, -2], [-2, -1], [-2, 1], [-1, 2]];
+const KING_STEPS = [[1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1], [1, -1]];
+const ROOK_DIRS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+const BISHOP_DIRS = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
+// Moving from or to these squares removes the listed castling rights
+const CASTLING_SQUARES = { 0: 'Q', 4: 'KQ', 7: 'K', 56: 'q', 60: 'kq', 63: 'k' };
+
+export class FenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FenError';
+  }
+}
+
+export const squareName = (sq) => FILES[sq & 7] + ((sq >> 3) + 1);
+export const squareIndex = (name) => FILES.indexOf(name[0]) + (Number(name[1]) - 1) * 8;
+export const colorOf = (piece) => (piece === piece.toUpperCase() ? 'w' : 'b');
+export const opponent = (color) => (color === 'w' ? 'b' : 'w');
+
+// Square reached by stepping (df, dr) from sq, or -1 off the board
+export function offset(sq, df, dr) {
+  const file = (sq & 7) + df;
+  const rank = (sq >> 3) + dr;
+  return file >= 0 && file < 8 && rank >= 0 && rank < 8 ? rank * 8 + file : -1;
+}
+
+export function parseFen(fen) {
+  const fields = String(fen).trim().split(/\s+/);
+  if (fields.length < 4 || fields.length > 6) throw new FenError('FEN must have 4 to 6 fields');
+  const [placement, turn, castling, ep, halfmove = '0', fullmove = '1'] = fields;
+
+  const rows = placement.split('/');
+  if (rows.length !== 8) throw new FenError('Piece placement must have 8 ranks');
+  const board = new Array(64).fill(null);
+  rows.forEach((row, i) => {
+    const rank = 7 - i;
+    let file = 0;
+    for (const ch of row) {
+      if (/[1-8]/.test(ch)) {
+        file += Number(ch);
+      } else if (/[pnbrqk]/i.test(ch)) {
+        if (file < 8) board[rank * 8 + file] = ch;
+        file += 1;
+      } else {
+        throw new FenError(`Invalid character "${ch}" in piece placement`);
+      }
+    }
+    if (file !== 8) throw new FenError(`Rank ${rank + 1} does not have 8 squares`);
+  });
+  for (const king of ['K', 'k']) {
+    if (board.filter((p) => p === king).length !== 1) {
+      throw new FenError(`${king === 'K' ? 'White' : 'Black'} must have exactly one king`);
+    }
+  }
+
+  if (turn !== 'w' && turn !== 'b') throw new FenError('Side to move must be "w" or "b"');
+  if (!/^(-|K?Q?k?q?)$/.test(castling) || castling === '') throw new FenError(`Invalid castling field "${castling}"`);
+  if (!/^(-|[a-h][36])$/.test(ep)) throw new FenError(`Invalid en passant square "${ep}"`);
+  if (!/^\d+$/.test(halfmove) || !/^\d+$/.test(fullmove)) throw new FenError('Move counters must be numbers');
+
+  return {
+    board,
+    turn,
+    castling: castling === '-' ? '' : castling,
+    ep: ep === '-' ? null : squareIndex(ep),
+    halfmove: Number(halfmove),
+    fullmove: Math.max(1, Number(fullmove))
+  };
+}
+
+// The en passant square is only written when a legal en passant capture exists,
+// matching chess.js so FENs from the browser and the server agree
+export function toFen(pos) {
+  const ranks = [];
+  for (let rank = 7; rank >= 0; rank -= 1) {
+    let row = '';
+    let empty = 0;
+    for (let file = 0; file < 8; file += 1) {
+      const piece = pos.board[rank * 8 + file];
+      if (!piece) {
+        empty += 1;
+        continue;
+      }
+      if (empty) row += empty;
+      row += piece;
+      empty = 0;
+    }
+    ranks.push(empty ? row + empty : row);
+  }
+  const ep = pos.ep !== null && pseudoMoves(pos).some((m) => m.flag === 'ep' && isLegal(pos, m)) ? squareName(pos.ep) : '-';
+  return `${ranks.join('/')} ${pos.turn} ${pos.castling || '-'} ${ep} ${pos.halfmove} ${pos.fullmove}`;
+}
+
+function isAttacked(board, sq, by) {
+  const pawnRank = by === 'w' ? -1 : 1;
+  for (const df of [-1, 1]) {
+    const from = offset(sq, df, pawnRank);
+    if (from >= 0 && board[from] === (by === 'w' ? 'P' : 'p')) return true;
+  }
+  const attackerAt = (from, types) => {
+    const piece = board[from];
+    return piece && colorOf(piece) === by && types.includes(piece.toLowerCase());
+  };
+  for (const [df, dr] of KNIGHT_STEPS) {
+    const from = offset(sq, df, dr);
+    if (from >= 0 && attackerAt(from, 'n')) return true;
+  }
+  for (const [df, dr] of KING_STEPS) {
+    const from = offset(sq, df, dr);
+    if (from >= 0 && attackerAt(from, 'k')) return true;
+  }
+  for (const [dirs, types] of [[ROOK_DIRS, 'rq'], [BISHOP_DIRS, 'bq']]) {
+    for (const [df, dr] of dirs) {
+      let from = offset(sq, df, dr);
+      while (from >= 0 && !board[from]) from = offset(from, df, dr);
+      if (from >= 0 && attackerAt(from, types)) return true;
+    }
+  }
+  return false;
+}
+
+export function inCheck(pos) {
+  return isAttacked(pos.board, pos.board.indexOf(pos.turn === 'w' ? 'K' : 'k'), opponent(pos.turn));
+}
+
+function pseudoMoves(pos) {
+  const { board, turn } = pos;
+  const moves = [];
+  const add = (from, to, extra = {}) => moves.push({ from, to, piece: board[from], captured: board[to], ...extra });
+  const isEnemy = (sq) => board[sq] && colorOf(board[sq]) !== turn;
+
+  for (let sq = 0; sq < 64; sq += 1) {
+    const piece = board[sq];
+    if (!piece || colorOf(piece) !== turn) continue;
+    const type = piece.toLowerCase();
+
+    if (type === 'p') {
+      const dir = turn === 'w' ? 1 : -1;
+      const lastRank = turn === 'w' ? 7 : 0;
+      const pawnMove = (to, extra) => {
+        if ((to >> 3) === lastRank) for (const promotion of 'qrbn') add(sq, to, { ...extra, promotion });
+        else add(sq, to, extra);
+      };
+      const one = offset(sq, 0, dir);
+      if (one >= 0 && !board[one]) {
+        pawnMove(one);
+        const two = offset(sq, 0, 2 * dir);
+        if ((sq >> 3) === (turn === 'w' ? 1 : 6) && !board[two]) add(sq, two, { flag: 'double' });
+      }
+      for (const df of [-1, 1]) {
+        const to = offset(sq, df, dir);
+        if (to < 0) continue;
+        if (isEnemy(to)) pawnMove(to);
+        else if (to === pos.ep && !board[to]) add(sq, to, { flag: 'ep', captured: turn === 'w' ? 'p' : 'P' });
+      }
+    } else if (type === 'n' || type === 'k') {
+      for (const [df, dr] of type === 'n' ? KNIGHT_STEPS : KING_STEPS) {
+        const to = offset(sq, df, dr);
+        if (to >= 0 && (!board[to] || isEnemy(to))) add(sq, to);
+      }
+    } else {
+      const dirs = type === 'r' ? ROOK_DIRS : type === 'b' ? BISHOP_DIRS : [...ROOK_DIRS, ...BISHOP_DIRS];
+      for (const [df, dr] of dirs) {
+        let to = offset(sq, df, dr);
+        while (to >= 0 && !board[to]) {
+          add(sq, to);
+          to = offset(to, df, dr);
+        }
+        if (to >= 0 && isEnemy(to)) add(sq, to);
+      }
+    }
+  }
+
+  // Castling: king and rook on their home squares, path empty, king not passing through check
+  const home = turn === 'w' ? 0 : 56;
+  const enemy = opponent(turn);
+  const [king, rook] = turn === 'w' ? ['K', 'R'] : ['k', 'r'];
+  const [short, long] = turn === 'w' ? ['K', 'Q'] : ['k', 'q'];
+  const safe = (...squares) => squares.every((s) => !isAttacked(board, s, enemy));
+  if (board[home + 4] === king && safe(home + 4)) {
+    if (pos.castling.includes(short) && board[home + 7] === rook && !board[home + 5] && !board[home + 6]
+      && safe(home + 5, home + 6)) {
+      add(home + 4, home + 6, { flag: 'castle' });
+    }
+    if (pos.castling.includes(long) && board[home] === rook && !board[home + 1] && !board[home + 2]
+      && !board[home + 3] && safe(home + 3, home + 2)) {
+      add(home + 4, home + 2, { flag: 'castle' });
+    }
+  }
+  return moves;
+}
+
+export function applyMove(pos, move) {
+  const board = pos.board.slice();
+  const { from, to } = move;
+  board[from] = null;
+  board[to] = move.promotion ? (pos.turn === 'w' ? move.promotion.toUpperCase() : move.promotion) : move.piece;
+  if (move.flag === 'ep') board[to + (pos.turn === 'w' ? -8 : 8)] = null;
+  if (move.flag === 'castle') {
+    const [rookFrom, rookTo] = to > from ? [from + 3, from + 1] : [from - 4, from - 1];
+    board[rookTo] = board[rookFrom];
+    board[rookFrom] = null;
+  }
+
+  let { castling } = pos;
+  for (const sq of [from, to]) {
+    for (const right of CASTLING_SQUARES[sq] || '') castling = castling.replace(right, '');
+  }
+
+  return {
+    board,
+    turn: opponent(pos.turn),
+    castling,
+    ep: move.flag === 'double' ? (from + to) / 2 : null,
+    halfmove: move.piece.toLowerCase() === 'p' || move.captured ? 0 : pos.halfmove + 1,
+    fullmove: pos.fullmove + (pos.turn === 'b' ? 1 : 0)
+  };
+}
+
+// A pseudo-legal move is legal when it does not leave the mover's king attacked
+function isLegal(pos, move) {
+  const next = applyMove(pos, move);
+  return !isAttacked(next.board, next.board.indexOf(pos.turn === 'w' ? 'K' : 'k'), next.turn);
+}
+
+export function generateMoves(pos) {
+  return pseudoMoves(pos).filter((move) => isLegal(pos, move));
+}
+
+export function hasLegalMove(pos) {
+  return pseudoMoves(pos).some((move) => isLegal(pos, move));
+}
+
+export function moveToUci(move) {
+  return squareName(move.from) + squareName(move.to) + (move.promotion || '');
+}
+
+export function moveToSan(pos, move) {
+  let san;
+  const type = move.piece.toLowerCase();
+  if (move.flag === 'castle') {
+    san = move.to > move.from ? 'O-O' : 'O-O-O';
+  } else if (type === 'p') {
+    san = (move.captured ? `${FILES[move.from & 7]}x` : '') + squareName(move.to)
+      + (move.promotion ? `=${move.promotion.toUpperCase()}` : '');
+  } else {
+    // Disambiguate by file, then rank, then both, as the PGN standard prescribes
+    const rivals = pseudoMoves(pos)
+      .filter((m) => m.piece === move.piece && m.to === move.to && m.from !== move.from && isLegal(pos, m));
+    let from = '';
+    if (rivals.length) {
+      if (!rivals.some((m) => (m.from & 7) === (move.from & 7))) from = FILES[move.from & 7];
+      else if (!rivals.some((m) => (m.from >> 3) === (move.from >> 3))) from = String((move.from >> 3) + 1);
+      else from = squareName(move.from);
+    }
+    san = type.toUpperCase() + from + (move.captured ? 'x' : '') + squareName(move.to);
+  }
+  const next = applyMove(pos, move);
+  if (inCheck(next)) san += hasLegalMove(next) ? '+' : '#';
+  return san;
+}
+
+// Resolve a SAN token against the legal moves. Tolerates missing or superfluous
+// disambiguation, a missing "x" or "=", zeros in castling and trailing +/#/!/? marks.
+// Returns { move } or { error } describing why nothing (or more than one move) matched.
+export function findSanMove(pos, san) {
+  const clean = san.replace(/[+#!?]+$/, '');
+  // Only candidates matching the SAN are checked for legality, which keeps long imports fast
+  const pseudo = pseudoMoves(pos);
+  const castle = /^([O0])-\1(-\1)?$/.exec(clean);
+  if (castle) {
+    const move = pseudo.find((m) => m.flag === 'castle' && (castle[2] ? m.to < m.from : m.to > m.from));
+    return move ? { move } : { error: 'Illegal move' };
+  }
+  const m = /^([NBRQK])?([a-h])?([1-8])?x?([a-h][1-8])(?:=?([NBRQnbrq]))?$/.exec(clean);
+  if (!m) return { error: 'Unrecognized move' };
+  const [, pieceLetter, fromFile, fromRank, to, promotion] = m;
+  const type = (pieceLetter || 'P').toLowerCase();
+  const candidates = pseudo.filter((mv) => mv.piece.toLowerCase() === type
+    && squareName(mv.to) === to
+    && (!fromFile || FILES[mv.from & 7] === fromFile)
+    && (!fromRank || String((mv.from >> 3) + 1) === fromRank)
+    && (mv.promotion || '') === (promotion || '').toLowerCase()
+    && isLegal(pos, mv));
+  if (candidates.length === 1) return { move: candidates[0] };
+  return { error: candidates.length ? 'Ambiguous move' : 'Illegal move' };
+}
+
+// Convert a UCI move list (e.g. an engine PV) played from fen to SAN. Stops at the
+// first move that is not legal, so a stale or truncated PV yields a shorter line.
+export function uciLineToSan(fen, uciMoves) {
+  let pos = parseFen(fen);
+  const sans = [];
+  for (const uci of uciMoves) {
+    const move = generateMoves(pos).find((m) => moveToUci(m) === uci);
+    if (!move) break;
+    sans.push(moveToSan(pos, move));
+    pos = applyMove(pos, move);
+  }
+  return sans;
+}
+
+// Where each castling right needs its king and rook
+const CASTLING_HOMES = { K: ['e1', 'h1'], Q: ['e1', 'a1'], k: ['e8', 'h8'], q: ['e8', 'a8'] };
+
+// What parseFen leaves open: piece counts, pawns on the back ranks, a side not to move
+// in check, and castling rights and en passant squares the board cannot have
+export function checkPosition(pos) {
+  const { board } = pos;
+  for (const color of ['w', 'b']) {
+    const side = color === 'w' ? 'White' : 'Black';
+    const count = (type) => board.filter((p) => p && colorOf(p) === color && p.toLowerCase() === type).length;
+    const pieces = board.filter((p) => p && colorOf(p) === color).length;
+    const pawns = count('p');
+    if (pieces > 16) throw new FenError(`${side} has ${pieces} pieces (at most 16)`);
+    if (pawns > 8) throw new FenError(`${side} has ${pawns} pawns (at most 8)`);
+    // Every piece beyond the starting set must be a promoted pawn
+    const promoted = Math.max(0, count('q') - 1) + Math.max(0, count('r') - 2)
+      + Math.max(0, count('b') - 2) + Math.max(0, count('n') - 2);
+    if (promoted > 8 - pawns) throw new FenError(`${side} has more promoted pieces than missing pawns`);
+  }
+  const backRank = board.findIndex((p, sq) => p?.toLowerCase() === 'p' && (sq < 8 || sq >= 56));
+  if (backRank !== -1) throw new FenError(`Pawn on ${squareName(backRank)}: pawns cannot stand on the first or last rank`);
+  if (inCheck({ ...pos, turn: opponent(pos.turn) })) {
+    throw new FenError(`${pos.turn === 'w' ? 'Black' : 'White'} is in check but it is not their move`);
+  }
+
+  for (const right of pos.castling) {
+    const [kingSq, rookSq] = CASTLING_HOMES[right];
+    const white = right === right.toUpperCase();
+    if (board[squareIndex(kingSq)] !== (white ? 'K' : 'k') || board[squareIndex(rookSq)] !== (white ? 'R' : 'r')) {
+      throw new FenError(`Castling right "${right}" needs the king on ${kingSq} and a rook on ${rookSq}`);
+    }
+  }
+
+  if (pos.ep !== null) {
+    // The square a pawn just skipped: behind it the pawn, in front of it an empty start square
+    const rank = pos.ep >> 3;
+    const pawnSq = pos.ep + (pos.turn === 'w' ? -8 : 8);
+    const fromSq = pos.ep + (pos.turn === 'w' ? 8 : -8);
+    const ep = squareName(pos.ep);
+    if (rank !== (pos.turn === 'w' ? 5 : 2)) throw new FenError(`En passant square ${ep} is on the wrong rank for the side to move`);
+    if (board[pawnSq] !== (pos.turn === 'w' ? 'p' : 'P') || board[pos.ep] || board[fromSq]) {
+      throw new FenError(`En passant square ${ep} does not follow a double pawn push`);
+    }
+  }
+}
+
+// ── PGN Reader ──
+// Reads one or more games: tag pairs, {comments}, ;comments, %escapes, nested
+// (variations), $NAGs and !/? suffixes, move numbers and results. Every move,
+// including those inside variations, is checked against the legal-move generator.
+const SUFFIX_NAGS = { '!': 1, '?': 2, '!!': 3, '??': 4, '!?': 5, '?!': 6 };
+export const RESULTS = ['1-0', '0-1', '1/2-1/2', '*'];
+
+export class PgnError extends Error {
+  constructor(message, line, column) {
+    super(`${message} at line ${line}, column ${column}`);
+    this.name = 'PgnError';
+    this.reason = message;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+const PGN_PATTERNS = [
+  ['tag', /\[\s*([A-Za-z0-9_]+)\s+"((?:[^"\\]|\\.)*)"\s*\]/y],
+  ['result', /(1-0|0-1|1\/2-1\/2|\*)(?![\w/-])/y],
+  ['number', /\d+\s*\.+/y],
+  ['nag', /\$(\d+)/y],
+  ['suffix', /[!?]{1,2}/y],
+  ['san', /[A-Za-z0-9][A-Za-z0-9=+#-]*/y]
+];
+
+function tokenizePgn(text) {
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+  let column = 1;
+  const advance = (to) => {
+    for (; i < to; i += 1) {
+      if (text[i] === '\n') {
+        line += 1;
+        column = 1;
+      } else {
+        column += 1;
+      }
+    }
+  };
+
+  while (i < text.length) {
+    const ch = text[i];
+    const at = { line, column, offset: i };
+    if (/\s/.test(ch)) {
+      advance(i + 1);
+    } else if (ch === '%' && column === 1) {
+      const end = text.indexOf('\n', i);
+      advance(end === -1 ? text.length : end);
+    } else if (ch === ';') {
+      const end = text.indexOf('\n', i);
+      const stop = end === -1 ? text.length : end;
+      tokens.push({ type: 'comment', value: text.slice(i + 1, stop).trim(), ...at });
+      advance(stop);
+    } else if (ch === '{') {
+      const end = text.indexOf('}', i);
+      if (end === -1) throw new PgnError('Unterminated comment', at.line, at.column);
+      tokens.push({ type: 'comment', value: text.slice(i + 1, end).replace(/\s+/g, ' ').trim(), ...at });
+      advance(end + 1);
+    } else if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch, ...at });
+      advance(i + 1);
+    } else {
+      let matched = false;
+      for (const [type, pattern] of PGN_PATTERNS) {
+        pattern.lastIndex = i;
+        const m = pattern.exec(text);
+        if (!m) continue;
+        if (type === 'tag') tokens.push({ type, name: m[1], value: m[2].replace(/\\(["\\])/g, '$1'), ...at });
+        else if (type === 'nag') tokens.push({ type, value: Number(m[1]), ...at });
+        else if (type === 'suffix') tokens.push({ type: 'nag', value: SUFFIX_NAGS[m[0]], ...at });
+        else if (type !== 'number') tokens.push({ type, value: m[0], ...at });
+        advance(pattern.lastIndex);
+        matched = true;
+        break;
+      }
+      if (!matched) {
+        if (ch === '[') throw new PgnError('Malformed tag pair', at.line, at.column);
+        throw new PgnError(`Unexpected character "${ch}"`, at.line, at.column);
+      }
+    }
+  }
+  return tokens;
+}
+
+// Returns [{ headers, startFen, moves, result, pgn }]. Each move is
+// { san, uci, fen, nags, comments, variations }, where fen is the position after the
+// move and each variation is an array of moves replacing it. Comments before the
+// first move of a line are kept as commentsBefore on that move; pgn is the game's
+// source text. Errors throw PgnError, unless onError is given: then the broken game
+// is reported as onError(error, headers) and skipped, and reading resumes at the
+// next game's tags.
+export function parsePgn(text, { onError } = {}) {
+  text = String(text);
+  const tokens = tokenizePgn(text);
+  const games = [];
+  let game = null;
+  let lines = null; // stack of { moves, pos, prevPos } for the main line and open variations
+  let pending = [];
+  let tagTokens = {};
+  let start = 0;
+  let skipping = false;
+
+  const newGame = (token) => {
+    tagTokens = {};
+    start = token.offset;
+    return { headers: {}, startFen: START_FEN, moves: [], result: null, comments: [] };
+  };
+  const discard = () => {
+    game = null;
+    lines = null;
+    pending = [];
+  };
+  const finish = (end) => {
+    if (lines && lines.length > 1) {
+      const { open } = lines[lines.length - 1];
+      throw new PgnError('Unterminated variation', open.line, open.column);
+    }
+    if (game && (game.moves.length || Object.keys(game.headers).length || game.result)) {
+      if (pending.length) game.comments.push(...pending);
+      game.result = game.result || game.headers.Result || '*';
+      game.pgn = text.slice(start, end).trim();
+      games.push(game);
+    }
+    discard();
+  };
+  // The move text starts: fix the starting position from the FEN tag
+  const startMoves = () => {
+    if (lines) return;
+    if (game.headers.FEN && game.headers.SetUp !== '0') {
+      try {
+        const start = parseFen(game.headers.FEN);
+        checkPosition(start);
+        game.startFen = toFen(start);
+      } catch (err) {
+        if (!(err instanceof FenError)) throw err;
+        const tag = tagTokens.FEN;
+        throw new PgnError(`Invalid FEN tag (${err.message})`, tag.line, tag.column);
+      }
+    }
+    const pos = parseFen(game.startFen);
+    lines = [{ moves: game.moves, pos, prevPos: null }];
+  };
+
+  const read = (token) => {
+    if (token.type === 'tag') {
+      if (lines || game?.result) finish(token.offset);
+      if (!game) game = newGame(token);
+      game.headers[token.name] = token.value;
+      tagTokens[token.name] = token;
+      return;
+    }
+    // Move text after a result without new tags starts a game with no headers
+    if (!game || game.result) {
+      finish(token.offset);
+      game = newGame(token);
+    }
+    startMoves();
+    const current = lines[lines.length - 1];
+    const last = current.moves[current.moves.length - 1];
+
+    if (token.type === 'comment') {
+      if (last && !pending.length) last.comments.push(token.value);
+      else pending.push(token.value);
+    } else if (token.type === 'nag') {
+      if (!last) throw new PgnError(`NAG $${token.value} before any move`, token.line, token.column);
+      last.nags.push(token.value);
+    } else if (token.type === '(') {
+      if (!last) throw new PgnError('Variation before any move', token.line, token.column);
+      const variation = [];
+      last.variations.push(variation);
+      lines.push({ moves: variation, pos: current.prevPos, prevPos: null, open: token });
+    } else if (token.type === ')') {
+      if (lines.length === 1) throw new PgnError('Unmatched ")"', token.line, token.column);
+      if (!current.moves.length) throw new PgnError('Empty variation', token.line, token.column);
+      lines.pop();
+      pending = [];
+    } else if (token.type === 'result') {
+      if (lines.length > 1) throw new PgnError('Result inside a variation', token.line, token.column);
+      game.result = token.value;
+    } else if (token.type === 'san') {
+      const { move, error } = findSanMove(current.pos, token.value);
+      if (!move) throw new PgnError(`${error} "${token.value}"`, token.line, token.column);
+      const next = applyMove(current.pos, move);
+      const node = {
+        san: moveToSan(current.pos, move),
+        uci: moveToUci(move),
+        fen: toFen(next),
+        nags: [],
+        comments: [],
+        variations: []
+      };
+      if (pending.length) {
+        node.commentsBefore = pending;
+        pending = [];
+      }
+      current.moves.push(node);
+      current.prevPos = current.pos;
+      current.pos = next;
+    }
+  };
+
+  const recover = (err) => {
+    if (!(err instanceof PgnError) || !onError) throw err;
+    onError(err, game?.headers ?? {});
+    discard();
+  };
+
+  for (const token of tokens) {
+    if (skipping && token.type !== 'tag') continue;
+    skipping = false;
+    try {
+      read(token);
+    } catch (err) {
+      recover(err);
+      // A tag that failed to close the previous game still opens the next one
+      if (token.type === 'tag') read(token);
+      else skipping = true;
+    }
+  }
+  try {
+    finish(text.length);
+  } catch (err) {
+    recover(err);
+  }
+  return games;
+}
@@ -0,0 +1,227 @@
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'node:fs';
+import { dirname } from 'node:path';
+
+// ── Engine Options ──
+// Per engine: the options its workers list in the `uci` handshake, with pool-wide
+// defaults (the engine's preset from ENGINES_FILE until an admin sets them) and the
+// subset a request may override. Admin changes are kept in a JSON file, by engine id.
+// String options (file paths such as `Debug Log File` or `EvalFile`) are only taken
+// from the ENGINES_FILE preset, never from the API. Workers apply the settings a job
+// resolves to before running it, so one process can serve requests with different
+// settings in turn.
+// Set by the server itself: MultiPV per search, the rest from the environment or always
+export const RESERVED_OPTIONS = ['MultiPV', 'UCI_ShowWDL', 'SyzygyPath', 'UCI_Chess960'];
+export const OPTION_KEYWORDS = ['name', 'type', 'default', 'min', 'max', 'var'];
+
+// Raised for option values that do not fit the engine's option list; answered with a 400
+export class EngineOptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EngineOptionError';
+  }
+}
+
+// "option name Skill Level type spin default 20 min 0 max 20" → { name, type, default, min, max, vars }
+export function parseUciOption(line) {
+  const fields = { var: [] };
+  let key = null;
+  for (const token of line.split(/\s+/).slice(1)) {
+    if (OPTION_KEYWORDS.includes(token)) {
+      key = token;
+      if (key === 'var') fields.var.push('');
+      else fields[key] = '';
+    } else if (key === 'var') {
+      fields.var[fields.var.length - 1] = `${fields.var.at(-1)} ${token}`.trim();
+    } else if (key) {
+      fields[key] = `${fields[key]} ${token}`.trim();
+    }
+  }
+  if (!fields.name || !fields.type) return null;
+  const option = { name: fields.name, type: fields.type, default: null };
+  if (fields.type === 'spin') {
+    Object.assign(option, { default: Number(fields.default), min: Number(fields.min), max: Number(fields.max) });
+  } else if (fields.type === 'check') {
+    option.default = fields.default === 'true';
+  } else if (fields.type === 'combo') {
+    Object.assign(option, { default: fields.default, vars: fields.var });
+  } else if (fields.type === 'string') {
+    option.default = fields.default === '<empty>' ? '' : fields.default ?? '';
+  }
+  return option;
+}
+
+// A value as the option stores it (number, boolean or string), or an EngineOptionError
+export function normalizeOptionValue(option, value) {
+  const fail = (why) => { throw new EngineOptionError(`Invalid value for "${option.name}": ${why}`); };
+  if (option.type === 'spin') {
+    const n = typeof value === 'string' && value.trim() ? Number(value) : value;
+    if (!Number.isInteger(n)) fail('expected an integer');
+    if (n < option.min || n > option.max) fail(`must be between ${option.min} and ${option.max}`);
+    return n;
+  }
+  if (option.type === 'check') {
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    fail('expected true or false');
+  }
+  if (option.type === 'combo') {
+    // UCI combo values are case-insensitive
+    const match = option.vars.find((v) => v.toLowerCase() === String(value).toLowerCase());
+    if (!match) fail(`must be one of ${option.vars.join(', ')}`);
+    return match;
+  }
+  if (option.type === 'string') {
+    if (typeof value !== 'string' || /[\r\n]/.test(value)) fail('expected a single-line string');
+    return value;
+  }
+  return fail(`${option.type} options cannot be set`);
+}
+
+// Settings as a stable string: equal settings give equal keys whatever their order
+export function settingsKey(settings = {}) {
+  return JSON.stringify(Object.entries(settings).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+}
+
+export function readEngineOptionsFile(file) {
+  if (!existsSync(file)) return {};
+  try {
+    return JSON.parse(readFileSync(file, 'utf8'));
+  } catch (err) {
+    console.error(`Engine options: cannot read ${file} (${err.message}); using engine presets`);
+    return {};
+  }
+}
+
+export class EngineSettings {
+  constructor(file, engineId, preset = {}) {
+    this.file = file;
+    this.engineId = engineId;
+    this.engine = null;
+    this.options = new Map(); // name → parsed option, once a worker has shaken hands
+    const saved = readEngineOptionsFile(file)[engineId];
+    this.preset = preset;
+    this.defaults = saved?.defaults ?? preset;
+    this.overridable = saved?.overridable ?? [];
+    this.fixed = {}; // the preset's string options, applied to every job
+  }
+
+  // The file holds every engine's settings; only this engine's entry is replaced
+  save() {
+    const all = readEngineOptionsFile(this.file);
+    all[this.engineId] = { defaults: this.defaults, overridable: this.overridable };
+    mkdirSync(dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    writeFileSync(tmp, JSON.stringify(all, null, 2) + '\n');
+    renameSync(tmp, this.file);
+  }
+
+  // Called with every worker's handshake. The first one fixes the option list; saved
+  // settings the engine does not accept are dropped with a warning.
+  learn(engine, options) {
+    if (this.options.size) return;
+    this.engine = engine;
+    this.options = new Map(options.map((o) => [o.name, o]));
+    for (const [name, value] of Object.entries(this.preset)) {
+      const option = this.options.get(name);
+      if (option?.type !== 'string' || RESERVED_OPTIONS.includes(name)) continue;
+      try {
+        this.fixed[name] = normalizeOptionValue(option, value);
+      } catch (err) {
+        console.warn(`Engine options (${this.engineId}): ignoring preset (${err.message})`);
+      }
+    }
+    const defaults = {};
+    for (const [name, value] of Object.entries(this.defaults)) {
+      if (name in this.fixed) continue;
+      try {
+        defaults[name] = this.check(name, value);
+      } catch (err) {
+        console.warn(`Engine options (${this.engineId}): ignoring default (${err.message})`);
+      }
+    }
+    this.defaults = this.withoutEngineDefaults(defaults);
+    this.overridable = this.overridable.filter((name) => this.options.has(name) && !RESERVED_OPTIONS.includes(name));
+  }
+
+  check(name, value) {
+    const option = this.options.get(name);
+    if (!option) throw new EngineOptionError(`Unknown engine option "${name}"`);
+    if (RESERVED_OPTIONS.includes(name)) throw new EngineOptionError(`"${name}" is set by the server`);
+    if (option.type === 'string') throw new EngineOptionError(`"${name}" can only be set in the engines file`);
+    return normalizeOptionValue(option, value);
+  }
+
+  // Values that match the engine's own default are left out, so they do not split the cache
+  withoutEngineDefaults(settings) {
+    return Object.fromEntries(Object.entries(settings).filter(([name, v]) => v !== this.engineDefault(name)));
+  }
+
+  engineDefault(name) {
+    return this.options.get(name)?.default ?? null;
+  }
+
+  // Validate a request's overrides ({ name: value }); only overridable options are accepted
+  overrides(values) {
+    if (values === undefined || values === null) return {};
+    if (typeof values !== 'object' || Array.isArray(values)) {
+      throw new EngineOptionError('engineOptions must be an object of option names and values');
+    }
+    const names = Object.keys(values);
+    if (names.length && !this.options.size) throw new EngineOptionError('Engine options are not known yet; try again shortly');
+    const checked = {};
+    for (const name of names) {
+      checked[name] = this.check(name, values[name]);
+      if (!this.overridable.includes(name)) throw new EngineOptionError(`"${name}" cannot be overridden per request`);
+    }
+    return checked;
+  }
+
+  // The settings a job runs with: the defaults, then the request's overrides
+  effective(overrides = {}) {
+    return this.withoutEngineDefaults({ ...this.defaults, ...overrides, ...this.fixed });
+  }
+
+  // Admin update: { defaults, overridable }, each replacing the stored one when given
+  update({ defaults, overridable }) {
+    if (!this.options.size) throw new EngineOptionError('Engine options are not known yet; try again shortly');
+    const next = { defaults: this.defaults, overridable: this.overridable };
+    if (defaults !== undefined) {
+      if (!defaults || typeof defaults !== 'object' || Array.isArray(defaults)) {
+        throw new EngineOptionError('defaults must be an object of option names and values');
+      }
+      next.defaults = {};
+      for (const [name, value] of Object.entries(defaults)) next.defaults[name] = this.check(name, value);
+      next.defaults = this.withoutEngineDefaults(next.defaults);
+    }
+    if (overridable !== undefined) {
+      if (!Array.isArray(overridable)) throw new EngineOptionError('overridable must be a list of option names');
+      for (const name of overridable) {
+        const option = this.options.get(name);
+        if (!option) throw new EngineOptionError(`Unknown engine option "${name}"`);
+        if (RESERVED_OPTIONS.includes(name) || option.type === 'button' || option.type === 'string') {
+          throw new EngineOptionError(`"${name}" cannot be overridden per request`);
+        }
+      }
+      next.overridable = [...new Set(overridable)];
+    }
+    this.defaults = next.defaults;
+    this.overridable = next.overridable;
+    this.save();
+    return this.describe();
+  }
+
+  describe() {
+    return {
+      id: this.engineId,
+      engine: this.engine,
+      options: [...this.options.values()].map((o) => ({
+        ...o,
+        value: this.fixed[o.name] ?? this.defaults[o.name] ?? o.default,
+        reserved: RESERVED_OPTIONS.includes(o.name) || o.type === 'string',
+        overridable: this.overridable.includes(o.name)
+      })),
+      defaults: this.defaults,
+      overridable: this.overridable
+    };
+  }
+}
@@ -0,0 +1,118 @@
+import { existsSync, readFileSync } from 'node:fs';
+import { spawnSync } from 'node:child_process';
+import { dirname, resolve, sep } from 'node:path';
+import { JobCancelledError } from './scheduler.js';
+import { ValidationError } from './validation.js';
+
+// ── Engines ──
+// Named UCI engines from a JSON file (see engines.example.json): { "engines": [...] },
+// each with an id, a path and optional name, args, workers and options. The first
+// engine listed is the default for requests that do not name one.
+
+// The engines listed in file, checked and with their defaults filled in, or just
+// fallback when there is no such file. A file that is there but wrong throws.
+export function loadEngineConfigs(file, fallback) {
+  if (!existsSync(file)) return [fallback];
+  const fail = (why) => { throw new Error(`${file}: ${why}`); };
+  let config;
+  try {
+    config = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (err) {
+    fail(err.message);
+  }
+  if (!Array.isArray(config?.engines) || !config.engines.length) fail('"engines" must be a non-empty list');
+  const ids = new Set();
+  return config.engines.map((e, i) => {
+    if (typeof e.id !== 'string' || !/^[\w.-]+$/.test(e.id)) fail(`engine ${i + 1} needs an id of letters, digits, ".", "-" or "_"`);
+    if (ids.has(e.id)) fail(`duplicate engine id "${e.id}"`);
+    ids.add(e.id);
+    if (typeof e.path !== 'string' || !e.path) fail(`engine "${e.id}" needs a path`);
+    if (e.args !== undefined && !(Array.isArray(e.args) && e.args.every((a) => typeof a === 'string'))) {
+      fail(`engine "${e.id}": args must be a list of strings`);
+    }
+    if (e.workers !== undefined && !(Number.isInteger(e.workers) && e.workers > 0)) {
+      fail(`engine "${e.id}": workers must be a positive integer`);
+    }
+    if (e.options !== undefined && (typeof e.options !== 'object' || Array.isArray(e.options))) {
+      fail(`engine "${e.id}": options must be an object of UCI option names and values`);
+    }
+    return {
+      id: e.id,
+      name: e.name || e.id,
+      // Relative paths are relative to the config file; bare names are looked up on PATH
+      path: e.path.includes('/') || e.path.includes(sep) ? resolve(dirname(file), e.path) : e.path,
+      args: e.args ?? [],
+      workers: e.workers ?? 1,
+      options: e.options ?? {}
+    };
+  });
+}
+
+// An engine is usable if it answers the UCI handshake. Returns its `id name` (or
+// "unknown" when it sends none), or null for an engine that does not answer.
+export function engineUciName(path, args) {
+  const probe = spawnSync(path, args, { input: 'uci\nquit\n', encoding: 'utf8', timeout: 10000 });
+  if (probe.error || !/^uciok$/m.test(probe.stdout || '')) return null;
+  return /^id name (.+)$/m.exec(probe.stdout)?.[1]?.trim() || 'unknown';
+}
+
+// ── Engine Registry ──
+// Every configured engine with its own option settings and worker pool. settings(config)
+// and pool(engine) make them; an engine's pool is made once its settings are in place.
+export class EngineRegistry {
+  constructor(configs, { settings, pool }) {
+    this.engines = new Map();
+    for (const config of configs) {
+      const engine = { ...config, settings: settings(config) };
+      engine.pool = pool(engine);
+      this.engines.set(engine.id, engine);
+    }
+    this.default = this.engines.values().next().value;
+    // Tablebase probes read Stockfish's root scores, so they need a Stockfish engine:
+    // the first one listed, whichever engine is the default
+    this.tablebase = [...this.engines.values()].find((e) => e.available && /^Stockfish\b/.test(e.uciName)) ?? null;
+  }
+
+  // The named engine, the default one when id is empty, or undefined for an unknown id
+  get(id) {
+    return id ? this.engines.get(id) : this.default;
+  }
+
+  // The engines a comparison names: ids must be a non-empty list of registered engine
+  // ids, or a ValidationError says what is wrong with it
+  select(ids) {
+    if (!Array.isArray(ids) || !ids.length || !ids.every((id) => typeof id === 'string' && id)) {
+      throw new ValidationError('engines must be a list of engine ids');
+    }
+    const unknown = ids.filter((id) => !this.engines.has(id));
+    if (unknown.length) throw new ValidationError(`Unknown engines: ${unknown.join(', ')}`);
+    return ids.map((id) => this.engines.get(id));
+  }
+
+  // One search on several engines at once (each has its own pool), from select():
+  // analyze(engine) resolves with one engine's analysis. An engine that is unavailable or
+  // fails gets an error in its place; a cancelled search cancels the comparison.
+  compare(selected, analyze) {
+    return Promise.all(selected.map(async (engine) => {
+      const entry = { engine: { id: engine.id, name: engine.name } };
+      if (!engine.available) return { ...entry, error: `Engine ${engine.id} is not available. Check its path.` };
+      try {
+        return { ...entry, analysis: await analyze(engine) };
+      } catch (err) {
+        if (err instanceof JobCancelledError) throw err;
+        return { ...entry, error: err.message };
+      }
+    }));
+  }
+
+  list() {
+    return [...this.engines.values()].map((e) => ({
+      id: e.id,
+      name: e.name,
+      engine: e.settings.engine,
+      available: e.available,
+      default: e === this.default,
+      workers: e.pool.size
+    }));
+  }
+}
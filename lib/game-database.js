@@ -0,0 +1,192 @@
+import { setMaxListeners } from 'node:events';
+import { parsePgn } from './chess.js';
+import { JobCancelledError } from './scheduler.js';
+import { PositionExplorer } from './position-explorer.js';
+
+// ── Game Database ──
+// Games imported from (multi-game) PGN files or reviewed on their own, and their stored
+// reviews, kept in memory for the life of the server. Batches review a list of games,
+// `concurrency` of them at a time. A game is known by its PGN text, so importing the
+// same file twice adds nothing.
+export const MAX_IMPORT_BYTES = 50 * 1024 * 1024;
+
+export class GameDatabase {
+  // review({ game, depth, signal, onPly(ply, progress) }) resolves with the game's review;
+  // concurrency: how many games a batch reviews at once
+  constructor(review, { concurrency = 1 } = {}) {
+    this.review = review;
+    this.concurrency = concurrency;
+    this.games = new Map();
+    this.byPgn = new Map(); // pgn text -> record, so imports look duplicates up at once
+    this.batches = new Map();
+    this.explorer = new PositionExplorer(this.games);
+    this.nextGameId = 1;
+    this.nextBatchId = 1;
+  }
+
+  add(game) {
+    const record = { id: this.nextGameId, ...game, review: null, reviewStatus: 'none', reviewError: null };
+    this.nextGameId += 1;
+    this.games.set(record.id, record);
+    this.byPgn.set(record.pgn, record);
+    this.explorer.add(record);
+    return record;
+  }
+
+  findByPgn(pgn) {
+    return this.byPgn.get(pgn) ?? null;
+  }
+
+  // Returns { games, duplicates, errors }: games already in the database are listed in
+  // duplicates, and games that could not be read are skipped and listed in errors
+  import(pgn) {
+    const errors = [];
+    const parsed = parsePgn(pgn, {
+      onError: (err, headers) => errors.push({ error: err.message, line: err.line, column: err.column, headers })
+    });
+    const games = [];
+    const duplicates = [];
+    for (const game of parsed.filter((g) => g.moves.length)) {
+      const known = this.findByPgn(game.pgn);
+      if (known) duplicates.push(this.summary(known));
+      else games.push(this.summary(this.add(game)));
+    }
+    return { games, duplicates, errors };
+  }
+
+  // A game reviewed on its own (the Game Review tab, jobs) joins the database with its
+  // review; the same PGN reviewed again keeps the deeper review
+  addReviewed(game, review) {
+    const record = this.findByPgn(game.pgn) ?? this.add(game);
+    if (record.review && record.review.depth > review.depth) return;
+    record.review = review;
+    if (record.reviewStatus !== 'running') {
+      record.reviewStatus = 'done';
+      record.reviewError = null;
+    }
+  }
+
+  summary(game) {
+    return {
+      id: game.id,
+      headers: game.headers,
+      result: game.result,
+      plyCount: game.moves.length,
+      review: {
+        status: game.reviewStatus,
+        depth: game.review?.depth ?? null,
+        progress: game.reviewProgress ?? 0,
+        error: game.reviewError
+      }
+    };
+  }
+
+  list() {
+    return [...this.games.values()].map((g) => this.summary(g));
+  }
+
+  get(id) {
+    const game = this.games.get(id);
+    if (!game) return null;
+    return { ...this.summary(game), pgn: game.pgn, startFen: game.startFen, reviewData: game.review };
+  }
+
+  // Queue reviews for the given game ids (all games when ids is empty). Games that
+  // already have a review at this depth or deeper are counted as done straight away.
+  startBatch(ids, depth) {
+    const gameIds = (ids?.length ? ids : [...this.games.keys()]).filter((id) => this.games.has(id));
+    const controller = new AbortController();
+    setMaxListeners(0, controller.signal);
+    const batch = {
+      id: this.nextBatchId,
+      gameIds,
+      depth,
+      status: 'running',
+      completedGames: 0,
+      failedGames: 0,
+      completedPlies: 0,
+      totalPlies: gameIds.reduce((sum, id) => sum + this.games.get(id).moves.length, 0),
+      active: [],
+      startedAt: Date.now(),
+      finishedAt: null,
+      controller
+    };
+    this.nextBatchId += 1;
+    this.batches.set(batch.id, batch);
+
+    const queue = [...gameIds];
+    for (const id of queue) {
+      const game = this.games.get(id);
+      if (game.reviewStatus !== 'done' || game.review.depth < depth) game.reviewStatus = 'queued';
+    }
+    const runNext = async () => {
+      while (queue.length && !controller.signal.aborted) {
+        await this.reviewOne(batch, this.games.get(queue.shift()));
+      }
+    };
+    batch.done = Promise.all(Array.from({ length: Math.min(this.concurrency, gameIds.length) }, runNext)).then(() => {
+      for (const id of queue) {
+        const game = this.games.get(id);
+        if (game.reviewStatus === 'queued') game.reviewStatus = game.review ? 'done' : 'none';
+      }
+      if (batch.status === 'running') batch.status = 'done';
+      batch.finishedAt = Date.now();
+    });
+    return batch;
+  }
+
+  async reviewOne(batch, game) {
+    if (game.reviewStatus === 'done' && game.review.depth >= batch.depth) {
+      batch.completedGames += 1;
+      batch.completedPlies += game.moves.length;
+      return;
+    }
+    game.reviewStatus = 'running';
+    game.reviewProgress = 0;
+    batch.active.push(game.id);
+    let pliesDone = 0;
+    try {
+      game.review = await this.review({
+        game,
+        depth: batch.depth,
+        signal: batch.controller.signal,
+        onPly: (_ply, progress) => {
+          pliesDone += 1;
+          batch.completedPlies += 1;
+          game.reviewProgress = progress;
+        }
+      });
+      game.reviewStatus = 'done';
+      game.reviewError = null;
+      batch.completedGames += 1;
+    } catch (err) {
+      if (err instanceof JobCancelledError) {
+        game.reviewStatus = game.review ? 'done' : 'none';
+      } else {
+        // Count the failed game's plies so overall progress still ends at 100%
+        batch.completedPlies += game.moves.length - pliesDone;
+        game.reviewStatus = 'failed';
+        game.reviewError = err.message;
+        batch.failedGames += 1;
+      }
+    } finally {
+      game.reviewProgress = game.reviewStatus === 'done' ? 1 : 0;
+      batch.active = batch.active.filter((id) => id !== game.id);
+    }
+  }
+
+  cancelBatch(id) {
+    const batch = this.batches.get(id);
+    if (!batch) return null;
+    if (batch.status === 'running') {
+      batch.status = 'cancelled';
+      batch.controller.abort();
+    }
+    return this.batchStatus(batch);
+  }
+
+  batchStatus(batch) {
+    const { controller, done, ...status } = batch;
+    return { ...status, progress: batch.totalPlies ? batch.completedPlies / batch.totalPlies : 1 };
+  }
+}
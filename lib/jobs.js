@@ -0,0 +1,124 @@
+import { setMaxListeners } from 'node:events';
+import { randomUUID } from 'node:crypto';
+import { writeEvent } from './sse.js';
+
+// ── Jobs ──
+// Background analyses that outlive the HTTP request that started them. A job records
+// every event its run emits, so a client can poll its snapshot or replay and follow
+// its event stream after reconnecting. Finished jobs are kept for an hour.
+export const JOB_TYPES = ['position', 'all-moves', 'game'];
+export const JOB_RETENTION_MS = 3600000;
+export const MAX_FINISHED_JOBS = 200;
+export const TERMINAL_EVENTS = ['final', 'error', 'cancelled'];
+
+export class JobStore {
+  constructor({ retentionMs = JOB_RETENTION_MS, maxFinished = MAX_FINISHED_JOBS } = {}) {
+    this.jobs = new Map();
+    this.retentionMs = retentionMs;
+    this.maxFinished = maxFinished;
+  }
+
+  // run({ signal, emit }) does the work and resolves with the result. Events with a
+  // progress number move the job's progress; partial rows and reviewed plies are kept.
+  create(type, run) {
+    this.prune();
+    const controller = new AbortController();
+    setMaxListeners(0, controller.signal);
+    const job = {
+      id: randomUUID(),
+      type,
+      status: 'running',
+      progress: 0,
+      partial: [],
+      result: null,
+      error: null,
+      createdAt: Date.now(),
+      finishedAt: null,
+      events: [],
+      listeners: new Set(),
+      controller
+    };
+    this.jobs.set(job.id, job);
+
+    const emit = (event) => {
+      if (typeof event.progress === 'number') job.progress = event.progress;
+      if (event.type === 'partial') job.partial.push(event.row);
+      if (event.type === 'ply') job.partial.push(event.ply);
+      this.publish(job, event);
+    };
+    run({ signal: controller.signal, emit }).then(
+      (result) => {
+        if (job.status !== 'running') return;
+        job.status = 'done';
+        job.progress = 1;
+        job.result = result;
+        job.finishedAt = Date.now();
+        this.publish(job, { type: 'final', result });
+      },
+      (err) => {
+        // A cancelled job already reported itself; its run rejects with JobCancelledError
+        if (job.status !== 'running') return;
+        job.status = 'failed';
+        job.error = err.message;
+        job.finishedAt = Date.now();
+        this.publish(job, { type: 'error', error: err.message });
+      }
+    );
+    return job;
+  }
+
+  publish(job, event) {
+    job.events.push(event);
+    for (const listener of job.listeners) listener(event);
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  cancel(job) {
+    if (job.status !== 'running') return;
+    job.status = 'cancelled';
+    job.finishedAt = Date.now();
+    job.controller.abort();
+    this.publish(job, { type: 'cancelled' });
+  }
+
+  // Replay everything the job emitted so far, then stream new events (SSE) on res
+  // until it finishes
+  follow(job, res) {
+    for (const event of job.events) writeEvent(res, event);
+    if (job.status !== 'running') return res.end();
+    const listener = (event) => {
+      writeEvent(res, event);
+      if (TERMINAL_EVENTS.includes(event.type)) {
+        job.listeners.delete(listener);
+        res.end();
+      }
+    };
+    job.listeners.add(listener);
+    res.on('close', () => job.listeners.delete(listener));
+  }
+
+  snapshot(job) {
+    const { events, listeners, controller, ...rest } = job;
+    return rest;
+  }
+
+  list() {
+    return [...this.jobs.values()].map(({ id, type, status, progress, error, createdAt, finishedAt }) => (
+      { id, type, status, progress, error, createdAt, finishedAt }
+    ));
+  }
+
+  // Drop finished jobs past their retention time, and the oldest beyond the cap
+  prune() {
+    const now = Date.now();
+    const finished = [...this.jobs.values()].filter((j) => j.status !== 'running');
+    finished.forEach((job, i) => {
+      if (now - job.finishedAt > this.retentionMs || finished.length - i > this.maxFinished) {
+        this.jobs.delete(job.id);
+      }
+    });
+  }
+}
@@ -0,0 +1,65 @@
+import { generateMoves, inCheck, parseFen } from './chess.js';
+import { goLimit, parseScore, parseWdl, scoreToCp } from './scores.js';
+import { sanLine } from './annotated-pgn.js';
+
+// ── Live Search ──
+// A search that reports as it goes: `go` with limit ({ depth } | { nodes } | { movetime }),
+// or `go infinite` without one. Aborting signal cancels it (the client left or the board
+// changed); aborting stopSignal, or maxMs passing, ends it early with `stop` and still
+// resolves with the best move. onDepth gets every completed depth with all of its lines;
+// bound-only lines from a search in progress are skipped. pool is an engine pool (a
+// Scheduler with its engine); graceMs is how long past maxMs the engine may take to stop.
+export async function streamSearch(pool, {
+  fen, limit = null, multipv = 3, maxMs, graceMs = 5000, signal, stopSignal, engineOptions, onDepth = () => {}
+}) {
+  if (!pool.enabled) throw new Error(`Engine ${pool.engine.id} is not available. Check its path, or set STOCKFISH_BIN / build engine/Stockfish.`);
+  const settings = pool.engine.settings.effective(engineOptions);
+  const pos = parseFen(fen);
+  const expected = Math.min(multipv, generateMoves(pos).length);
+  // Nothing to search after mate or stalemate
+  if (!expected) {
+    const bestScore = inCheck(pos) ? { kind: 'mate', value: 0 } : { kind: 'cp', value: 0 };
+    return { fen, depth: 0, lines: [], bestScore, bestmove: null, engine: pool.engine.id, settings };
+  }
+
+  return pool.schedule(async (w) => {
+    w.send(`setoption name MultiPV value ${multipv}`);
+    w.send(`position fen ${fen}`);
+    w.send(limit ? `go ${goLimit(limit)}` : 'go infinite');
+    const deadline = setTimeout(() => w.stop(), maxMs);
+    const stop = () => w.stop();
+    if (stopSignal?.aborted) stop();
+    else stopSignal?.addEventListener('abort', stop, { once: true });
+
+    const lines = new Map();
+    let last = null;
+    try {
+      while (true) {
+        const line = await w.waitFor(() => true, maxMs + graceMs);
+        if (line.startsWith('bestmove')) {
+          return { fen, ...last, bestScore: last?.lines[0].score ?? null, bestmove: line.split(' ')[1], engine: pool.engine.id, settings };
+        }
+        const m = line.match(/ multipv (\d+).* pv (.+)$/);
+        const score = parseScore(line);
+        if (!m || !score || / (lower|upper)bound /.test(line)) continue;
+        const rank = Number(m[1]);
+        const entry = { rank, score, evalCp: scoreToCp(score), wdl: parseWdl(line), pv: m[2], uci: m[2].split(' ')[0] };
+        lines.set(rank, { ...entry, ...sanLine(fen, entry) });
+        if (rank !== expected) continue;
+        const field = (name) => Number(line.match(new RegExp(` ${name} (\\d+)`))?.[1] ?? 0);
+        last = {
+          depth: field('depth'),
+          seldepth: field('seldepth'),
+          nodes: field('nodes'),
+          nps: field('nps'),
+          timeMs: field('time'),
+          lines: [...lines.values()].filter((l) => l.rank <= expected).sort((a, b) => a.rank - b.rank)
+        };
+        onDepth(last);
+      }
+    } finally {
+      clearTimeout(deadline);
+      stopSignal?.removeEventListener('abort', stop);
+    }
+  }, { priority: 'interactive', signal, timeoutMs: maxMs + graceMs, engineOptions });
+}
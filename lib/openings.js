@@ -0,0 +1,131 @@
+import { existsSync, readFileSync, readdirSync } from 'node:fs';
+import { basename, join } from 'node:path';
+import { START_FEN, applyMove, findSanMove, moveToSan, moveToUci, parseFen, toFen } from './chess.js';
+import { normalizeFen } from './analysis-index.js';
+
+// ── ECO Openings ──
+// Named openings from the TSV files in a directory, in the format of the public
+// chess-openings dataset: a header row, then eco<TAB>name<TAB>pgn. Openings are keyed
+// by the EPD of the position they reach (the first four FEN fields, as normalizeFen
+// keeps them), so a game that gets there by another move order is still recognized.
+export class EcoDatabase {
+  constructor() {
+    this.byEpd = new Map(); // epd -> { eco, name, pgn, ply }
+    this.next = new Map(); // epd -> Map(uci -> { san, uci, to, lines }): the moves of every line
+    this.files = 0;
+    this.skipped = 0;
+    // Lines share long prefixes; replay each distinct prefix once while loading a file
+    this.prefixes = new Map([['', { pos: parseFen(START_FEN), epd: normalizeFen(START_FEN) }]]);
+  }
+
+  // Every *.tsv file in dir, in name order
+  load(dir) {
+    if (!existsSync(dir)) return this;
+    for (const file of readdirSync(dir).filter((f) => f.endsWith('.tsv')).sort()) this.loadFile(join(dir, file));
+    return this;
+  }
+
+  loadFile(path) {
+    this.files += 1;
+    readFileSync(path, 'utf8').split('\n').forEach((row, i) => {
+      if (!row.trim() || (i === 0 && row.startsWith('eco\t'))) return;
+      try {
+        this.add(...row.split('\t'));
+      } catch (err) {
+        this.skipped += 1;
+        console.warn(`Skipping opening at ${basename(path)}:${i + 1}: ${err.message}`);
+      }
+    });
+    this.prefixes = new Map([['', this.prefixes.get('')]]);
+    return this;
+  }
+
+  // pgn is plain movetext from the standard start ("1. e4 e5 2. Nf3"): no comments or variations
+  add(eco, name, pgn) {
+    if (!eco || !name || !pgn) throw new Error('Expected eco, name and pgn columns');
+    const sans = pgn.trim().split(/\s+|\d+\.(?:\.\.)?/).filter(Boolean);
+    if (!sans.length) throw new Error('No moves');
+
+    let key = '';
+    let from = this.prefixes.get(key);
+    for (const san of sans) {
+      key += ` ${san}`;
+      let to = this.prefixes.get(key);
+      if (!to) {
+        const found = findSanMove(from.pos, san);
+        if (found.error) throw new Error(`${found.error} ${san}`);
+        const pos = applyMove(from.pos, found.move);
+        to = { pos, epd: normalizeFen(toFen(pos)), san: moveToSan(from.pos, found.move), uci: moveToUci(found.move) };
+        this.prefixes.set(key, to);
+      }
+      if (!this.next.has(from.epd)) this.next.set(from.epd, new Map());
+      const edges = this.next.get(from.epd);
+      const edge = edges.get(to.uci) ?? { san: to.san, uci: to.uci, to: to.epd, lines: 0 };
+      edge.lines += 1;
+      edges.set(to.uci, edge);
+      from = to;
+    }
+    // A position reached by several lines keeps the name of the shortest one
+    const ply = sans.length;
+    const known = this.byEpd.get(from.epd);
+    if (!known || known.ply > ply) this.byEpd.set(from.epd, { eco, name, pgn, ply });
+  }
+
+  get size() {
+    return this.byEpd.size;
+  }
+
+  // fens: a game's positions from its start. The deepest named position it reached and
+  // its ply, or a null opening at ply 0.
+  deepestNamed(fens) {
+    let opening = null;
+    let ply = 0;
+    fens.forEach((fen, i) => {
+      const named = this.byEpd.get(normalizeFen(fen));
+      if (named) {
+        opening = named;
+        ply = i;
+      }
+    });
+    return { opening, ply };
+  }
+
+  // Every book move from this position, each with the first named opening it leads to
+  // and the number of named lines that go through it
+  continuations(fen) {
+    const edges = this.next.get(normalizeFen(fen));
+    if (!edges) return [];
+    return [...edges.values()]
+      .map((edge) => {
+        const opening = this.nearestNamed(edge.to);
+        return { move: edge.san, uci: edge.uci, eco: opening.eco, name: opening.name, lines: edge.lines };
+      })
+      .sort((a, b) => b.lines - a.lines);
+  }
+
+  // The nearest named position at or after epd along the book lines
+  nearestNamed(epd) {
+    const seen = new Set([epd]);
+    let frontier = [epd];
+    while (frontier.length) {
+      const named = frontier.map((e) => this.byEpd.get(e)).filter(Boolean);
+      if (named.length) return named.sort((a, b) => a.ply - b.ply)[0];
+      frontier = frontier.flatMap((e) => [...(this.next.get(e)?.values() ?? [])].map((edge) => edge.to))
+        .filter((e) => !seen.has(e) && seen.add(e));
+    }
+    return null;
+  }
+}
+
+// Replay SAN moves from fen: { fens } with the start position first, or { error }
+export function replaySans(fen, sans) {
+  let pos = parseFen(fen);
+  const fens = [toFen(pos)];
+  for (const [i, san] of sans.entries()) {
+    const found = findSanMove(pos, san);
+    if (found.error) return { error: `${found.error} ${san} at ply ${i + 1}` };
+    pos = applyMove(pos, found.move);
+    fens.push(toFen(pos));
+  }
+  return { fens };
+}
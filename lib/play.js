@@ -0,0 +1,326 @@
+import { randomUUID } from 'node:crypto';
+import {
+  FenError, START_FEN, applyMove, colorOf, findSanMove, generateMoves, hasLegalMove, inCheck, moveToSan, moveToUci,
+  opponent, parseFen, toFen
+} from './chess.js';
+import { EngineOptionError } from './engine-options.js';
+import { normalizeFen } from './analysis-index.js';
+import { numberedLine, wrapPgn } from './annotated-pgn.js';
+
+// ── Play ──
+// Games against an engine. The server holds the position and both clocks: the
+// player's time runs from the engine's reply until their move arrives, the engine's
+// while it searches. A side whose time runs out loses, or draws when the other side
+// has no mating material. Strength is set per game through Skill Level, or
+// UCI_LimitStrength with UCI_Elo, applied to the worker like any other engine option.
+const PLAY_COLORS = ['white', 'black', 'random'];
+// "5+3": minutes, then increment in seconds
+const TIME_CONTROL_PATTERN = /^(\d+(?:\.\d+)?)\+(\d+)$/;
+const UNTIMED_MOVETIME_MS = 1000;
+const PLAY_RETENTION_MS = 6 * 3600000;
+const MAX_PLAY_GAMES = 100;
+const SIDE_NAMES = { w: 'white', b: 'black' };
+
+// Raised for play requests that cannot be carried out; status is the HTTP status
+export class PlayError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PlayError';
+    this.status = status;
+  }
+}
+
+// "5+3" → { label, initialMs, incrementMs }; no time control at all is an untimed game (null)
+export function parseTimeControl(value, { maxMinutes = 60, maxIncrementSeconds = 60 } = {}) {
+  if (value === undefined || value === null || value === '') return null;
+  const m = TIME_CONTROL_PATTERN.exec(String(value).trim());
+  if (!m || Number(m[1]) <= 0) throw new PlayError('timeControl must look like "5+3" (minutes + increment seconds)');
+  if (Number(m[1]) > maxMinutes) throw new PlayError(`timeControl minutes must be at most ${maxMinutes}`);
+  if (Number(m[2]) > maxIncrementSeconds) {
+    throw new PlayError(`timeControl increment must be at most ${maxIncrementSeconds} seconds`);
+  }
+  return { label: `${m[1]}+${m[2]}`, initialMs: Math.round(Number(m[1]) * 60000), incrementMs: Number(m[2]) * 1000 };
+}
+
+// { skill } or { elo } → the engine options that set it, checked against the engine's bounds
+export function strengthOptions(engine, strength) {
+  if (!strength) return {};
+  const options = strength.elo !== undefined
+    ? { UCI_LimitStrength: true, UCI_Elo: strength.elo }
+    : strength.skill !== undefined ? { 'Skill Level': strength.skill } : null;
+  if (!options) throw new PlayError('strength must be { "skill": n } or { "elo": n }');
+  try {
+    return Object.fromEntries(Object.entries(options).map(([name, v]) => [name, engine.settings.check(name, v)]));
+  } catch (err) {
+    if (err instanceof EngineOptionError) throw new PlayError(err.message);
+    throw err;
+  }
+}
+
+// Kings and at most one minor piece each, with any bishops all on one square colour:
+// neither side can ever mate
+export function insufficientMaterial(pos) {
+  const pieces = pos.board.map((p, sq) => ({ p: p?.toLowerCase(), sq })).filter(({ p }) => p && p !== 'k');
+  if (pieces.some(({ p }) => 'prq'.includes(p))) return false;
+  if (pieces.length <= 1) return true;
+  const shade = ({ sq }) => ((sq >> 3) + (sq & 7)) % 2;
+  return pieces.every(({ p }) => p === 'b') && pieces.every((piece) => shade(piece) === shade(pieces[0]));
+}
+
+// Whether color could still mate at all: used to turn a loss on time into a draw
+export function hasMatingMaterial(pos, color) {
+  const own = pos.board.filter((p) => p && colorOf(p) === color && p.toLowerCase() !== 'k');
+  return own.some((p) => 'prq'.includes(p.toLowerCase())) || own.length >= 2;
+}
+
+export class PlayStore {
+  // engines: the engine registry. readFen checks a client's FEN and returns it cleaned
+  // up. The engine may overrun its clock by replyGraceMs before its reply is given up
+  // on, and by jobGraceMs before its worker is. At most maxGames games are kept.
+  constructor(engines, {
+    readFen = (fen) => fen, maxMinutes, maxIncrementSeconds, replyGraceMs = 5000, jobGraceMs = 120000,
+    maxGames = MAX_PLAY_GAMES
+  } = {}) {
+    this.engines = engines;
+    this.maxGames = maxGames;
+    this.readFen = readFen;
+    this.limits = { maxMinutes, maxIncrementSeconds };
+    this.replyGraceMs = replyGraceMs;
+    this.jobGraceMs = jobGraceMs;
+    this.games = new Map();
+  }
+
+  // body: { fen, color, strength, timeControl, engine }. Resolves once the engine has
+  // made its first move, if it has the first move.
+  async create(body) {
+    this.prune();
+    if (this.games.size >= this.maxGames) throw new PlayError('Too many games in progress; try again later', 503);
+    const engine = this.engines.get(body.engine);
+    if (!engine) throw new PlayError(`Unknown engine: ${body.engine}`);
+    if (!engine.available) throw new PlayError(`${engine.name} unavailable.`, 503);
+    const color = body.color ?? 'white';
+    if (!PLAY_COLORS.includes(color)) throw new PlayError(`color must be one of: ${PLAY_COLORS.join(', ')}`);
+    const clock = parseTimeControl(body.timeControl, this.limits);
+    // Strength is checked against the engine's own option list, known after a worker's handshake
+    if (!engine.settings.options.size) await engine.pool.schedule(async () => {});
+    const engineOptions = strengthOptions(engine, body.strength);
+
+    let pos;
+    try {
+      pos = parseFen(this.readFen(body.fen || START_FEN));
+    } catch (err) {
+      if (err instanceof FenError) throw new PlayError(err.message);
+      throw err;
+    }
+    if (!hasLegalMove(pos)) throw new PlayError('The game is already over in this position');
+
+    const human = color === 'random' ? (Math.random() < 0.5 ? 'w' : 'b') : color[0];
+    const game = {
+      id: randomUUID(),
+      engine,
+      engineOptions,
+      strength: body.strength ?? null,
+      human,
+      startFen: toFen(pos),
+      pos,
+      moves: [],
+      seen: new Map([[normalizeFen(toFen(pos)), 1]]),
+      clock: clock && { ...clock, remaining: { w: clock.initialMs, b: clock.initialMs } },
+      turnStartedAt: Date.now(),
+      thinking: false,
+      status: 'playing',
+      result: '*',
+      termination: null,
+      createdAt: Date.now(),
+      finishedAt: null
+    };
+    this.games.set(game.id, game);
+    if (pos.turn !== human) await this.engineMove(game);
+    return game;
+  }
+
+  get(id) {
+    const game = this.games.get(id);
+    if (game) this.checkFlag(game);
+    return game ?? null;
+  }
+
+  // The player's move, as UCI or SAN; resolves after the engine's reply
+  async move(game, text) {
+    this.checkFlag(game);
+    if (game.status !== 'playing') throw new PlayError('The game is over', 409);
+    if (game.thinking || game.pos.turn !== game.human) throw new PlayError('It is not your move', 409);
+    if (typeof text !== 'string' || !text.trim()) throw new PlayError('move is required');
+    const legal = generateMoves(game.pos);
+    let move = legal.find((m) => moveToUci(m) === text.trim());
+    if (!move) {
+      const found = findSanMove(game.pos, text.trim());
+      if (found.error) throw new PlayError(`${found.error}: ${text}`);
+      move = found.move;
+    }
+    this.play(game, move, 'player', Date.now() - game.turnStartedAt);
+    if (game.status === 'playing') await this.engineMove(game);
+    return game;
+  }
+
+  resign(game) {
+    this.checkFlag(game);
+    if (game.status !== 'playing') throw new PlayError('The game is over', 409);
+    this.finish(game, game.human === 'w' ? '0-1' : '1-0', 'resignation');
+    return game;
+  }
+
+  async engineMove(game) {
+    const { engine, pos, clock } = game;
+    game.thinking = true;
+    const history = game.moves.map((m) => m.uci).join(' ');
+    const budgetMs = clock ? clock.remaining[pos.turn] : UNTIMED_MOVETIME_MS;
+    let searchStartedAt = Date.now();
+    try {
+      const bestmove = await engine.pool.schedule(async (w) => {
+        w.send('setoption name MultiPV value 1');
+        w.send(`position fen ${game.startFen}${history ? ` moves ${history}` : ''}`);
+        searchStartedAt = Date.now();
+        const { remaining, incrementMs } = clock ?? {};
+        w.send(clock
+          ? `go wtime ${Math.round(remaining.w)} btime ${Math.round(remaining.b)} winc ${incrementMs} binc ${incrementMs}`
+          : `go movetime ${UNTIMED_MOVETIME_MS}`);
+        return (await w.waitFor((l) => l.startsWith('bestmove'), budgetMs + this.replyGraceMs)).split(' ')[1];
+      }, { priority: 'interactive', engineOptions: game.engineOptions, timeoutMs: budgetMs + this.jobGraceMs });
+      const move = generateMoves(pos).find((m) => moveToUci(m) === bestmove);
+      if (!move) throw new Error(`${engine.name} played an illegal move: ${bestmove}`);
+      this.play(game, move, 'engine', Date.now() - searchStartedAt);
+    } catch (err) {
+      // Nobody can move any more; end the game rather than leave it waiting for the engine
+      this.finish(game, '*', 'engine failure');
+      throw err;
+    } finally {
+      game.thinking = false;
+    }
+  }
+
+  // Charge the mover's clock, then make the move and see whether the game is over
+  play(game, move, by, elapsedMs) {
+    const { pos, clock } = game;
+    if (clock) {
+      clock.remaining[pos.turn] -= elapsedMs;
+      if (clock.remaining[pos.turn] <= 0) {
+        clock.remaining[pos.turn] = 0;
+        this.flag(game, pos.turn);
+        return;
+      }
+      clock.remaining[pos.turn] += clock.incrementMs;
+    }
+    const next = applyMove(pos, move);
+    game.moves.push({ san: moveToSan(pos, move), uci: moveToUci(move), fen: toFen(next), by, timeMs: Math.round(elapsedMs) });
+    game.pos = next;
+    game.turnStartedAt = Date.now();
+
+    const key = normalizeFen(toFen(next));
+    game.seen.set(key, (game.seen.get(key) ?? 0) + 1);
+    if (!hasLegalMove(next)) {
+      if (inCheck(next)) this.finish(game, next.turn === 'w' ? '0-1' : '1-0', 'checkmate');
+      else this.finish(game, '1/2-1/2', 'stalemate');
+    } else if (insufficientMaterial(next)) {
+      this.finish(game, '1/2-1/2', 'insufficient material');
+    } else if (game.seen.get(key) >= 3) {
+      this.finish(game, '1/2-1/2', 'threefold repetition');
+    } else if (next.halfmove >= 100) {
+      this.finish(game, '1/2-1/2', '50-move rule');
+    }
+  }
+
+  // The player's clock runs out between requests; notice it whenever the game is looked at
+  checkFlag(game) {
+    const { clock } = game;
+    if (game.status !== 'playing' || !clock || game.thinking || game.pos.turn !== game.human) return;
+    if (Date.now() - game.turnStartedAt >= clock.remaining[game.human]) {
+      clock.remaining[game.human] = 0;
+      this.flag(game, game.human);
+    }
+  }
+
+  flag(game, side) {
+    if (hasMatingMaterial(game.pos, opponent(side))) this.finish(game, side === 'w' ? '0-1' : '1-0', 'time forfeit');
+    else this.finish(game, '1/2-1/2', 'time forfeit, no mating material');
+  }
+
+  finish(game, result, termination) {
+    game.status = 'finished';
+    game.result = result;
+    game.termination = termination;
+    game.finishedAt = Date.now();
+  }
+
+  pgn(game) {
+    const strength = game.strength?.elo !== undefined ? ` (Elo ${game.strength.elo})`
+      : game.strength?.skill !== undefined ? ` (Skill ${game.strength.skill})` : '';
+    const names = { [game.human]: 'Player', [opponent(game.human)]: `${game.engine.name}${strength}` };
+    const date = new Date(game.createdAt).toISOString().slice(0, 10).replace(/-/g, '.');
+    const headers = {
+      Event: 'PawnForge practice game',
+      Site: 'PawnForge',
+      Date: date,
+      Round: '-',
+      White: names.w,
+      Black: names.b,
+      Result: game.result,
+      TimeControl: game.clock ? `${game.clock.initialMs / 1000}+${game.clock.incrementMs / 1000}` : '-'
+    };
+    if (game.startFen !== START_FEN) Object.assign(headers, { SetUp: '1', FEN: game.startFen });
+    if (game.termination) {
+      headers.Termination = game.termination.startsWith('time') ? 'time forfeit'
+        : game.termination === 'engine failure' ? 'abandoned' : 'normal';
+    }
+    const tags = Object.entries(headers).map(([k, v]) => `[${k} "${String(v).replace(/[\\"]/g, '\\$&')}"]`);
+    const tokens = [...numberedLine(game.startFen, game.moves.map((m) => m.san)), game.result];
+    return `${tags.join('\n')}\n\n${wrapPgn(tokens)}\n`;
+  }
+
+  snapshot(game) {
+    const { clock, pos } = game;
+    const running = game.status === 'playing' && !game.thinking ? pos.turn : null;
+    // The clock of the side to move is shown as it stands now
+    const remaining = (side) => Math.max(0, Math.round(
+      clock.remaining[side] - (running === side && side === game.human ? Date.now() - game.turnStartedAt : 0)
+    ));
+    return {
+      id: game.id,
+      engine: { id: game.engine.id, name: game.engine.name },
+      strength: game.strength,
+      color: SIDE_NAMES[game.human],
+      startFen: game.startFen,
+      fen: toFen(pos),
+      turn: SIDE_NAMES[pos.turn],
+      moves: game.moves,
+      clock: clock && {
+        timeControl: clock.label,
+        white: remaining('w'),
+        black: remaining('b'),
+        running: running && SIDE_NAMES[running]
+      },
+      status: game.status,
+      result: game.result,
+      termination: game.termination,
+      pgn: game.status === 'finished' ? this.pgn(game) : null
+    };
+  }
+
+  // Drop games left idle past their retention time, then make room under the cap for one
+  // more game with the oldest finished games. Games still being played are never dropped
+  // for the cap, so a full store of them turns new games away instead.
+  prune() {
+    const now = Date.now();
+    for (const game of this.games.values()) {
+      const idle = now - (game.finishedAt ?? game.turnStartedAt) > PLAY_RETENTION_MS;
+      if (idle && !game.thinking) this.games.delete(game.id);
+    }
+    let excess = this.games.size - this.maxGames + 1;
+    for (const game of this.games.values()) {
+      if (excess <= 0) break;
+      if (game.status === 'playing' || game.thinking) continue;
+      this.games.delete(game.id);
+      excess -= 1;
+    }
+  }
+}
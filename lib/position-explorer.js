@@ -0,0 +1,88 @@
+import { normalizeFen } from './analysis-index.js';
+
+// ── Personal Explorer ──
+// Every game in the database indexed by position (EPD), so the moves played from a
+// position are found whatever the move order. Results, ratings and game links are
+// worked out per query from the game records, which keeps the player and colour
+// filters simple. Percentages and opponent ratings are from the filtered player's
+// point of view, or the side playing the move when no player is given.
+export const EXPLORER_COLORS = ['white', 'black'];
+export const EXPLORER_GAME_LINKS = 10;
+
+export class PositionExplorer {
+  constructor(games) {
+    this.games = games; // id -> game record
+    this.positions = new Map(); // epd -> Map(uci -> { san, uci, gameIds: Set })
+  }
+
+  add(game) {
+    let from = normalizeFen(game.startFen);
+    for (const move of game.moves) {
+      if (!this.positions.has(from)) this.positions.set(from, new Map());
+      const edges = this.positions.get(from);
+      if (!edges.has(move.uci)) edges.set(move.uci, { san: move.san, uci: move.uci, gameIds: new Set() });
+      edges.get(move.uci).gameIds.add(game.id);
+      from = normalizeFen(move.fen);
+    }
+  }
+
+  // player: part of a name, case-insensitive; color: 'white' | 'black' narrows it to that side
+  query(fen, { player = '', color = null } = {}) {
+    const needle = player.trim().toLowerCase();
+    const sides = color ? [color === 'white' ? 'White' : 'Black'] : ['White', 'Black'];
+    const matches = (game, side) => (game.headers[side] || '').toLowerCase().includes(needle);
+    const include = (game) => !needle || sides.some((side) => matches(game, side));
+    const mover = fen.split(' ')[1] === 'w' ? 'White' : 'Black';
+    // The side whose results count: the player's, unless they played both sides
+    const sideOf = (game) => {
+      if (!needle) return mover;
+      const played = sides.filter((side) => matches(game, side));
+      return played.length === 1 ? played[0] : mover;
+    };
+
+    const moves = [];
+    for (const edge of this.positions.get(normalizeFen(fen))?.values() ?? []) {
+      const games = [...edge.gameIds].map((id) => this.games.get(id)).filter(include);
+      if (!games.length) continue;
+
+      let win = 0;
+      let draw = 0;
+      let loss = 0;
+      const ratings = [];
+      for (const game of games) {
+        const side = sideOf(game);
+        if (game.result === (side === 'White' ? '1-0' : '0-1')) win += 1;
+        else if (game.result === '1/2-1/2') draw += 1;
+        else if (game.result !== '*') loss += 1;
+        const rating = Number.parseInt(game.headers[side === 'White' ? 'BlackElo' : 'WhiteElo'], 10);
+        if (rating > 0) ratings.push(rating);
+      }
+      const decided = win + draw + loss;
+      const percent = (n) => (decided ? Math.round((n / decided) * 1000) / 10 : null);
+
+      moves.push({
+        move: edge.san,
+        uci: edge.uci,
+        games: games.length,
+        win: percent(win),
+        draw: percent(draw),
+        loss: percent(loss),
+        avgOpponentRating: ratings.length ? Math.round(ratings.reduce((a, b) => a + b, 0) / ratings.length) : null,
+        gameLinks: games
+          .sort((a, b) => (b.headers.Date || '').localeCompare(a.headers.Date || ''))
+          .slice(0, EXPLORER_GAME_LINKS)
+          .map((g) => ({
+            id: g.id,
+            white: g.headers.White ?? '?',
+            black: g.headers.Black ?? '?',
+            result: g.result,
+            date: g.headers.Date ?? null,
+            event: g.headers.Event ?? null,
+            reviewed: g.reviewStatus === 'done'
+          }))
+      });
+    }
+    moves.sort((a, b) => b.games - a.games);
+    return { fen, games: moves.reduce((sum, m) => sum + m.games, 0), moves };
+  }
+}
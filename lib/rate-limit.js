@@ -0,0 +1,152 @@
+import { engineMeter } from './scheduler.js';
+
+// ── Admission Control ──
+// Engine-heavy requests are admitted per client IP and route: at most `concurrent` at
+// once, and engine time from a bucket of `engineSecondsPerMinute` that refills
+// continuously. A request is charged the worker time of every job it schedules, so a
+// review that runs long leaves the bucket in debt and later requests wait it out. A
+// pool queue longer than maxQueueLength turns everyone away. Refusals are 429 with
+// Retry-After. RATE_LIMITS (JSON) overrides the defaults per route; 0 means no limit.
+// Games against the engine count as `play`, WebSocket searches as `session`. A PGN
+// import runs no engine; it is charged the time spent reading the PGN instead.
+export const RATE_LIMIT_DEFAULTS = {
+  position: { concurrent: 4, engineSecondsPerMinute: 120 },
+  live: { concurrent: 1, engineSecondsPerMinute: 300 },
+  'all-moves': { concurrent: 1, engineSecondsPerMinute: 240 },
+  game: { concurrent: 1, engineSecondsPerMinute: 600 },
+  play: { concurrent: 2, engineSecondsPerMinute: 300 },
+  session: { concurrent: 2, engineSecondsPerMinute: 300 },
+  tablebase: { concurrent: 2, engineSecondsPerMinute: 60 },
+  import: { concurrent: 1, engineSecondsPerMinute: 30 }
+};
+// Retry-After for refusals that do not depend on the bucket
+const BUSY_RETRY_SECONDS = 2;
+
+// The defaults with the overrides in json, the value of RATE_LIMITS
+export function loadRateLimits(json) {
+  const limits = structuredClone(RATE_LIMIT_DEFAULTS);
+  if (!json) return limits;
+  const fail = (why) => { throw new Error(`RATE_LIMITS: ${why}`); };
+  let config;
+  try {
+    config = JSON.parse(json);
+  } catch (err) {
+    fail(err.message);
+  }
+  for (const [route, values] of Object.entries(config ?? {})) {
+    if (!limits[route]) fail(`unknown route "${route}" (known: ${Object.keys(limits).join(', ')})`);
+    for (const [name, value] of Object.entries(values ?? {})) {
+      if (!(name in limits[route])) fail(`unknown limit "${name}" for ${route}`);
+      if (!Number.isFinite(value) || value < 0) fail(`${route}.${name} must be a number of 0 or more`);
+      limits[route][name] = value;
+    }
+  }
+  return limits;
+}
+
+// Behind trustProxy reverse proxies, each appends the address it was connected from to
+// X-Forwarded-For; the client is the one the outermost proxy appended, counted from the
+// right. Entries further left are whatever the client sent and are not trusted.
+export function clientIp(req, trustProxy = 0) {
+  if (!trustProxy) return req.socket.remoteAddress;
+  const forwarded = (req.headers['x-forwarded-for'] ?? '').split(',').map((a) => a.trim());
+  return forwarded.at(-trustProxy) || req.socket.remoteAddress;
+}
+
+export class RateLimiter {
+  // queued: how many jobs wait in the engine pools right now
+  constructor(limits, { queued = () => 0, maxQueueLength = 200 } = {}) {
+    this.limits = limits;
+    this.queued = queued;
+    this.maxQueueLength = maxQueueLength;
+    this.clients = new Map(); // "ip route" -> { ip, route, active, tokensMs, updatedAt }
+    this.rejected = { queue: 0, concurrent: 0, engineTime: 0 };
+  }
+
+  // The client's bucket for a route, refilled up to the present
+  bucket(ip, route) {
+    const key = `${ip} ${route}`;
+    const capacityMs = this.limits[route].engineSecondsPerMinute * 1000;
+    let entry = this.clients.get(key);
+    if (!entry) {
+      entry = { ip, route, active: 0, tokensMs: capacityMs, updatedAt: Date.now() };
+      this.clients.set(key, entry);
+    }
+    const now = Date.now();
+    entry.tokensMs = Math.min(capacityMs, entry.tokensMs + ((now - entry.updatedAt) * capacityMs) / 60000);
+    entry.updatedAt = now;
+    return entry;
+  }
+
+  // { ticket } for an admitted request, or { retryAfter, error } for a refused one
+  admit(ip, route) {
+    this.prune();
+    if (this.queued() >= this.maxQueueLength) {
+      this.rejected.queue += 1;
+      return { retryAfter: BUSY_RETRY_SECONDS, error: 'The engines are busy; try again shortly.' };
+    }
+    const { concurrent, engineSecondsPerMinute } = this.limits[route];
+    const entry = this.bucket(ip, route);
+    if (concurrent && entry.active >= concurrent) {
+      this.rejected.concurrent += 1;
+      return { retryAfter: BUSY_RETRY_SECONDS, error: `At most ${concurrent} ${route} requests at once per client.` };
+    }
+    if (engineSecondsPerMinute && entry.tokensMs <= 0) {
+      this.rejected.engineTime += 1;
+      return {
+        retryAfter: Math.max(1, Math.ceil((-entry.tokensMs / (engineSecondsPerMinute * 1000)) * 60)),
+        error: `Engine time for ${route} requests used up (${engineSecondsPerMinute}s per minute).`
+      };
+    }
+    entry.active += 1;
+    let released = false;
+    return {
+      ticket: {
+        charge: (ms) => {
+          this.bucket(ip, route).tokensMs -= ms;
+        },
+        release: () => {
+          if (!released) entry.active -= 1;
+          released = true;
+        }
+      }
+    };
+  }
+
+  // run, with its engine time charged to the ticket and its slot given back when it ends
+  meter(ticket, run) {
+    return async (...args) => {
+      try {
+        return await engineMeter.run(ticket, () => run(...args));
+      } finally {
+        ticket.release();
+      }
+    };
+  }
+
+  // Clients with nothing running and a full bucket are forgotten
+  prune() {
+    for (const [key, entry] of this.clients) {
+      const { tokensMs } = this.bucket(entry.ip, entry.route);
+      if (!entry.active && tokensMs >= this.limits[entry.route].engineSecondsPerMinute * 1000) this.clients.delete(key);
+    }
+  }
+
+  // Client addresses and budgets only with { clients: true } (admins); a count otherwise
+  status({ clients = false } = {}) {
+    this.prune();
+    const entries = [...this.clients.values()];
+    return {
+      limits: this.limits,
+      maxQueueLength: this.maxQueueLength,
+      queued: this.queued(),
+      rejected: this.rejected,
+      clients: !clients ? new Set(entries.map((e) => e.ip)).size : entries.map(({ ip, route, active, tokensMs }) => ({
+        ip,
+        route,
+        active,
+        engineSecondsLeft: Math.round(tokensMs / 100) / 10
+      }))
+    };
+  }
+}
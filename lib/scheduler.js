@@ -0,0 +1,164 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+// ── Job Scheduler ──
+// The queue in front of an engine pool's workers. Jobs wait in priority order for the
+// first idle worker, interactive work can stop a batch search to get one, and a job can
+// be cancelled while queued or running. A worker is anything with isAvailable(),
+// run(task, { timeoutMs, job }), stop(), busy and job; EnginePool's are UCI processes.
+
+// Lower runs first; within a class jobs are FIFO
+export const PRIORITY = { interactive: 0, batch: 1 };
+// How many times one batch job may be stopped and requeued to make room for interactive work
+export const MAX_PREEMPTIONS = 3;
+// The rate limiter's ticket for the request being served: every job scheduled while it
+// runs, however deep in the call chain, has its engine time charged to that ticket
+export const engineMeter = new AsyncLocalStorage();
+
+// Raised when a worker dies or stops responding mid-job; the pool retries these elsewhere
+export class EngineCrashError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EngineCrashError';
+  }
+}
+
+// Raised to callers whose job was cancelled, whether it was still queued or already searching
+export class JobCancelledError extends Error {
+  constructor(message = 'Job cancelled') {
+    super(message);
+    this.name = 'JobCancelledError';
+  }
+}
+
+export class Scheduler {
+  constructor() {
+    this.workers = [];
+    this.queue = [];
+    this.nextJobId = 1;
+    this.retries = 0;
+    this.cancelled = 0;
+  }
+
+  // The settings a job's worker is configured with before running it
+  jobSettings(_engineOptions) {
+    return {};
+  }
+
+  // Queue a task for the first idle worker. Crashed or hung jobs are retried on a healthy one.
+  schedule(task, { priority = 'interactive', signal = null, timeoutMs, attempts = 3, engineOptions } = {}) {
+    if (signal?.aborted) return Promise.reject(new JobCancelledError());
+    return new Promise((resolve, reject) => {
+      const job = {
+        id: this.nextJobId,
+        task,
+        settings: this.jobSettings(engineOptions),
+        priority,
+        rank: PRIORITY[priority] ?? PRIORITY.interactive,
+        timeoutMs,
+        attemptsLeft: attempts,
+        preemptions: 0,
+        preempted: false,
+        worker: null,
+        settled: false,
+        meter: engineMeter.getStore() ?? null,
+        signal,
+        resolve,
+        reject
+      };
+      this.nextJobId += 1;
+
+      if (signal) {
+        job.onAbort = () => this.cancel(job);
+        signal.addEventListener('abort', job.onAbort, { once: true });
+      }
+
+      this.enqueue(job);
+      this.dispatch();
+    });
+  }
+
+  enqueue(job) {
+    // Stable insert: after every job of the same or higher priority, retries keep their id order
+    let i = this.queue.length;
+    while (i > 0 && (this.queue[i - 1].rank > job.rank ||
+      (this.queue[i - 1].rank === job.rank && this.queue[i - 1].id > job.id))) {
+      i -= 1;
+    }
+    this.queue.splice(i, 0, job);
+  }
+
+  settle(job, err, value) {
+    if (job.settled) return;
+    job.settled = true;
+    if (job.onAbort) job.signal.removeEventListener('abort', job.onAbort);
+    if (err) job.reject(err);
+    else job.resolve(value);
+  }
+
+  cancel(job) {
+    if (job.settled) return;
+    this.cancelled += 1;
+    const idx = this.queue.indexOf(job);
+    if (idx !== -1) this.queue.splice(idx, 1);
+    // A running search is told to stop; its worker frees up as soon as bestmove arrives
+    if (job.worker) job.worker.stop();
+    this.settle(job, new JobCancelledError());
+  }
+
+  dispatch() {
+    while (this.queue.length > 0) {
+      const worker = this.workers.find((w) => w.isAvailable());
+      if (!worker) {
+        this.preemptFor(this.queue[0]);
+        return;
+      }
+      this.start(this.queue.shift(), worker);
+    }
+  }
+
+  // Interactive work waiting on a full pool stops one batch search; that job is requeued
+  preemptFor(job) {
+    if (job.rank !== PRIORITY.interactive) return;
+    const victim = this.workers
+      .map((w) => w.job)
+      .find((j) => j && j.rank > job.rank && !j.preempted && j.preemptions < MAX_PREEMPTIONS);
+    if (!victim) return;
+    victim.preempted = true;
+    victim.preemptions += 1;
+    victim.worker.stop();
+  }
+
+  start(job, worker) {
+    job.worker = worker;
+    job.startedAt = Date.now();
+    job.attemptsLeft -= 1;
+    worker.run(job.task, { timeoutMs: job.timeoutMs, job }).then(
+      (value) => {
+        job.worker = null;
+        job.meter?.charge(Date.now() - job.startedAt);
+        // A preempted search returned early with a shallow result; run it again later
+        if (job.preempted && !job.settled) {
+          job.preempted = false;
+          job.attemptsLeft += 1;
+          this.enqueue(job);
+          this.dispatch();
+          return;
+        }
+        this.settle(job, null, value);
+      },
+      (err) => {
+        job.worker = null;
+        job.preempted = false;
+        job.meter?.charge(Date.now() - job.startedAt);
+        if (err instanceof EngineCrashError && job.attemptsLeft > 0 && !job.settled) {
+          this.retries += 1;
+          console.error(`${err.message}; retrying job ${job.id}`);
+          this.enqueue(job);
+          this.dispatch();
+          return;
+        }
+        this.settle(job, err);
+      }
+    );
+  }
+}
@@ -0,0 +1,86 @@
+// ── Scores ──
+// A score is { kind: 'cp' | 'mate', value } from the side to move's point of view.
+// Mate values count moves: positive mates, negative gets mated, 0 is already checkmated.
+const MATE_CP = 100000;
+const DELTA_CAP_CP = 1000;
+
+export const CATEGORIES = {
+  best: { key: 'best', label: 'Best', color: 'blue' },
+  good: { key: 'good', label: 'Good', color: 'green' },
+  inaccuracy: { key: 'inaccuracy', label: 'Inaccuracy', color: 'orange' },
+  mistake: { key: 'mistake', label: 'Mistake', color: 'red' },
+  blunder: { key: 'blunder', label: 'Blunder', color: 'red-strong' }
+};
+
+// Sortable centipawns: mate-in-1 ranks above mate-in-12, getting mated later above sooner
+export function scoreToCp(score) {
+  if (!score) return 0;
+  if (score.kind === 'cp') return score.value;
+  return score.value > 0 ? MATE_CP - score.value : -MATE_CP - score.value;
+}
+
+// Centipawns clamped to ±1000 so a single mate swing does not swamp deltas and ACPL
+function cappedCp(score) {
+  return Math.max(-DELTA_CAP_CP, Math.min(DELTA_CAP_CP, scoreToCp(score)));
+}
+
+// Re-express the score of the position after a move for the side that played it
+export function scoreForMover(score) {
+  if (score.kind === 'cp') return { kind: 'cp', value: -score.value };
+  return { kind: 'mate', value: score.value > 0 ? -score.value : 1 - score.value };
+}
+
+function isMateFor(score) {
+  return score.kind === 'mate' && score.value > 0;
+}
+
+function isMateAgainst(score) {
+  return score.kind === 'mate' && score.value <= 0;
+}
+
+export function deltaBetween(bestScore, playedScore) {
+  return Math.max(0, cappedCp(bestScore) - cappedCp(playedScore));
+}
+
+// Mate transitions are graded by how much is left afterwards, not by the raw swing
+function mateSeverity(cpLeft) {
+  if (cpLeft > 999) return CATEGORIES.inaccuracy;
+  if (cpLeft > 700) return CATEGORIES.mistake;
+  return CATEGORIES.blunder;
+}
+
+export function classify(deltaCp, bestScore = null, playedScore = null) {
+  if (bestScore && playedScore) {
+    if (isMateFor(bestScore) && !isMateFor(playedScore)) {
+      return { ...mateSeverity(scoreToCp(playedScore)), note: `Missed mate in ${bestScore.value}` };
+    }
+    if (isMateAgainst(playedScore) && !isMateAgainst(bestScore)) {
+      const note = playedScore.value === 0 ? 'Allowed mate' : `Allowed mate in ${-playedScore.value}`;
+      return { ...mateSeverity(-scoreToCp(bestScore)), note };
+    }
+  }
+  if (deltaCp <= 20) return CATEGORIES.best;
+  if (deltaCp <= 60) return CATEGORIES.good;
+  if (deltaCp <= 150) return CATEGORIES.inaccuracy;
+  if (deltaCp <= 300) return CATEGORIES.mistake;
+  return CATEGORIES.blunder;
+}
+
+export function parseScore(line) {
+  const m = line.match(/score (cp|mate) (-?\d+)/);
+  if (!m) return null;
+  return { kind: m[1], value: Number(m[2]) };
+}
+
+export function goLimit(limit) {
+  if (limit.depth !== undefined) return `depth ${limit.depth}`;
+  if (limit.nodes !== undefined) return `nodes ${limit.nodes}`;
+  return `movetime ${limit.movetime}`;
+}
+
+// Win/draw/loss in permille from the side to move, or null when the engine omits it
+export function parseWdl(line) {
+  const m = line.match(/ wdl (\d+) (\d+) (\d+)/);
+  if (!m) return null;
+  return { w: Number(m[1]), d: Number(m[2]), l: Number(m[3]) };
+}
@@ -0,0 +1,14 @@
+// ── Server-Sent Events ──
+// The streaming routes and job event streams answer with text/event-stream: one `data:`
+// line of JSON per event.
+export function openEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+}
+
+export function writeEvent(res, data) {
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
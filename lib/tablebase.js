@@ -0,0 +1,170 @@
+import { readdirSync } from 'node:fs';
+import { delimiter } from 'node:path';
+import { colorOf, generateMoves, inCheck, moveToSan, moveToUci, parseFen, toFen } from './chess.js';
+import { parseScore } from './scores.js';
+
+// ── Tablebases ──
+// Syzygy endgame tablebases from a list of directories (separated like PATH), which
+// every worker loads itself as SyzygyPath. Stockfish has no probe command: a depth 1
+// search with every root move as a PV line is the probe. With the root in the
+// tablebases Stockfish ranks the root moves itself and reports each one's tablebase
+// score: "cp 20000" for a win, "cp -20000" for a loss, 0 for a draw and small values
+// for wins or losses that the 50-move rule turns into draws.
+// DTZ is never printed, but where a win turns into a cursed win depends on the
+// halfmove clock: a move with DTZ d still shows as a win at clock c while d + c <= 100
+// (a loss likewise). Searching over the clock written into the FEN finds d exactly
+// for every d up to 100; longer ones are cursed at any clock and get no DTZ.
+export const TB_SCORE_CP = 20000;
+export const TB_MAX_CLOCK = 100;
+const TB_PIECE_ORDER = 'KQRBNP';
+export const TB_CATEGORIES = { 2: 'win', 1: 'cursed-win', 0: 'draw', '-1': 'blessed-loss', '-2': 'loss' };
+
+export class Tablebases {
+  constructor(path) {
+    this.path = path;
+    this.wdlTables = new Set(); // material keys such as "KRPvKR"
+    this.dtzTables = new Set();
+    this.maxPieces = 0;
+    for (const dir of path.split(delimiter).filter(Boolean)) {
+      let files;
+      try {
+        files = readdirSync(dir);
+      } catch (err) {
+        console.warn(`Skipping tablebase directory ${dir}: ${err.message}`);
+        continue;
+      }
+      for (const file of files) {
+        const m = file.match(/^(K[QRBNP]*vK[QRBNP]*)\.rtb([wz])$/);
+        if (!m) continue;
+        (m[2] === 'w' ? this.wdlTables : this.dtzTables).add(m[1]);
+        this.maxPieces = Math.max(this.maxPieces, m[1].length - 1);
+      }
+    }
+  }
+
+  get enabled() {
+    return this.wdlTables.size > 0;
+  }
+
+  // { wdl, dtz }: which tables this position can be probed in. Castling rights keep a
+  // position out of the tablebases, as in Stockfish.
+  covers(pos) {
+    const pieces = pos.board.filter(Boolean);
+    if (!this.enabled || pieces.length > this.maxPieces || pos.castling) return { wdl: false, dtz: false };
+    // Bare kings have no table of their own: they are a draw
+    if (pieces.length === 2) return { wdl: true, dtz: true };
+    const side = (color) => pieces
+      .filter((p) => colorOf(p) === color)
+      .map((p) => p.toUpperCase())
+      .sort((a, b) => TB_PIECE_ORDER.indexOf(a) - TB_PIECE_ORDER.indexOf(b))
+      .join('');
+    // Files are named with the stronger side first; either order may be on disk
+    const keys = [`${side('w')}v${side('b')}`, `${side('b')}v${side('w')}`];
+    return {
+      wdl: keys.some((k) => this.wdlTables.has(k)),
+      dtz: keys.some((k) => this.dtzTables.has(k))
+    };
+  }
+
+  status() {
+    return {
+      path: this.path || null,
+      maxPieces: this.maxPieces,
+      wdlTables: this.wdlTables.size,
+      dtzTables: this.dtzTables.size
+    };
+  }
+
+  // Probe a position: { wdl, category, dtz, moves: [{ move, uci, wdl, category, dtz }] }
+  // from the side to move, best move first, or null outside the tablebases. dtz is
+  // positive for wins, negative for losses, and null when it is over 100 or the DTZ
+  // tables are missing. withDtz: false asks for the result only (one search). pool: an
+  // engine pool of Stockfish workers that have loaded the tables, or none.
+  async probe(pool, fen, { withDtz = true, priority = 'interactive', signal } = {}) {
+    const pos = parseFen(fen);
+    const coverage = this.covers(pos);
+    if (!coverage.wdl || !pool) return null;
+
+    const legal = generateMoves(pos);
+    if (!legal.length) {
+      const wdl = inCheck(pos) ? -2 : 0;
+      return { fen, wdl, category: TB_CATEGORIES[wdl], dtz: 0, moves: [] };
+    }
+    if (pos.board.filter(Boolean).length === 2) {
+      const moves = legal.map((m) => ({ move: moveToSan(pos, m), uci: moveToUci(m), wdl: 0, category: 'draw', dtz: 0 }));
+      return { fen, wdl: 0, category: 'draw', dtz: 0, moves };
+    }
+
+    return pool.schedule(async (w) => {
+      const probe = (clock) => tablebaseRootScores(w, pos, clock, legal.length);
+      const now = await probe(pos.halfmove);
+      const moves = legal.map((m) => {
+        const uci = moveToUci(m);
+        const wdl = now.has(uci) ? tablebaseWdl(now.get(uci)) : 0;
+        return { move: moveToSan(pos, m), uci, wdl, category: TB_CATEGORIES[wdl], dtz: wdl === 0 ? 0 : null };
+      });
+
+      if (withDtz && coverage.dtz) {
+        // Wins and losses of at most 100 plies show as such at clock 0; each one's DTZ is
+        // 100 minus the highest clock at which it still does
+        const pure = pos.halfmove === 0 ? now : await probe(0);
+        const decisive = moves.filter((m) => pure.has(m.uci) && Math.abs(tablebaseWdl(pure.get(m.uci))) === 2);
+        const range = new Map(decisive.map((m) => [m, { lo: 0, hi: TB_MAX_CLOCK }]));
+        let open;
+        while ((open = decisive.find((m) => range.get(m).hi - range.get(m).lo > 1))) {
+          const clock = (range.get(open).lo + range.get(open).hi) >> 1;
+          const scores = await probe(clock);
+          for (const m of decisive) {
+            const r = range.get(m);
+            if (clock <= r.lo || clock >= r.hi) continue;
+            const shows = scores.has(m.uci) && Math.abs(tablebaseWdl(scores.get(m.uci))) === 2;
+            if (shows) r.lo = clock;
+            else r.hi = clock;
+          }
+        }
+        for (const m of decisive) {
+          const d = TB_MAX_CLOCK - range.get(m).lo;
+          m.dtz = tablebaseWdl(pure.get(m.uci)) > 0 ? d : -d;
+        }
+      }
+
+      w.send('setoption name MultiPV value 1');
+
+      // Best first: the better result, then the quicker win or the longer defence. A
+      // missing DTZ on a decisive move means a long one: last among wins, first among losses.
+      const dtzKey = (m) => m.dtz ?? (m.wdl > 0 ? Infinity : -Infinity);
+      moves.sort((a, b) => b.wdl - a.wdl || (dtzKey(a) === dtzKey(b) ? 0 : dtzKey(a) < dtzKey(b) ? -1 : 1));
+      const best = moves[0];
+      return { fen, wdl: best.wdl, category: best.category, dtz: best.dtz, moves };
+    }, { priority, signal });
+  }
+}
+
+// Tablebase result of a root move's score, from the side to move: 2 win, 1 cursed win,
+// 0 draw, -1 blessed loss, -2 loss. Cursed wins far past the 50-move horizon round to
+// "cp 0" and read as draws.
+export function tablebaseWdl(score) {
+  if (score.kind === 'mate') return score.value > 0 ? 2 : -2;
+  if (score.value >= TB_SCORE_CP) return 2;
+  if (score.value <= -TB_SCORE_CP) return -2;
+  return Math.sign(score.value);
+}
+
+// One probe: a depth 1 search over every root move, with the halfmove clock set to clock
+function tablebaseRootScores(w, pos, clock, multipv) {
+  const fen = toFen({ ...pos, halfmove: clock });
+  w.send(`setoption name MultiPV value ${multipv}`);
+  w.send(`position fen ${fen}`);
+  w.send('go depth 1');
+  return (async () => {
+    const scores = new Map();
+    while (true) {
+      const line = await w.waitFor(() => true, 5000);
+      if (line.startsWith('bestmove')) break;
+      const pv = line.match(/ pv (\S+)/);
+      const score = parseScore(line);
+      if (pv && score) scores.set(pv[1], score);
+    }
+    return scores;
+  })();
+}
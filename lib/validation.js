@@ -0,0 +1,99 @@
+import { FenError, checkPosition, generateMoves, moveToUci, parseFen, toFen } from './chess.js';
+
+// ── Request Validation ──
+// Everything a client sends that ends up in a UCI command is checked here first. A FEN
+// must describe a reachable-looking position (not merely parse), and only the canonical
+// FEN rebuilt from the board is ever sent to an engine, so nothing the client typed is
+// passed through. Search limits are bounded so one request cannot hold a worker for long.
+const SEARCH_BOUND_DEFAULTS = {
+  depth: { min: 1, max: 30, env: 'MAX_DEPTH' },
+  multipv: { min: 1, max: 10, env: 'MAX_MULTIPV' },
+  movetime: { min: 10, max: 10000, env: 'MAX_MOVETIME_MS' },
+  nodes: { min: 1, max: 10000000, env: 'MAX_NODES' }
+};
+export const MAX_FEN_LENGTH = 100;
+const UCI_MOVE_PATTERN = /^[a-h][1-8][a-h][1-8][nbrq]?$/;
+// Explorer search modes: per-move movetime/depth/nodes searches, or one shared MultiPV search
+export const EXPLORER_MODES = ['movetime', 'depth', 'nodes', 'single'];
+
+// Raised for a search limit or move that a request may not use; answered with 400
+export class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+// { depth, multipv, movetime, nodes } as { min, max }, each max raised or lowered by
+// its MAX_* variable in env
+export function searchBounds(env = {}) {
+  return Object.fromEntries(Object.entries(SEARCH_BOUND_DEFAULTS).map(([name, { min, max, env: key }]) => (
+    [name, { min, max: Number(env[key]) || max }]
+  )));
+}
+
+// A bounded integer search setting (see searchBounds); label names it in the error
+export function checkLimit(bounds, name, value, label = name) {
+  const { min, max } = bounds[name];
+  const n = typeof value === 'string' && value.trim() ? Number(value) : value;
+  if (!Number.isInteger(n)) throw new ValidationError(`${label} must be an integer`);
+  if (n < min || n > max) throw new ValidationError(`${label} must be between ${min} and ${max}`);
+  return n;
+}
+
+// A FEN from a request: read strictly and checked for legality. Returns the canonical
+// FEN, which is what engines get. label names the field in error messages.
+export function readClientFen(fen, label = 'FEN') {
+  if (typeof fen !== 'string' || !fen.trim()) throw new FenError(`${label} is required`);
+  if (fen.length > MAX_FEN_LENGTH) throw new FenError(`${label} is longer than ${MAX_FEN_LENGTH} characters`);
+  // Only spaces separate fields; a newline could start another UCI command
+  if (/[^\x20-\x7e]/.test(fen)) throw new FenError(`${label} may only contain printable ASCII and spaces`);
+  try {
+    const pos = parseFen(fen);
+    checkPosition(pos);
+    return toFen(pos);
+  } catch (err) {
+    if (err instanceof FenError && label !== 'FEN') throw new FenError(`${label}: ${err.message}`);
+    throw err;
+  }
+}
+
+// The list of FENs in field name of a game request. With optional set a ply's entry may
+// be left empty (preMoveSequence); the others are read with readClientFen.
+export function readClientFenList(list = [], name, { optional = false } = {}) {
+  if (!Array.isArray(list)) throw new ValidationError(`${name} must be a list of FENs`);
+  return list.map((fen, i) => (fen || !optional ? readClientFen(fen, `${name}[${i}]`) : fen));
+}
+
+// The position and search settings of a position analysis or engine comparison: the
+// canonical body.fen, and body.settings.depth (default 12) and multiPv (default 3)
+export function readPositionRequest(bounds, body) {
+  return {
+    fen: readClientFen(body.fen),
+    depth: checkLimit(bounds, 'depth', body.settings?.depth ?? 12, 'settings.depth'),
+    multipv: checkLimit(bounds, 'multipv', body.settings?.multiPv ?? 3, 'settings.multiPv')
+  };
+}
+
+// A UCI move from a request, legal in pos; returns the generated move
+export function readClientMove(pos, uci) {
+  if (typeof uci !== 'string' || !UCI_MOVE_PATTERN.test(uci)) {
+    throw new ValidationError(`"${String(uci).slice(0, 20)}" is not a UCI move (e.g. e2e4, e7e8q)`);
+  }
+  const move = generateMoves(pos).find((m) => moveToUci(m) === uci);
+  if (!move) throw new ValidationError(`Illegal move: ${uci}`);
+  return move;
+}
+
+// The explorer's mode and the limit each of its searches gets from request settings
+export function explorerLimit(bounds, settings = {}) {
+  const mode = settings.mode ?? 'movetime';
+  if (!EXPLORER_MODES.includes(mode)) throw new ValidationError(`Unknown explorer mode: ${mode}`);
+  if (mode === 'depth' || mode === 'single') {
+    return { mode, limit: { depth: checkLimit(bounds, 'depth', settings.depth ?? 12, 'settings.depth') } };
+  }
+  if (mode === 'nodes') {
+    return { mode, limit: { nodes: checkLimit(bounds, 'nodes', settings.nodes ?? 100000, 'settings.nodes') } };
+  }
+  return { mode, limit: { movetime: checkLimit(bounds, 'movetime', settings.movetimeMs ?? 120, 'settings.movetimeMs') } };
+}
@@ -0,0 +1,99 @@
+import { createHash } from 'node:crypto';
+
+// ── WebSocket Framing ──
+// The parts of RFC 6455 the engine sessions need: the handshake's accept key, reading
+// masked client frames and writing unmasked server frames. Extensions and compression
+// are not negotiated.
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+export const WS_OP = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+// Sec-WebSocket-Accept for a client's Sec-WebSocket-Key
+export function wsAcceptKey(key) {
+  return createHash('sha1').update(key + WS_GUID).digest('base64');
+}
+
+// The first frame in buffer: { frame: { fin, opcode, payload }, rest } with the payload
+// unmasked, null until the whole frame has arrived, or { problem: [closeCode, reason] }
+// for a frame the connection must be closed over. maxBytes bounds the payload length.
+export function readWsFrame(b, maxBytes) {
+  if (b.length < 2) return null;
+  let length = b[1] & 0x7f;
+  let offset = 2;
+  if (length === 126) {
+    if (b.length < 4) return null;
+    length = b.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (b.length < 10) return null;
+    length = Number(b.readBigUInt64BE(2));
+    offset = 10;
+  }
+  // Clients must mask every frame, and with no extension negotiated RSV1-3 stay clear
+  if (!(b[1] & 0x80)) return { problem: [1002, 'Unmasked frame'] };
+  if (b[0] & 0x70) return { problem: [1002, 'Reserved bits set'] };
+  // Control frames (close, ping, pong) carry at most 125 bytes and are never fragmented
+  if (b[0] & 0x08) {
+    if (!(b[0] & 0x80)) return { problem: [1002, 'Fragmented control frame'] };
+    if (length > 125) return { problem: [1002, 'Control frame too big'] };
+  }
+  if (length > maxBytes) return { problem: [1009, 'Message too big'] };
+  if (b.length < offset + 4 + length) return null;
+  const mask = b.subarray(offset, offset + 4);
+  const payload = Buffer.from(b.subarray(offset + 4, offset + 4 + length));
+  for (let i = 0; i < payload.length; i += 1) payload[i] ^= mask[i & 3];
+  return {
+    frame: { fin: Boolean(b[0] & 0x80), opcode: b[0] & 0x0f, payload },
+    rest: b.subarray(offset + 4 + length)
+  };
+}
+
+// Puts fragmented data frames (text, binary and continuation) back together into
+// messages. opcode is that of the message in progress, null between messages.
+export class WsMessageBuffer {
+  constructor(maxBytes) {
+    this.maxBytes = maxBytes;
+    this.opcode = null;
+    this.fragments = [];
+    this.size = 0;
+  }
+
+  // { message: { opcode, payload } } once the final fragment is in, null while more
+  // are to come, or { problem: [closeCode, reason] } for a frame out of sequence or a
+  // message over maxBytes
+  add({ fin, opcode, payload }) {
+    if (opcode === WS_OP.continuation) {
+      if (this.opcode === null) return { problem: [1002, 'Continuation frame without a message'] };
+    } else if (this.opcode !== null) {
+      return { problem: [1002, 'New message before the last one ended'] };
+    } else {
+      this.opcode = opcode;
+    }
+    this.fragments.push(payload);
+    this.size += payload.length;
+    if (this.size > this.maxBytes) return { problem: [1009, 'Message too big'] };
+    if (!fin) return null;
+    const message = { opcode: this.opcode, payload: Buffer.concat(this.fragments) };
+    this.opcode = null;
+    this.fragments = [];
+    this.size = 0;
+    return { message };
+  }
+}
+
+// A complete, unmasked server frame
+export function wsFrame(opcode, payload = Buffer.alloc(0)) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header.writeUInt16BE(payload.length, 2);
+    header[1] = 126;
+  } else {
+    header = Buffer.alloc(10);
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+    header[1] = 127;
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
@@ -1,10 +1,40 @@
 import http from 'node:http';
 import os from 'node:os';
-import { createReadStream, existsSync } from 'node:fs';
-import { extname, resolve, sep } from 'node:path';
+import { setMaxListeners } from 'node:events';
+import { createReadStream, existsSync, statSync } from 'node:fs';
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { delimiter, extname, resolve, sep } from 'node:path';
 import { spawn, spawnSync } from 'node:child_process';
 import { fileURLToPath } from 'node:url';
 import { dirname, join } from 'node:path';
+import {
+  FenError, PgnError, START_FEN, applyMove, generateMoves, moveToSan, moveToUci, opponent,
+  parseFen, parsePgn, squareIndex, toFen
+} from './lib/chess.js';
+import { POLYGLOT_CASTLING_MOVES, PolyglotBook, polyglotKey } from './lib/polyglot.js';
+import { WS_OP, WsMessageBuffer, readWsFrame, wsAcceptKey, wsFrame } from './lib/websocket.js';
+import {
+  CATEGORIES, classify, deltaBetween, goLimit, parseScore, parseWdl, scoreForMover, scoreToCp
+} from './lib/scores.js';
+import { EngineCrashError, JobCancelledError, PRIORITY, Scheduler, engineMeter } from './lib/scheduler.js';
+import { PersistentCache } from './lib/cache.js';
+import { EngineOptionError, EngineSettings, parseUciOption } from './lib/engine-options.js';
+import { AnalysisIndex, normalizeFen } from './lib/analysis-index.js';
+import { annotatedPgn, sanLine } from './lib/annotated-pgn.js';
+import { PlayError, PlayStore } from './lib/play.js';
+import { RateLimiter, clientIp, loadRateLimits } from './lib/rate-limit.js';
+import { JOB_TYPES, JobStore } from './lib/jobs.js';
+import { openEventStream, writeEvent } from './lib/sse.js';
+import { TB_CATEGORIES, Tablebases } from './lib/tablebase.js';
+import { EcoDatabase, replaySans } from './lib/openings.js';
+import { EXPLORER_COLORS } from './lib/position-explorer.js';
+import { GameDatabase, MAX_IMPORT_BYTES } from './lib/game-database.js';
+import { EngineRegistry, engineUciName, loadEngineConfigs } from './lib/engines.js';
+import { streamSearch } from './lib/live-search.js';
+import {
+  ValidationError, checkLimit, explorerLimit, readClientFen, readClientFenList, readClientMove, readPositionRequest,
+  searchBounds
+} from './lib/validation.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -23,11 +53,21 @@ function resolveStockfish() {
   return 'stockfish';
 }
 
-const STOCKFISH_BIN = resolveStockfish();
-const ENGINE_CHECK = spawnSync(STOCKFISH_BIN, ['-h'], { stdio: 'ignore', timeout: 5000 });
-const ENGINE_AVAILABLE = ENGINE_CHECK.status === 0 && !ENGINE_CHECK.error;
+// Named UCI engines from ENGINES_FILE (see engines.example.json and lib/engines.js).
+// Without the file there is a single engine, "stockfish", resolved as above.
+const ENGINES_FILE = process.env.ENGINES_FILE || join(__dirname, 'engines.json');
+const DEFAULT_WORKERS = Math.max(1, Math.min(4, os.cpus().length));
 
-console.log(`Stockfish binary: ${STOCKFISH_BIN} (available: ${ENGINE_AVAILABLE})`);
+const ENGINE_CONFIGS = loadEngineConfigs(ENGINES_FILE, {
+  id: 'stockfish', name: 'Stockfish', path: resolveStockfish(), args: [], workers: DEFAULT_WORKERS, options: {}
+}).map((config) => {
+  const uciName = engineUciName(config.path, config.args);
+  return { ...config, uciName, available: uciName !== null };
+});
+
+for (const config of ENGINE_CONFIGS) {
+  console.log(`Engine ${config.id}: ${config.path} (available: ${config.available})`);
+}
 
 const MIME = {
   '.html': 'text/html; charset=utf-8',
@@ -71,211 +111,313 @@ class LRUCache {
   has(key) {
     return this.get(key) !== undefined;
   }
+
+  get size() {
+    return this.cache.size;
+  }
+
+  stats() {
+    return { backend: 'memory', entries: this.cache.size, maxEntries: this.maxSize };
+  }
 }
 
-const cache = new LRUCache();
-
-// ── Opening Book (expanded) ──
-const openingBook = [
-  // Open games (1.e4 e5)
-  { line: ['e4', 'e5', 'Nf3', 'Nc6', 'Bb5'], eco: 'C60', name: 'Ruy Lopez' },
-  { line: ['e4', 'e5', 'Nf3', 'Nc6', 'Bb5', 'a6'], eco: 'C68', name: 'Ruy Lopez, Exchange Variation' },
-  { line: ['e4', 'e5', 'Nf3', 'Nc6', 'Bc4'], eco: 'C50', name: 'Italian Game' },
-  { line: ['e4', 'e5', 'Nf3', 'Nc6', 'Bc4', 'Bc5'], eco: 'C50', name: 'Giuoco Piano' },
-  { line: ['e4', 'e5', 'Nf3', 'Nc6', 'Bc4', 'Nf6'], eco: 'C55', name: 'Two Knights Defense' },
-  { line: ['e4', 'e5', 'Nf3', 'Nc6', 'd4'], eco: 'C44', name: 'Scotch Game' },
-  { line: ['e4', 'e5', 'Nf3', 'Nf6'], eco: 'C42', name: 'Petrov Defense' },
-  { line: ['e4', 'e5', 'Nf3', 'd6'], eco: 'C41', name: 'Philidor Defense' },
-  { line: ['e4', 'e5', 'f4'], eco: 'C30', name: "King's Gambit" },
-  { line: ['e4', 'e5', 'Nc3'], eco: 'C25', name: 'Vienna Game' },
-  { line: ['e4', 'e5', 'd4'], eco: 'C21', name: 'Center Game' },
-
-  // Sicilian Defense
-  { line: ['e4', 'c5'], eco: 'B20', name: 'Sicilian Defence' },
-  { line: ['e4', 'c5', 'Nf3', 'd6', 'd4', 'cxd4', 'Nxd4', 'Nf6', 'Nc3'], eco: 'B90', name: 'Sicilian Najdorf' },
-  { line: ['e4', 'c5', 'Nf3', 'Nc6'], eco: 'B30', name: 'Sicilian, Old Sicilian' },
-  { line: ['e4', 'c5', 'Nf3', 'e6'], eco: 'B40', name: 'Sicilian, French Variation' },
-  { line: ['e4', 'c5', 'c3'], eco: 'B22', name: 'Sicilian Alapin' },
-  { line: ['e4', 'c5', 'Nf3', 'd6', 'd4', 'cxd4', 'Nxd4', 'Nf6', 'Nc3', 'a6'], eco: 'B90', name: 'Sicilian Najdorf' },
-  { line: ['e4', 'c5', 'Nf3', 'd6', 'd4', 'cxd4', 'Nxd4', 'Nf6', 'Nc3', 'g6'], eco: 'B76', name: 'Sicilian Dragon' },
-
-  // French Defense
-  { line: ['e4', 'e6'], eco: 'C00', name: 'French Defence' },
-  { line: ['e4', 'e6', 'd4', 'd5'], eco: 'C00', name: 'French Defence' },
-  { line: ['e4', 'e6', 'd4', 'd5', 'Nc3'], eco: 'C03', name: 'French Tarrasch' },
-  { line: ['e4', 'e6', 'd4', 'd5', 'e5'], eco: 'C02', name: 'French Advance' },
-  { line: ['e4', 'e6', 'd4', 'd5', 'exd5'], eco: 'C01', name: 'French Exchange' },
-
-  // Caro-Kann
-  { line: ['e4', 'c6'], eco: 'B10', name: 'Caro-Kann Defence' },
-  { line: ['e4', 'c6', 'd4', 'd5'], eco: 'B12', name: 'Caro-Kann Defence' },
-  { line: ['e4', 'c6', 'd4', 'd5', 'Nc3'], eco: 'B15', name: 'Caro-Kann, Main Line' },
-  { line: ['e4', 'c6', 'd4', 'd5', 'e5'], eco: 'B12', name: 'Caro-Kann Advance' },
-
-  // Scandinavian
-  { line: ['e4', 'd5'], eco: 'B01', name: 'Scandinavian Defense' },
-  { line: ['e4', 'd5', 'exd5', 'Qxd5'], eco: 'B01', name: 'Scandinavian Defense, Mieses-Kotroc' },
-
-  // Pirc/Modern
-  { line: ['e4', 'd6'], eco: 'B07', name: 'Pirc Defense' },
-  { line: ['e4', 'g6'], eco: 'B06', name: 'Modern Defense' },
-
-  // Alekhine
-  { line: ['e4', 'Nf6'], eco: 'B02', name: "Alekhine's Defense" },
-
-  // Queen's Gambit
-  { line: ['d4', 'd5', 'c4'], eco: 'D06', name: "Queen's Gambit" },
-  { line: ['d4', 'd5', 'c4', 'e6'], eco: 'D30', name: "Queen's Gambit Declined" },
-  { line: ['d4', 'd5', 'c4', 'dxc4'], eco: 'D20', name: "Queen's Gambit Accepted" },
-  { line: ['d4', 'd5', 'c4', 'c6'], eco: 'D10', name: 'Slav Defense' },
-  { line: ['d4', 'd5', 'c4', 'e6', 'Nc3', 'Nf6', 'Bg5'], eco: 'D53', name: "QGD, Classical" },
-  { line: ['d4', 'd5', 'c4', 'e6', 'Nc3', 'Nf6', 'Nf3'], eco: 'D37', name: "QGD, 3 Knights" },
-
-  // Indian Defenses
-  { line: ['d4', 'Nf6', 'c4', 'g6', 'Nc3', 'Bg7', 'e4'], eco: 'E70', name: "King's Indian Defence" },
-  { line: ['d4', 'Nf6', 'c4', 'g6'], eco: 'E60', name: "King's Indian Defence" },
-  { line: ['d4', 'Nf6', 'c4', 'e6', 'Nc3', 'Bb4'], eco: 'E20', name: 'Nimzo-Indian Defence' },
-  { line: ['d4', 'Nf6', 'c4', 'e6', 'Nf3', 'b6'], eco: 'E10', name: 'Queen\'s Indian Defence' },
-  { line: ['d4', 'Nf6', 'c4', 'e6', 'g3'], eco: 'E00', name: 'Catalan Opening' },
-  { line: ['d4', 'Nf6', 'c4', 'c5'], eco: 'A50', name: 'Benoni Defense' },
-  { line: ['d4', 'Nf6', 'c4', 'c5', 'd5', 'e6'], eco: 'A60', name: 'Modern Benoni' },
-
-  // English
-  { line: ['c4'], eco: 'A10', name: 'English Opening' },
-  { line: ['c4', 'e5'], eco: 'A20', name: 'English, Reversed Sicilian' },
-  { line: ['c4', 'Nf6'], eco: 'A15', name: 'English, Anglo-Indian' },
-  { line: ['c4', 'c5'], eco: 'A30', name: 'English, Symmetrical' },
-
-  // Reti
-  { line: ['Nf3', 'd5', 'c4'], eco: 'A09', name: 'Reti Opening' },
-  { line: ['Nf3'], eco: 'A04', name: 'Reti Opening' },
-
-  // London/Trompowsky
-  { line: ['d4', 'Nf6', 'Bf4'], eco: 'D00', name: 'London System' },
-  { line: ['d4', 'd5', 'Bf4'], eco: 'D00', name: 'London System' },
-  { line: ['d4', 'Nf6', 'Bg5'], eco: 'A45', name: 'Trompowsky Attack' },
-
-  // Dutch
-  { line: ['d4', 'f5'], eco: 'A80', name: 'Dutch Defense' },
-
-  // Grunfeld
-  { line: ['d4', 'Nf6', 'c4', 'g6', 'Nc3', 'd5'], eco: 'D80', name: 'Grunfeld Defense' },
-
-  // Bird
-  { line: ['f4'], eco: 'A02', name: "Bird's Opening" },
-
-  // Other d4 lines
-  { line: ['d4', 'd5'], eco: 'D00', name: "Queen's Pawn Game" },
-  { line: ['d4', 'Nf6'], eco: 'A46', name: "Indian Game" },
-];
-
-function classify(deltaCp) {
-  if (deltaCp <= 20) return { key: 'best', label: 'Best', color: 'blue' };
-  if (deltaCp <= 60) return { key: 'good', label: 'Good', color: 'green' };
-  if (deltaCp <= 150) return { key: 'inaccuracy', label: 'Inaccuracy', color: 'orange' };
-  if (deltaCp <= 300) return { key: 'mistake', label: 'Mistake', color: 'red' };
-  return { key: 'blunder', label: 'Blunder', color: 'red-strong' };
+// ── Persistent Cache ──
+// CACHE_DIR switches the analysis cache to the on-disk PersistentCache (see lib/cache.js),
+// stamped with every configured engine build.
+
+// Identify the engine build: `id name` from the UCI handshake plus the size and
+// mtime of the resolved binary, so a rebuilt or swapped engine gets a new stamp
+function engineStamp(bin, args = []) {
+  const candidates = bin.includes(sep)
+    ? [bin]
+    : (process.env.PATH || '').split(delimiter).filter(Boolean).map((dir) => join(dir, bin));
+  const path = candidates.find((p) => existsSync(p));
+  const stat = path ? statSync(path) : null;
+  const probe = spawnSync(bin, args, { input: 'uci\nquit\n', encoding: 'utf8', timeout: 5000 });
+  const idName = /^id name (.+)$/m.exec(probe.stdout || '')?.[1]?.trim() || 'unknown';
+  const fingerprint = [idName, path || bin, stat?.size ?? 0, stat?.mtimeMs ?? 0].join('|');
+  return `${idName} #${createHash('sha1').update(fingerprint).digest('hex').slice(0, 12)}`;
 }
 
-function parsePgnMoves(pgn) {
-  return pgn
-    .replace(/\{[^}]*\}/g, ' ')
-    .replace(/\([^)]*\)/g, ' ')
-    .replace(/\[[^\]]*\]/g, ' ')
-    .replace(/\d+\.(\.\.)?/g, ' ')
-    .replace(/1-0|0-1|1\/2-1\/2|\*/g, ' ')
-    .trim()
-    .split(/\s+/)
-    .filter(Boolean);
+function createCache() {
+  const dir = process.env.CACHE_DIR;
+  if (!dir) return new LRUCache();
+  try {
+    return new PersistentCache(dir, {
+      stamp: ENGINE_CONFIGS.map((c) => `${c.id}: ${engineStamp(c.path, c.args)}`).join(', '),
+      maxEntries: Number(process.env.CACHE_MAX_ENTRIES) || undefined,
+      maxBytes: Math.floor(Number(process.env.CACHE_MAX_MB) * 1024 * 1024) || undefined
+    });
+  } catch (err) {
+    console.error(`Cache: cannot use ${dir} (${err.message}); falling back to memory`);
+    return new LRUCache();
+  }
 }
 
-function detectOpening(moveList) {
-  // Sort by longest matching line first for most specific match
-  let bestMatch = null;
-  let bestLength = 0;
+const cache = createCache();
+
+// ── Analysis Index ──
+// The analysis cache is read and written by position (see lib/analysis-index.js).
+const analysisIndex = new AnalysisIndex(cache);
+
+// ── ECO Openings ──
+// Named openings from the TSV files in OPENINGS_DIR (see lib/openings.js). Without any,
+// the small hand-written book in data/openings-fallback.tsv names the main lines.
+const OPENINGS_DIR = process.env.OPENINGS_DIR || join(__dirname, 'data', 'openings');
+const OPENINGS_FALLBACK = join(__dirname, 'data', 'openings-fallback.tsv');
+const ecoDb = new EcoDatabase().load(OPENINGS_DIR);
+const openingsFallback = !ecoDb.size;
+if (openingsFallback) {
+  ecoDb.loadFile(OPENINGS_FALLBACK);
+  console.error(`No ECO openings in ${OPENINGS_DIR}: naming openings from the ${ecoDb.size} lines of `
+    + `${OPENINGS_FALLBACK} only. See data/openings/NOTICE to install the full tables.`);
+}
 
-  for (const item of openingBook) {
-    if (item.line.every((m, i) => moveList[i] === m) && item.line.length > bestLength) {
-      bestMatch = item;
-      bestLength = item.line.length;
-    }
-  }
+// fens: the game's positions from its start. Reports the deepest named position the
+// game reached, the named continuations and Polyglot book moves from its last position,
+// and the book window: the plies that stayed in a loaded book or reached a named opening.
+function detectOpening(fens) {
+  const { opening: named, ply: namedPly } = ecoDb.deepestNamed(fens);
+  const continuations = ecoDb.continuations(fens[fens.length - 1]);
 
-  if (bestMatch) {
-    // Find continuations from current position
-    const continuations = findContinuations(moveList);
-    return {
-      eco: bestMatch.eco,
-      name: bestMatch.name,
-      bookPlyRange: [1, bestMatch.line.length],
-      continuations
-    };
-  }
+  const bookPly = bookDepth(fens);
+  const fromBook = bookMoves(fens[fens.length - 1]);
+  const theoryPly = Math.max(namedPly, bookPly);
 
   return {
-    eco: 'A00',
-    name: 'Uncommon Opening',
-    bookPlyRange: [1, Math.min(8, moveList.length || 8)],
-    continuations: findContinuations(moveList)
+    eco: named?.eco ?? 'A00',
+    name: named?.name ?? 'Uncommon Opening',
+    pgn: named?.pgn ?? null,
+    ply: namedPly,
+    bookPly,
+    bookPlyRange: [1, theoryPly || Math.min(8, fens.length - 1 || 8)],
+    continuations,
+    bookMoves: fromBook
   };
 }
 
-function findContinuations(moveList) {
-  const continuations = [];
-  const seen = new Set();
-
-  for (const item of openingBook) {
-    // Check if current moves are a prefix of this opening line
-    if (item.line.length > moveList.length &&
-        moveList.every((m, i) => item.line[i] === m)) {
-      const nextMove = item.line[moveList.length];
-      if (!seen.has(nextMove)) {
-        seen.add(nextMove);
-        continuations.push({
-          move: nextMove,
-          name: item.name,
-          eco: item.eco
-        });
-      }
+// ── Polyglot Books ──
+// Opening books in the Polyglot .bin format (see lib/polyglot.js), from the paths in
+// POLYGLOT_BOOKS (separated like PATH).
+function loadBooks() {
+  const paths = (process.env.POLYGLOT_BOOKS || '').split(delimiter).filter(Boolean);
+  return paths.flatMap((path) => {
+    try {
+      const book = new PolyglotBook(resolve(path));
+      console.log(`Opening book: ${book.path} (${book.size} entries)`);
+      return [book];
+    } catch (err) {
+      console.warn(`Skipping opening book ${path}: ${err.message}`);
+      return [];
     }
+  });
+}
+
+const books = loadBooks();
+
+// Book moves for a position from every book, weights as stored and share of the book's
+// total weight for the position. Entries that are not legal here (key collisions) are dropped.
+function bookEntries(pos) {
+  if (!books.length) return [];
+  const key = polyglotKey(pos);
+  const legal = generateMoves(pos);
+  return books.flatMap((book) => {
+    const entries = book.lookup(key).flatMap((e) => {
+      const isKing = pos.board[squareIndex(e.uci)]?.toLowerCase() === 'k';
+      const uci = (isKing && POLYGLOT_CASTLING_MOVES[e.uci]) || e.uci;
+      const move = legal.find((m) => moveToUci(m) === uci);
+      return move ? [{ move, uci, weight: e.weight, learn: e.learn, book: book.name }] : [];
+    });
+    const total = entries.reduce((sum, e) => sum + e.weight, 0);
+    return entries
+      .map((e) => ({ ...e, share: total ? e.weight / total : 0 }))
+      .sort((a, b) => b.weight - a.weight);
+  });
+}
+
+function bookMoves(fen) {
+  const pos = parseFen(fen);
+  return bookEntries(pos).map(({ move, ...entry }) => ({ move: moveToSan(pos, move), ...entry }));
+}
+
+// Plies from the start of fens that follow book moves
+function bookDepth(fens) {
+  let ply = 0;
+  while (books.length && ply < fens.length - 1) {
+    const pos = parseFen(fens[ply]);
+    const next = normalizeFen(fens[ply + 1]);
+    if (!bookEntries(pos).some((e) => normalizeFen(toFen(applyMove(pos, e.move))) === next)) break;
+    ply += 1;
   }
+  return ply;
+}
+
+// ── Tablebases ──
+// Syzygy endgame tablebases from SYZYGY_PATH (directories separated like PATH), handed
+// to every worker as SyzygyPath and probed on the tablebase engine's pool (see
+// lib/tablebase.js).
+const SYZYGY_PATH = process.env.SYZYGY_PATH || '';
+const tablebases = new Tablebases(SYZYGY_PATH);
+
+function probeTablebase(fen, options) {
+  return tablebases.probe(engines.tablebase?.pool, fen, options);
+}
 
-  return continuations;
+// Probe for reviews. A client sending fenSequence without a PGN may leave entries of
+// preMoveSequence empty, and those plies have no position before the move to probe
+function tablebaseOrNull(fen, options) {
+  if (!fen) return null;
+  return probeTablebase(fen, options);
 }
 
+// ── Engine Options ──
+// Admin changes to the engines' options (see lib/engine-options.js) are kept in
+// ENGINE_OPTIONS_FILE, by engine id.
+const ENGINE_OPTIONS_FILE = process.env.ENGINE_OPTIONS_FILE || join(__dirname, 'data', 'engine-options.json');
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
 // ── Engine Worker ──
+const READY_TIMEOUT_MS = 5000;
+const STOP_GRACE_MS = 2000;
+const JOB_TIMEOUT_MS = 120000;
+const HEALTH_CHECK_INTERVAL_MS = 30000;
+const MAX_RESPAWN_DELAY_MS = 5000;
+
 class EngineWorker {
-  constructor() {
-    this.proc = spawn(STOCKFISH_BIN);
-    this.queue = Promise.resolve();
+  // engine: { id, path, args, settings } from the registry. onAvailable: called whenever
+  // the worker can take a new job (finished one, respawned)
+  constructor(id, engine, onAvailable = () => {}) {
+    this.id = id;
+    this.engine = engine;
+    this.label = `Engine ${engine.id} worker ${id}`;
+    this.onAvailable = onAvailable;
+    this.busy = false;
+    this.job = null;
+    this.jobsRun = 0;
+    this.restarts = 0;
+    this.consecutiveFailures = 0;
+    this.lastError = null;
+    this.spawn();
+
+    this.healthTimer = setInterval(() => this.healthCheck(), HEALTH_CHECK_INTERVAL_MS);
+    this.healthTimer.unref();
+  }
+
+  spawn() {
+    const proc = spawn(this.engine.path, this.engine.args);
+    this.proc = proc;
+    this.state = 'starting';
+    this.spawnedAt = Date.now();
     this.ready = false;
     this.lines = [];
     this.waiters = [];
+    // Option values sent to this process that differ from the engine's defaults
+    this.applied = new Map();
 
-    this.proc.stdout.on('data', (buf) => {
+    proc.stdout.on('data', (buf) => {
+      if (proc !== this.proc) return;
       for (const line of buf.toString().split('\n')) {
         const l = line.trim();
         if (!l) continue;
         this.lines.push(l);
         const pending = [...this.waiters];
         this.waiters = [];
-        pending.forEach((r) => r());
+        pending.forEach((w) => w.wake());
       }
     });
 
-    this.proc.stderr.on('data', () => {});
+    proc.stderr.on('data', () => {});
+    // Writes after a crash fail with EPIPE; the exit handler takes care of recovery
+    proc.stdin.on('error', () => {});
+    proc.on('error', (err) => this.handleExit(proc, err.message));
+    proc.on('exit', (code, signal) => this.handleExit(proc, signal ? `signal ${signal}` : `code ${code}`));
 
     this.send('uci');
+    // Engines without UCI_ShowWDL ignore this; their lines simply carry no wdl triple
+    this.send('setoption name UCI_ShowWDL value true');
+    if (SYZYGY_PATH) this.send(`setoption name SyzygyPath value ${SYZYGY_PATH}`);
     this.send('isready');
+    // Read as soon as it arrives, so the option list is known before the first job. An
+    // engine that does not get through it is replaced without waiting for a job to notice.
+    this.handshake = this.readHandshake();
+    this.handshake.then(() => {
+      if (proc === this.proc && this.state === 'starting') this.markReady();
+    }, (err) => {
+      if (proc === this.proc && !(err instanceof EngineCrashError)) this.restart('no UCI handshake');
+    });
+  }
+
+  markReady() {
+    this.ready = true;
+    this.state = 'idle';
+    this.consecutiveFailures = 0;
+  }
+
+  async readHandshake() {
+    const options = [];
+    let engine = null;
+    let line;
+    while ((line = await this.waitFor(() => true, READY_TIMEOUT_MS)) !== 'uciok') {
+      if (line.startsWith('id name ')) engine = line.slice(8);
+      const option = line.startsWith('option ') ? parseUciOption(line) : null;
+      if (option) options.push(option);
+    }
+    await this.waitFor((l) => l === 'readyok', READY_TIMEOUT_MS);
+    this.engine.settings.learn(engine, options);
+  }
+
+  isDown() {
+    return this.state === 'crashed' || this.state === 'restarting';
+  }
+
+  isAvailable() {
+    return !this.busy && !this.isDown();
+  }
+
+  handleExit(proc, reason) {
+    if (proc !== this.proc || this.state === 'crashed') return;
+    // A deliberate restart already recorded why the process was killed
+    if (this.state !== 'restarting') {
+      this.lastError = `Engine exited (${reason})`;
+      console.error(`${this.label}: ${this.lastError}`);
+    }
+    this.state = 'crashed';
+    this.ready = false;
+
+    const pending = [...this.waiters];
+    this.waiters = [];
+    pending.forEach((w) => w.fail(new EngineCrashError(`${this.label} crashed`)));
+
+    // Back off exponentially so a binary that dies on startup does not spin
+    const delay = Math.min(MAX_RESPAWN_DELAY_MS, 250 * 2 ** this.consecutiveFailures);
+    this.consecutiveFailures += 1;
+    setTimeout(() => {
+      this.restarts += 1;
+      this.spawn();
+      this.onAvailable();
+    }, delay).unref();
+  }
+
+  // Kill a wedged process; the exit handler respawns it
+  restart(reason) {
+    if (this.isDown()) return;
+    this.state = 'restarting';
+    this.lastError = reason;
+    console.error(`${this.label}: restarting (${reason})`);
+    this.proc.kill('SIGKILL');
   }
 
   send(cmd) {
+    if (this.isDown()) return;
+    // Callers validate their input; this keeps anything that slipped through to one command
+    if (/[\r\n]/.test(cmd)) throw new Error(`Refusing a UCI command with a line break: ${JSON.stringify(cmd.slice(0, 80))}`);
     this.proc.stdin.write(`${cmd}\n`);
   }
 
   async waitFor(predicate, timeoutMs = 4000) {
     const deadline = Date.now() + timeoutMs;
     while (true) {
+      if (this.isDown()) throw new EngineCrashError(`${this.label} crashed`);
       const idx = this.lines.findIndex(predicate);
       if (idx !== -1) {
         const matched = this.lines[idx];
@@ -285,126 +427,820 @@ class EngineWorker {
       const remaining = deadline - Date.now();
       if (remaining <= 0) throw new Error('Engine timeout');
       await new Promise((resolve, reject) => {
+        const waiter = {
+          wake: () => { clearTimeout(timer); resolve(); },
+          fail: (err) => { clearTimeout(timer); reject(err); }
+        };
         const timer = setTimeout(() => {
           const i = this.waiters.indexOf(waiter);
           if (i !== -1) this.waiters.splice(i, 1);
           reject(new Error('Engine timeout'));
         }, remaining);
-        const waiter = () => {
-          clearTimeout(timer);
-          const i = this.waiters.indexOf(waiter);
-          if (i !== -1) this.waiters.splice(i, 1);
-          resolve();
-        };
         this.waiters.push(waiter);
       });
     }
   }
 
   async ensureReady() {
+    if (this.isDown()) throw new EngineCrashError(`${this.label} is down`);
     if (this.ready) return;
-    await this.waitFor((l) => l === 'uciok');
-    await this.waitFor((l) => l === 'readyok');
-    this.ready = true;
+    try {
+      await this.handshake;
+    } catch (err) {
+      if (err instanceof EngineCrashError) throw err;
+      this.restart('no handshake');
+      throw new EngineCrashError(`${this.label} did not complete the UCI handshake`);
+    }
+    this.markReady();
+  }
+
+  // Bring a worker that missed a deadline back to a known state, or replace it
+  async resync() {
+    this.send('stop');
+    this.send('isready');
+    try {
+      await this.waitFor((l) => l === 'readyok', STOP_GRACE_MS);
+      this.lines = [];
+      this.state = 'idle';
+    } catch (_err) {
+      this.restart('unresponsive after stop');
+    }
+  }
+
+  // Bring the process in line with a job's settings: options that differ are set, and
+  // options the job leaves out go back to the engine default
+  async configure(settings) {
+    let changed = false;
+    for (const name of new Set([...this.applied.keys(), ...Object.keys(settings)])) {
+      const target = name in settings ? settings[name] : this.engine.settings.engineDefault(name);
+      const current = this.applied.has(name) ? this.applied.get(name) : this.engine.settings.engineDefault(name);
+      if (target === current) continue;
+      this.send(`setoption name ${name} value ${target}`);
+      if (name in settings) this.applied.set(name, target);
+      else this.applied.delete(name);
+      changed = true;
+    }
+    // Hash and Threads changes reallocate; wait until the engine has done so
+    if (changed) {
+      this.send('isready');
+      await this.waitFor((l) => l === 'readyok', READY_TIMEOUT_MS);
+    }
   }
 
-  run(task) {
-    this.queue = this.queue.then(async () => {
+  // Runs one task exclusively; the pool only hands work to workers that are not busy
+  async run(task, { timeoutMs = JOB_TIMEOUT_MS, job = null } = {}) {
+    this.busy = true;
+    this.job = job;
+    let watchdog = null;
+    let killTimer = null;
+    try {
       await this.ensureReady();
-      return task(this);
+      this.state = 'busy';
+
+      // Watchdog: ask a runaway search to stop, then kill it if it ignores us. The task
+      // still returns, so the job is flagged: its result stops short of what was asked.
+      if (job) job.timedOut = false;
+      watchdog = setTimeout(() => {
+        if (job) job.timedOut = true;
+        this.send('stop');
+        killTimer = setTimeout(() => this.restart('search exceeded its deadline'), STOP_GRACE_MS);
+      }, timeoutMs);
+
+      if (job) await this.configure(job.settings);
+      return await task(this);
+    } catch (err) {
+      if (err instanceof EngineCrashError || err.message !== 'Engine timeout') throw err;
+      await this.resync();
+      throw new EngineCrashError(`${this.label} stopped responding`);
+    } finally {
+      clearTimeout(watchdog);
+      clearTimeout(killTimer);
+      if (this.state === 'busy') this.state = 'idle';
+      this.busy = false;
+      this.job = null;
+      this.jobsRun += 1;
+      this.onAvailable();
+    }
+  }
+
+  // Abort the current search; the task sees bestmove and returns early
+  stop() {
+    this.send('stop');
+  }
+
+  healthCheck() {
+    // A handshake that keeps trickling lines without ever reaching uciok/readyok
+    if (this.state === 'starting' && Date.now() - this.spawnedAt > 2 * READY_TIMEOUT_MS) {
+      this.restart('stuck starting: no uciok/readyok');
+      return;
+    }
+    if (!this.isAvailable() || this.state !== 'idle') return;
+    this.run(async (w) => {
+      w.send('isready');
+      await w.waitFor((l) => l === 'readyok', READY_TIMEOUT_MS);
+    }, { timeoutMs: READY_TIMEOUT_MS }).then(() => {
+      this.lastHealthCheck = Date.now();
+    }).catch((err) => {
+      this.lastError = `Health check failed: ${err.message}`;
     });
-    return this.queue;
+  }
+
+  status() {
+    return {
+      id: this.id,
+      pid: this.proc.pid ?? null,
+      state: this.state,
+      job: this.job ? { id: this.job.id, priority: this.job.priority, startedAt: new Date(this.job.startedAt).toISOString() } : null,
+      jobsRun: this.jobsRun,
+      restarts: this.restarts,
+      lastError: this.lastError,
+      lastHealthCheck: this.lastHealthCheck ? new Date(this.lastHealthCheck).toISOString() : null
+    };
   }
 }
 
 // ── Engine Pool ──
-class EnginePool {
-  constructor(size) {
-    this.enabled = ENGINE_AVAILABLE;
-    this.size = size;
-    this.workers = this.enabled ? Array.from({ length: size }, () => new EngineWorker()) : [];
-    this.pointer = 0;
+// A live analysis holds its worker until the client leaves, or at most this long
+const LIVE_MAX_MS = (Number(process.env.LIVE_ANALYSIS_MAX_SECONDS) || 300) * 1000;
+
+class EnginePool extends Scheduler {
+  constructor(engine) {
+    super();
+    this.engine = engine;
+    this.enabled = engine.available;
+    this.size = engine.workers;
+    this.workers = this.enabled
+      ? Array.from({ length: this.size }, (_, i) => new EngineWorker(i + 1, engine, () => this.dispatch()))
+      : [];
+  }
+
+  // engineOptions are a request's validated overrides on top of the pool-wide defaults
+  jobSettings(engineOptions) {
+    return this.engine.settings.effective(engineOptions);
   }
 
-  acquire() {
-    const w = this.workers[this.pointer % this.workers.length];
-    this.pointer += 1;
-    return w;
+  status() {
+    return {
+      size: this.size,
+      queued: {
+        interactive: this.queue.filter((j) => j.priority === 'interactive').length,
+        batch: this.queue.filter((j) => j.priority === 'batch').length
+      },
+      busy: this.workers.filter((w) => w.busy).length,
+      retries: this.retries,
+      cancelled: this.cancelled,
+      restarts: this.workers.reduce((sum, w) => sum + w.restarts, 0),
+      workers: this.workers.map((w) => w.status())
+    };
   }
 
-  async analyzePosition({ fen, depth = 12, multipv = 3 }) {
-    if (!this.enabled) throw new Error('Stockfish is not available. Set STOCKFISH_BIN or build engine/Stockfish.');
-    const key = `pos:${fen}:${depth}:${multipv}`;
-    if (cache.has(key)) return cache.get(key);
+  async analyzePosition({ fen, depth = 12, multipv = 3, priority, signal, engineOptions }) {
+    if (!this.enabled) throw new Error(`Engine ${this.engine.id} is not available. Check its path, or set STOCKFISH_BIN / build engine/Stockfish.`);
+    const settings = this.engine.settings.effective(engineOptions);
+    const cached = analysisIndex.lookupPosition(fen, depth, multipv, this.engine.id, settings);
+    if (cached) return cached;
 
-    const result = await this.acquire().run(async (w) => {
+    const result = await this.schedule(async (w) => {
       w.send(`setoption name MultiPV value ${multipv}`);
       w.send(`position fen ${fen}`);
       w.send(`go depth ${depth}`);
 
       const lines = [];
+      // Terminal positions only get a pv-less "score mate 0" / "score cp 0" line
+      let terminalScore = null;
       while (true) {
         const line = await w.waitFor(() => true, 8000);
         if (line.startsWith('bestmove')) break;
         if (line.startsWith('info') && line.includes(' pv ') && line.includes(' multipv ')) {
           lines.push(line);
+        } else if (line.startsWith('info')) {
+          terminalScore = parseScore(line) ?? terminalScore;
         }
       }
 
       const topById = new Map();
+      const lineDepths = new Map();
       for (const line of lines) {
-        const m = line.match(/multipv (\d+).*score (cp|mate) (-?\d+).* pv (.+)$/);
-        if (!m) continue;
+        const m = line.match(/multipv (\d+).* pv (.+)$/);
+        const score = parseScore(line);
+        if (!m || !score) continue;
         const mpv = Number(m[1]);
-        const cp = m[2] === 'cp' ? Number(m[3]) : Number(m[3]) > 0 ? 100000 : -100000;
-        topById.set(mpv, { rank: mpv, evalCp: cp, pv: m[4], uci: m[4].split(' ')[0] });
+        lineDepths.set(mpv, Number(line.match(/ depth (\d+)/)?.[1] ?? 0));
+        topById.set(mpv, {
+          rank: mpv,
+          score,
+          evalCp: scoreToCp(score),
+          wdl: parseWdl(line),
+          pv: m[2],
+          uci: m[2].split(' ')[0]
+        });
       }
 
       const topMoves = [...topById.values()].sort((a, b) => a.rank - b.rank);
-      return { fen, topMoves, bestEvalCp: topMoves[0]?.evalCp ?? 0, source: 'stockfish' };
-    });
-
-    cache.set(key, result);
+      const bestScore = topMoves[0]?.score ?? terminalScore ?? { kind: 'cp', value: 0 };
+      // Stopped by the watchdog, the search got only as deep as its shallowest line
+      const reached = w.job?.timedOut && lineDepths.size ? Math.min(depth, ...lineDepths.values()) : depth;
+      return {
+        fen,
+        depth: reached,
+        topMoves,
+        bestScore,
+        bestEvalCp: scoreToCp(bestScore),
+        bestWdl: topMoves[0]?.wdl ?? null,
+        engine: this.engine.id,
+        settings
+      };
+    }, { priority, signal, engineOptions });
+
+    analysisIndex.storePosition(fen, result.depth, multipv, this.engine.id, result, settings);
     return result;
   }
 
-  async legalMoves(fen) {
-    const key = `moves:${fen}`;
-    if (cache.has(key)) return cache.get(key);
-    const moves = await this.acquire().run(async (w) => {
-      w.send(`position fen ${fen}`);
-      w.send('go perft 1');
-      const out = [];
-      while (true) {
-        const line = await w.waitFor(() => true, 4000);
-        if (line.startsWith('Nodes searched')) break;
-        const m = line.match(/^([a-h][1-8][a-h][1-8][qrbn]?):/);
-        if (m) out.push(m[1]);
-      }
-      return out;
-    });
-    cache.set(key, moves);
-    return moves;
+  // A search that reports every completed depth as it goes (see lib/live-search.js)
+  streamSearch(options) {
+    return streamSearch(this, { maxMs: LIVE_MAX_MS, graceMs: READY_TIMEOUT_MS, ...options });
   }
 
-  async evaluateMove(fen, move, movetime = 120) {
-    return this.acquire().run(async (w) => {
+  // limit: { movetime } | { depth } | { nodes }. Depth and node searches start from an empty
+  // hash so the same position gives the same score regardless of what the worker saw before.
+  async evaluateMove(fen, move, limit = { movetime: 120 }, { priority, signal, engineOptions } = {}) {
+    return this.schedule(async (w) => {
       w.send('setoption name MultiPV value 1');
+      if (limit.movetime === undefined) {
+        w.send('ucinewgame');
+        w.send('isready');
+        await w.waitFor((l) => l === 'readyok', READY_TIMEOUT_MS);
+      }
       w.send(`position fen ${fen} moves ${move}`);
-      w.send(`go movetime ${movetime}`);
-      let score = 0;
+      w.send(`go ${goLimit(limit)}`);
+      let score = { kind: 'cp', value: 0 };
       while (true) {
         const line = await w.waitFor(() => true, 5000);
         if (line.startsWith('bestmove')) break;
-        const m = line.match(/score (cp|mate) (-?\d+)/);
-        if (m) score = m[1] === 'cp' ? Number(m[2]) : Number(m[2]) > 0 ? 100000 : -100000;
+        score = parseScore(line) ?? score;
       }
       return score;
+    }, { priority, signal, engineOptions });
+  }
+}
+
+// ── Engine Registry ──
+// Every configured engine with its own option settings and worker pool (see lib/engines.js)
+const engines = new EngineRegistry(ENGINE_CONFIGS, {
+  settings: (config) => new EngineSettings(ENGINE_OPTIONS_FILE, config.id, config.options),
+  pool: (engine) => new EnginePool(engine)
+});
+// The default engine's pool: batch reviews of the game database
+const pool = engines.default.pool;
+
+// ── Game Review ──
+// Analyze every ply of a game. Positions come from a parsed PGN game, or from the
+// caller as fenSequence (after each move) and preMoveSequence (before each move).
+// onPly(ply, progress) is called as each ply is finished.
+async function reviewGame({
+  game = null, moves = [], fenSequence, preMoveSequence, depth = 10, priority = 'batch', signal,
+  engine = engines.default, engineOptions, onPly
+}) {
+  if (game) {
+    moves = game.moves.map((m) => m.san);
+    fenSequence = game.moves.map((m) => m.fen);
+    preMoveSequence = [game.startFen, ...fenSequence.slice(0, -1)];
+  }
+  const jobOptions = { priority, signal, engineOptions };
+
+  const plies = [];
+  // Tablebase result (WDL only) of the position before the move; the probe after one
+  // move is normally the probe before the next
+  let tbBefore = null;
+  for (let i = 0; i < fenSequence.length; i += 1) {
+    const fen = fenSequence[i];
+    const postMoveAnalysis = await engine.pool.analyzePosition({ fen, depth, multipv: 1, ...jobOptions });
+    const scoreAfterMove = postMoveAnalysis.bestScore;
+    const playedScore = scoreForMover(scoreAfterMove);
+
+    let deltaCp = 0;
+    let bestScore = null;
+    let bestLine = null;
+    if (i > 0 && preMoveSequence[i]) {
+      const preMoveAnalysis = await engine.pool.analyzePosition({
+        fen: preMoveSequence[i], depth, multipv: 1, ...jobOptions
+      });
+      bestScore = preMoveAnalysis.bestScore;
+      bestLine = preMoveAnalysis.topMoves[0] ?? null;
+      deltaCp = deltaBetween(bestScore, playedScore);
+    }
+    // The opponent's best reply to the move played: how a mistake gets punished
+    const refutation = postMoveAnalysis.topMoves[0] ?? null;
+    const best = sanLine(preMoveSequence[i], bestLine);
+    const refuted = sanLine(fen, refutation);
+
+    if (i === 0 || preMoveSequence[i] !== fenSequence[i - 1]) {
+      tbBefore = await tablebaseOrNull(preMoveSequence[i], { withDtz: false, ...jobOptions });
+    }
+    const tbAfter = await tablebaseOrNull(fen, { withDtz: false, ...jobOptions });
+    // tbAfter is from the opponent's side: anything short of their loss means the win is gone
+    const threwWin = tbBefore?.wdl === 2 && tbAfter && tbAfter.wdl > -2;
+    tbBefore = tbAfter;
+
+    const ply = {
+      ply: i + 1,
+      san: moves[i] || `ply-${i + 1}`,
+      uci: game?.moves[i].uci ?? null,
+      fen,
+      score: scoreAfterMove,
+      evalCp: scoreToCp(scoreAfterMove),
+      wdl: postMoveAnalysis.bestWdl,
+      bestScore,
+      bestUci: bestLine?.uci ?? null,
+      bestSan: best.san,
+      bestPv: bestLine?.pv ?? null,
+      bestPvSan: best.sanPv,
+      refutationUci: refutation?.uci ?? null,
+      refutationSan: refuted.san,
+      refutationPv: refutation?.pv ?? null,
+      refutationPvSan: refuted.sanPv,
+      deltaCp,
+      tablebase: tbAfter && { category: TB_CATEGORIES[-tbAfter.wdl] },
+      category: threwWin
+        ? { ...CATEGORIES.blunder, note: 'Threw away a tablebase win' }
+        : classify(deltaCp, bestScore, playedScore)
+    };
+    plies.push(ply);
+    if (onPly) onPly(ply, (i + 1) / fenSequence.length);
+  }
+
+  const turningPoints = plies.filter((p) => p.deltaCp >= 150);
+  const evalGraph = plies.map((p) => ({ ply: p.ply, score: p.score, evalCp: p.evalCp, wdl: p.wdl }));
+  const startFen = preMoveSequence[0] || START_FEN;
+  return {
+    opening: detectOpening([startFen, ...fenSequence]),
+    headers: game?.headers ?? {},
+    startFen,
+    result: game?.result ?? null,
+    depth,
+    engine: engine.id,
+    engineName: engine.name,
+    settings: engine.settings.effective(engineOptions),
+    plyCount: plies.length,
+    plies,
+    turningPoints,
+    evalGraph
+  };
+}
+
+// ── Move Explorer ──
+// Score every legal move of a position. emit receives { type: 'progress' } (single
+// mode) or { type: 'partial', progress, row } events as moves finish.
+async function exploreAllMoves({ fen, mode, limit, signal, engine = engines.default, engineOptions, emit = () => {} }) {
+  // One failed move or the caller cancelling stops every search still queued or running
+  const fanOut = new AbortController();
+  // Each queued search listens on the shared signal
+  setMaxListeners(0, fanOut.signal);
+  signal?.addEventListener('abort', () => fanOut.abort(), { once: true });
+  const jobOptions = { priority: 'interactive', signal: fanOut.signal, engineOptions };
+  const legal = generateMoves(parseFen(fen)).map(moveToUci);
+
+  const rows = new Array(legal.length);
+  if (mode === 'single') {
+    // One MultiPV search over every legal move: all scores come from the same tree
+    emit({ type: 'progress', progress: 0, mode });
+    const analysis = legal.length > 0
+      ? await engine.pool.analyzePosition({ fen, depth: limit.depth, multipv: legal.length, ...jobOptions })
+      : { topMoves: [] };
+    const byUci = new Map(analysis.topMoves.map((m) => [m.uci, m.score]));
+    legal.forEach((move, i) => {
+      const score = byUci.get(move);
+      if (score) rows[i] = { uci: move, score, evalCp: scoreToCp(score), mode, limit };
+    });
+  } else {
+    // Every move is queued at once so idle workers share the load; partials stream in completion order
+    let completed = 0;
+    try {
+      await Promise.all(legal.map(async (move, i) => {
+        // The engine scores the reply position; flip it back to the mover
+        const score = scoreForMover(await engine.pool.evaluateMove(fen, move, limit, jobOptions));
+        const row = { uci: move, score, evalCp: scoreToCp(score), mode, limit };
+        rows[i] = row;
+        completed += 1;
+        emit({ type: 'partial', progress: completed / legal.length, row });
+      }));
+    } catch (err) {
+      fanOut.abort();
+      throw err;
+    }
+  }
+
+  // rows is in legal-move order, so the stable sort ranks ties exactly as a sequential run would
+  const ranked = rows.filter(Boolean).sort((a, b) => b.evalCp - a.evalCp);
+  const bestScore = ranked[0]?.score ?? { kind: 'cp', value: 0 };
+  const final = ranked.map((r) => {
+    const deltaCp = deltaBetween(bestScore, r.score);
+    return { ...r, deltaCp, category: classify(deltaCp, bestScore, r.score) };
+  });
+  return {
+    fen,
+    mode,
+    limit,
+    engine: engine.id,
+    settings: engine.settings.effective(engineOptions),
+    moves: final,
+    bestScore,
+    bestEvalCp: scoreToCp(bestScore),
+    legalMoveCount: final.length
+  };
+}
+
+// ── Request Validation ──
+// Client FENs, moves and search limits are checked before they reach an engine (see
+// lib/validation.js); MAX_DEPTH, MAX_MULTIPV, MAX_MOVETIME_MS and MAX_NODES bound searches
+const SEARCH_BOUNDS = searchBounds(process.env);
+
+// ── Analysis Requests ──
+// Validate the body of a position, all-moves or game request. Returns { error } (a
+// 400 response body, or 503 when status says so) or { run({ signal, emit }) }
+// resolving to the final result.
+// Shared by the direct routes and background jobs so both accept the same input.
+// engine names a registered engine (default: the first); settings.engineOptions may
+// override that engine's overridable options for this request.
+function readAnalysisRequest(type, body) {
+  try {
+    return analysisRequest(type, body);
+  } catch (err) {
+    if (err instanceof FenError || err instanceof ValidationError || err instanceof EngineOptionError) {
+      return { error: { error: err.message } };
+    }
+    throw err;
+  }
+}
+
+function analysisRequest(type, body) {
+  const engine = engines.get(body.engine);
+  if (!engine) return { error: { error: `Unknown engine: ${body.engine}` } };
+  if (!engine.available) return { status: 503, error: { error: `${engine.name} unavailable.` } };
+  const engineOptions = engine.settings.overrides(body.settings?.engineOptions);
+  const setting = (name, bound, fallback) => (
+    checkLimit(SEARCH_BOUNDS, bound, body.settings?.[name] ?? fallback, `settings.${name}`)
+  );
+
+  if (type === 'position') {
+    const position = readPositionRequest(SEARCH_BOUNDS, body);
+    return { run: ({ signal }) => analyzeOn(engine, { ...position, engineOptions, signal }) };
+  }
+
+  if (type === 'live') {
+    const fen = readClientFen(body.fen);
+    const multipv = setting('multiPv', 'multipv', 3);
+    return {
+      run: ({ signal, emit }) => engine.pool.streamSearch({
+        fen,
+        multipv,
+        signal,
+        engineOptions,
+        onDepth: (update) => emit({ type: 'depth', ...update })
+      })
+    };
+  }
+
+  if (type === 'all-moves') {
+    const fen = readClientFen(body.fen);
+    const { mode, limit } = explorerLimit(SEARCH_BOUNDS, body.settings);
+    return {
+      run: ({ signal, emit }) => exploreAllMoves({ fen, mode, limit, signal, engine, engineOptions, emit })
+    };
+  }
+
+  // game: a PGN is read and replayed here; clients without one may still send the
+  // positions themselves as fenSequence/preMoveSequence
+  const depth = setting('depth', 'depth', 10);
+  const fenSequence = readClientFenList(body.fenSequence ?? [], 'fenSequence');
+  // preMoveSequence may leave a ply's position out
+  const preMoveSequence = readClientFenList(body.preMoveSequence ?? [], 'preMoveSequence', { optional: true });
+  let game = null;
+  if (typeof body.pgn === 'string' && body.pgn.trim()) {
+    try {
+      [game] = parsePgn(body.pgn);
+    } catch (err) {
+      if (!(err instanceof PgnError)) throw err;
+      return { error: { error: err.message, line: err.line, column: err.column } };
+    }
+    if (!game?.moves.length) return { error: { error: 'PGN contains no moves.' } };
+    // The moves were replayed legally; only the starting position is the client's
+    readClientFen(game.startFen, 'The PGN FEN header');
+  } else if (!fenSequence.length) {
+    return { error: { error: 'pgn or fenSequence is required for game analysis.' } };
+  }
+  return {
+    run: async ({ signal, emit = () => {} }) => {
+      const review = await reviewGame({
+        game,
+        fenSequence,
+        preMoveSequence,
+        depth,
+        signal,
+        engine,
+        engineOptions,
+        // Reviews yield to interactive analysis
+        priority: 'batch',
+        onPly: (ply, progress) => emit({ type: 'ply', progress, ply })
+      });
+      if (game) gameDb.addReviewed(game, review);
+      return review;
+    }
+  };
+}
+
+// An interactive position analysis on one engine, with the tablebase result when the
+// position is in the tablebases
+async function analyzeOn(engine, { fen, depth, multipv, engineOptions, signal }) {
+  const analysis = await engine.pool.analyzePosition({
+    fen, depth, multipv, priority: 'interactive', signal, engineOptions
+  });
+  return { ...analysis, tablebase: await tablebaseOrNull(fen, { signal }) };
+}
+
+// ── Game Database ──
+// Imported and reviewed games (see lib/game-database.js); batches review them with the
+// default engine, as many games at a time as its pool has workers
+const gameDb = new GameDatabase(reviewGame, { concurrency: pool.size });
+
+// ── Jobs ──
+// Background analyses that outlive the request that started them (see lib/jobs.js)
+const jobs = new JobStore();
+
+// ── Admission Control ──
+// Engine-heavy requests are admitted per client IP and route (see lib/rate-limit.js).
+const MAX_QUEUE_LENGTH = Number(process.env.MAX_QUEUE_LENGTH) || 200;
+// How many reverse proxies stand in front of the server; 0 trusts no X-Forwarded-For
+const TRUST_PROXY = Math.max(0, Math.trunc(Number(process.env.TRUST_PROXY)) || 0);
+
+const limiter = new RateLimiter(loadRateLimits(process.env.RATE_LIMITS), {
+  queued: () => [...engines.engines.values()].reduce((sum, e) => sum + e.pool.queue.length, 0),
+  maxQueueLength: MAX_QUEUE_LENGTH
+});
+
+// ── Play ──
+// Games against an engine (see lib/play.js). The engine's clock bounds how long one of
+// its moves may hold a worker, so the time controls a game may ask for are capped.
+const MAX_PLAY_MINUTES = Number(process.env.MAX_PLAY_MINUTES) || 60;
+const MAX_PLAY_INCREMENT_SECONDS = Number(process.env.MAX_PLAY_INCREMENT_SECONDS) || 60;
+
+const play = new PlayStore(engines, {
+  readFen: readClientFen,
+  maxMinutes: MAX_PLAY_MINUTES,
+  maxIncrementSeconds: MAX_PLAY_INCREMENT_SECONDS,
+  replyGraceMs: READY_TIMEOUT_MS,
+  jobGraceMs: JOB_TIMEOUT_MS
+});
+
+// ── WebSocket Sessions ──
+// /api/ws?engine=<id>: one engine session per connection, for board GUIs and bots that
+// drive the engine interactively. The WebSocket protocol (RFC 6455) is handled here on
+// the HTTP server's upgrade event. Messages are JSON text frames:
+//   { type: 'position', fen, moves }   set the position (default: the start), moves in UCI
+//   { type: 'setoption', name, value } an overridable engine option, for this session only
+//   { type: 'go', depth | nodes | movetime, multipv }   no limit searches until 'stop'
+//   { type: 'stop' }
+// Replies are 'ready', 'position', 'options', 'info' (every completed depth), 'bestmove'
+// and 'error'; an `id` on a message comes back on its replies. Each search is an
+// interactive pool job, so a session holds a worker only while it searches. Framing
+// is in lib/websocket.js.
+const WS_MAX_SESSIONS = Number(process.env.WS_MAX_SESSIONS) || 32;
+const WS_MAX_SESSIONS_PER_CLIENT = Number(process.env.WS_MAX_SESSIONS_PER_CLIENT) || 4;
+const WS_IDLE_MS = (Number(process.env.WS_IDLE_SECONDS) || 300) * 1000;
+const WS_MAX_MESSAGE_BYTES = 64 * 1024;
+const WS_SEARCH_LIMITS = ['depth', 'nodes', 'movetime'];
+
+// Raised for a session message that cannot be carried out; answered with an error reply
+class SessionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SessionError';
+  }
+}
+
+class EngineSession {
+  constructor(socket, engine, ip, onClose) {
+    this.socket = socket;
+    this.engine = engine;
+    this.ip = ip; // searches are admitted against this client's `session` limits
+    this.onClose = onClose;
+    this.fen = START_FEN;
+    this.engineOptions = {};
+    this.search = null; // { cancel, stop } controllers of the running search
+    this.buffer = Buffer.alloc(0);
+    this.messages = new WsMessageBuffer(WS_MAX_MESSAGE_BYTES);
+    this.closed = false;
+    this.openedAt = Date.now();
+    socket.setNoDelay(true);
+    socket.on('data', (chunk) => this.receive(chunk));
+    socket.on('close', () => this.teardown());
+    socket.on('error', () => this.teardown());
+    this.touch();
+  }
+
+  // A session without messages for WS_IDLE_MS is closed, unless it is still searching
+  touch() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => {
+      if (this.search) this.touch();
+      else this.close(1000, 'Idle timeout');
+    }, WS_IDLE_MS);
+  }
+
+  send(message) {
+    if (this.closed || !this.socket.writable) return;
+    this.socket.write(wsFrame(WS_OP.text, Buffer.from(JSON.stringify(message))));
+  }
+
+  close(code, reason = '') {
+    if (this.closed) return;
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code);
+    payload.write(reason, 2);
+    if (this.socket.writable) this.socket.end(wsFrame(WS_OP.close, payload));
+    this.teardown();
+  }
+
+  teardown() {
+    if (this.closed) return;
+    this.closed = true;
+    clearTimeout(this.idleTimer);
+    this.search?.cancel.abort();
+    this.onClose(this);
+  }
+
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    let frame;
+    while (!this.closed && (frame = this.readFrame())) this.handleFrame(frame);
+  }
+
+  // The next whole frame off the buffer, or null until more data arrives
+  readFrame() {
+    const read = readWsFrame(this.buffer, WS_MAX_MESSAGE_BYTES);
+    if (read?.problem) this.close(...read.problem);
+    if (!read?.frame) return null;
+    this.buffer = read.rest;
+    return read.frame;
+  }
+
+  handleFrame({ fin, opcode, payload }) {
+    if (opcode === WS_OP.close) {
+      this.close(1000);
+    } else if (opcode === WS_OP.ping) {
+      this.socket.write(wsFrame(WS_OP.pong, payload));
+    } else if (opcode === WS_OP.text || opcode === WS_OP.binary || opcode === WS_OP.continuation) {
+      // Fragmented messages are put back together, within the same size limit; a binary
+      // message is refused at its first frame
+      const read = this.messages.add({ fin, opcode, payload });
+      if (read?.problem) {
+        this.close(...read.problem);
+      } else if (opcode === WS_OP.binary) {
+        this.close(1003, 'Only text frames are accepted');
+      } else if (read) {
+        this.handleMessage(read.message.payload.toString('utf8'));
+      }
+    } else if (opcode !== WS_OP.pong) {
+      this.close(1002, 'Unknown opcode');
+    }
+  }
+
+  handleMessage(text) {
+    this.touch();
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (_err) {
+      message = null;
+    }
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      this.send({ type: 'error', error: 'Messages must be JSON objects' });
+      return;
+    }
+    const { id } = message;
+    try {
+      const handler = {
+        position: () => this.setPosition(message),
+        setoption: () => this.setOption(message),
+        go: () => this.go(message),
+        stop: () => this.stop()
+      }[message.type];
+      if (!handler) throw new SessionError(`Unknown message type: ${message.type}`);
+      const reply = handler();
+      if (reply) this.send({ ...reply, ...(id !== undefined && { id }) });
+    } catch (err) {
+      if (![SessionError, FenError, ValidationError, EngineOptionError].some((type) => err instanceof type)) {
+        console.error('Session error:', err.message);
+      }
+      this.send({ type: 'error', error: err.message, ...(id !== undefined && { id }) });
+    }
+  }
+
+  setPosition({ fen, moves = [] }) {
+    if (this.search) throw new SessionError('Stop the search before changing the position');
+    if (!Array.isArray(moves)) throw new SessionError('moves must be a list of UCI moves');
+    let pos = parseFen(fen === undefined ? START_FEN : readClientFen(fen));
+    for (const uci of moves) pos = applyMove(pos, readClientMove(pos, uci));
+    this.fen = toFen(pos);
+    return { type: 'position', fen: this.fen };
+  }
+
+  setOption({ name, value }) {
+    if (this.search) throw new SessionError('Stop the search before changing options');
+    if (typeof name !== 'string') throw new SessionError('name is required');
+    this.engineOptions = { ...this.engineOptions, ...this.engine.settings.overrides({ [name]: value }) };
+    return { type: 'options', engineOptions: this.engineOptions };
+  }
+
+  go(message) {
+    if (this.search) throw new SessionError('A search is already running');
+    const given = WS_SEARCH_LIMITS.filter((name) => message[name] !== undefined);
+    if (given.length > 1) throw new SessionError(`Give at most one of: ${WS_SEARCH_LIMITS.join(', ')}`);
+    const limit = given.length ? { [given[0]]: checkLimit(SEARCH_BOUNDS, given[0], message[given[0]]) } : null;
+    const multipv = checkLimit(SEARCH_BOUNDS, 'multipv', message.multipv ?? 1);
+    const { ticket, retryAfter, error } = limiter.admit(this.ip, 'session');
+    if (!ticket) return { type: 'error', error, retryAfter };
+
+    const search = { cancel: new AbortController(), stop: new AbortController() };
+    const tag = message.id !== undefined ? { id: message.id } : {};
+    this.search = search;
+    limiter.meter(ticket, () => this.engine.pool.streamSearch({
+      fen: this.fen,
+      limit,
+      multipv,
+      signal: search.cancel.signal,
+      stopSignal: search.stop.signal,
+      engineOptions: this.engineOptions,
+      onDepth: (update) => this.send({ type: 'info', ...tag, ...update })
+    }))().then(
+      ({ bestmove, bestScore, depth, lines }) => this.send({ type: 'bestmove', ...tag, bestmove, bestScore, depth, lines }),
+      (err) => {
+        // Cancelled only when the connection has gone
+        if (!(err instanceof JobCancelledError)) this.send({ type: 'error', ...tag, error: err.message });
+      }
+    ).finally(() => {
+      if (this.search === search) this.search = null;
+      this.touch();
     });
+    return null;
+  }
+
+  // The running search ends early; its bestmove reply follows
+  stop() {
+    if (!this.search) throw new SessionError('No search is running');
+    this.search.stop.abort();
+    return null;
+  }
+
+  status() {
+    return { engine: this.engine.id, fen: this.fen, searching: Boolean(this.search), openedAt: this.openedAt };
   }
 }
 
-const pool = new EnginePool(Math.max(1, Math.min(4, os.cpus().length)));
+const sessions = new Set();
+
+// Upgrade /api/ws to a WebSocket and start its session; anything else is refused with an HTTP status
+function handleUpgrade(req, socket, head) {
+  const refuse = (status, message) => {
+    socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nContent-Type: text/plain\r\n` +
+      `Content-Length: ${Buffer.byteLength(message)}\r\nConnection: close\r\n\r\n${message}`);
+  };
+  // Nothing above the upgrade listener catches a throw, so a bad URL must not escape;
+  // the Host header is the client's and plays no part in routing
+  let url;
+  try {
+    url = new URL(req.url, 'http://localhost');
+  } catch (_err) {
+    return refuse(400, 'Invalid request URL');
+  }
+  if (url.pathname !== '/api/ws') return refuse(404, 'Not found');
+  const key = req.headers['sec-websocket-key'];
+  if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key || req.headers['sec-websocket-version'] !== '13') {
+    return refuse(400, 'Expected a version 13 WebSocket handshake');
+  }
+  const engine = engines.get(url.searchParams.get('engine'));
+  if (!engine) return refuse(400, `Unknown engine: ${url.searchParams.get('engine')}`);
+  if (!engine.available) return refuse(503, `${engine.name} unavailable.`);
+  if (sessions.size >= WS_MAX_SESSIONS) return refuse(503, 'Too many engine sessions; try again later');
+  const ip = clientIp(req, TRUST_PROXY);
+  if ([...sessions].filter((s) => s.ip === ip).length >= WS_MAX_SESSIONS_PER_CLIENT) {
+    return refuse(429, `At most ${WS_MAX_SESSIONS_PER_CLIENT} engine sessions per client`);
+  }
+
+  const accept = wsAcceptKey(key);
+  socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+  const session = new EngineSession(socket, engine, ip, (s) => sessions.delete(s));
+  sessions.add(session);
+  session.send({
+    type: 'ready',
+    engine: { id: engine.id, name: engine.name },
+    fen: session.fen,
+    overridable: engine.settings.overridable,
+    idleTimeoutMs: WS_IDLE_MS
+  });
+  if (head.length) session.receive(head);
+}
 
 // ── HTTP Helpers ──
 function sendJson(res, status, data) {
@@ -412,6 +1248,53 @@ function sendJson(res, status, data) {
   res.end(JSON.stringify(data));
 }
 
+// The limiter's ticket for an engine-heavy request, or null once a 429 has been sent
+function admitRequest(req, res, route) {
+  const { ticket, retryAfter, error } = limiter.admit(clientIp(req, TRUST_PROXY), route);
+  if (ticket) return ticket;
+  res.setHeader('Retry-After', String(retryAfter));
+  sendJson(res, 429, { error, retryAfter });
+  return null;
+}
+
+// Send a finished review as an annotated PGN download
+function sendAnnotatedPgn(res, review) {
+  if (!review) return sendJson(res, 409, { error: 'The game has not been reviewed yet.' });
+  if (review.plies.some((p) => !p.uci)) {
+    return sendJson(res, 409, { error: 'Only reviews started from a PGN can be exported.' });
+  }
+  const players = [review.headers.White, review.headers.Black].filter(Boolean).join('-vs-');
+  const filename = `${players.replace(/[^\w.-]+/g, '_') || 'review'}-annotated.pgn`;
+  res.writeHead(200, {
+    'Content-Type': 'application/x-chess-pgn; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}"`
+  });
+  res.end(annotatedPgn(review));
+}
+
+// Admin routes need `Authorization: Bearer <ADMIN_TOKEN>`; without a token configured
+// they are open to local command-line clients only. A loopback socket is not enough on
+// its own: a web page the local user opens sends an Origin header, and a reverse proxy
+// on the same host connects from loopback on behalf of everyone.
+function isAdmin(req) {
+  if (ADMIN_TOKEN) {
+    const given = Buffer.from(req.headers.authorization ?? '');
+    const expected = Buffer.from(`Bearer ${ADMIN_TOKEN}`);
+    return given.length === expected.length && timingSafeEqual(given, expected);
+  }
+  if (['origin', 'x-forwarded-for', 'forwarded', 'x-real-ip'].some((h) => h in req.headers)) return false;
+  return ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket.remoteAddress);
+}
+
+// Abort engine work for this request once the client goes away
+function abortOnClose(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+}
+
 function parseBody(req, maxBytes = 10 * 1024 * 1024) {
   return new Promise((resolve, reject) => {
     let raw = '';
@@ -451,8 +1334,8 @@ function parseBody(req, maxBytes = 10 * 1024 * 1024) {
 async function handleApi(req, res) {
   // CORS headers for development
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
   if (req.method === 'OPTIONS') {
     res.writeHead(204);
@@ -462,132 +1345,308 @@ async function handleApi(req, res) {
   try {
     // POST /api/analyze/position
     if (req.method === 'POST' && req.url === '/api/analyze/position') {
-      if (!pool.enabled) return sendJson(res, 503, { error: 'Stockfish unavailable.' });
+      const request = readAnalysisRequest('position', await parseBody(req));
+      if (request.error) return sendJson(res, request.status ?? 400, request.error);
+      const ticket = admitRequest(req, res, 'position');
+      if (!ticket) return;
+      return sendJson(res, 200, await limiter.meter(ticket, request.run)({ signal: abortOnClose(res) }));
+    }
+
+    // POST /api/analyze/compare — one position on several engines: { fen, engines, settings }
+    if (req.method === 'POST' && req.url === '/api/analyze/compare') {
       const body = await parseBody(req);
-      if (!body.fen) return sendJson(res, 400, { error: 'FEN is required' });
-      const result = await pool.analyzePosition({
-        fen: body.fen,
-        depth: body.settings?.depth ?? 12,
-        multipv: body.settings?.multiPv ?? 3
-      });
-      return sendJson(res, 200, result);
+      let position;
+      let selected;
+      try {
+        position = readPositionRequest(SEARCH_BOUNDS, body);
+        selected = engines.select(body.engines ?? engines.list().filter((e) => e.available).map((e) => e.id));
+      } catch (err) {
+        if (err instanceof FenError || err instanceof ValidationError) return sendJson(res, 400, { error: err.message });
+        throw err;
+      }
+      // The whole comparison is one position request for the limiter
+      const ticket = admitRequest(req, res, 'position');
+      if (!ticket) return;
+      const signal = abortOnClose(res);
+      // Engine options differ between engines, so a bad one only fails its own engine
+      const results = await limiter.meter(ticket, () => engines.compare(selected, (engine) => analyzeOn(engine, {
+        ...position,
+        engineOptions: engine.settings.overrides(body.settings?.engineOptions),
+        signal
+      })))();
+      return sendJson(res, 200, { fen: position.fen, results });
+    }
+
+    // POST /api/analyze/live, /api/analyze/all-moves and /api/analyze/game (SSE streaming)
+    const streamType = {
+      '/api/analyze/live': 'live',
+      '/api/analyze/all-moves': 'all-moves',
+      '/api/analyze/game': 'game'
+    }[req.url];
+    if (req.method === 'POST' && streamType) {
+      const request = readAnalysisRequest(streamType, await parseBody(req));
+      if (request.error) return sendJson(res, request.status ?? 400, request.error);
+      const ticket = admitRequest(req, res, streamType);
+      if (!ticket) return;
+
+      openEventStream(res);
+      // Closing the stream cancels every search still queued or running
+      const result = await limiter.meter(ticket, request.run)({ signal: abortOnClose(res), emit: (event) => writeEvent(res, event) });
+      writeEvent(res, { type: 'final', result });
+      return res.end();
     }
 
-    // POST /api/analyze/all-moves (SSE streaming)
-    if (req.method === 'POST' && req.url === '/api/analyze/all-moves') {
+    // POST /api/jobs — start a position, all-moves or game analysis in the background
+    if (req.method === 'POST' && req.url === '/api/jobs') {
       const body = await parseBody(req);
-      if (!pool.enabled) return sendJson(res, 503, { error: 'Stockfish unavailable.' });
-      if (!body.fen) return sendJson(res, 400, { error: 'FEN is required' });
+      if (!JOB_TYPES.includes(body.type)) {
+        return sendJson(res, 400, { error: `type must be one of: ${JOB_TYPES.join(', ')}` });
+      }
+      const request = readAnalysisRequest(body.type, body);
+      if (request.error) return sendJson(res, request.status ?? 400, request.error);
+      // A background job holds its client's slot until it finishes or is cancelled
+      const ticket = admitRequest(req, res, body.type);
+      if (!ticket) return;
+      return sendJson(res, 202, jobs.snapshot(jobs.create(body.type, limiter.meter(ticket, request.run))));
+    }
 
-      const fen = body.fen;
-      const movetime = Number(body.settings?.movetimeMs ?? 120);
-      const legal = await pool.legalMoves(fen);
+    // GET /api/jobs — every job still kept, without partial results
+    if (req.method === 'GET' && req.url === '/api/jobs') {
+      return sendJson(res, 200, { jobs: jobs.list() });
+    }
 
-      res.writeHead(200, {
-        'Content-Type': 'text/event-stream; charset=utf-8',
-        'Cache-Control': 'no-cache',
-        Connection: 'keep-alive'
-      });
+    // GET /api/jobs/:id/events — replay the job's events so far, then follow it live (SSE)
+    const jobEventsMatch = req.url.match(/^\/api\/jobs\/([\w-]+)\/events$/);
+    if (req.method === 'GET' && jobEventsMatch) {
+      const job = jobs.get(jobEventsMatch[1]);
+      if (!job) return sendJson(res, 404, { error: 'Job not found.' });
+      openEventStream(res);
+      jobs.follow(job, res);
+      return;
+    }
+
+    // GET /api/jobs/:id/pgn — annotated PGN of a finished game review job
+    const jobPgnMatch = req.url.match(/^\/api\/jobs\/([\w-]+)\/pgn$/);
+    if (req.method === 'GET' && jobPgnMatch) {
+      const job = jobs.get(jobPgnMatch[1]);
+      if (!job || job.type !== 'game') return sendJson(res, 404, { error: 'Game review job not found.' });
+      return sendAnnotatedPgn(res, job.result);
+    }
 
-      let clientDisconnected = false;
-      req.on('close', () => { clientDisconnected = true; });
-
-      const rows = [];
-      for (let i = 0; i < legal.length; i += 1) {
-        if (clientDisconnected) return;
-        const move = legal[i];
-        const evalCp = await pool.evaluateMove(fen, move, movetime);
-        // Negate eval since it's from opponent's perspective after the move
-        const row = { uci: move, evalCp: -evalCp };
-        rows.push(row);
-        res.write(`data: ${JSON.stringify({ type: 'partial', progress: (i + 1) / legal.length, row })}\n\n`);
+    // GET / DELETE /api/jobs/:id — status, progress and results, or cancel the job
+    const jobMatch = req.url.match(/^\/api\/jobs\/([\w-]+)$/);
+    if (jobMatch && (req.method === 'GET' || req.method === 'DELETE')) {
+      const job = jobs.get(jobMatch[1]);
+      if (!job) return sendJson(res, 404, { error: 'Job not found.' });
+      if (req.method === 'DELETE') jobs.cancel(job);
+      return sendJson(res, 200, jobs.snapshot(job));
+    }
+
+    // POST /api/games/import — add every game of a (multi-game) PGN to the game database
+    if (req.method === 'POST' && req.url === '/api/games/import') {
+      const body = await parseBody(req, MAX_IMPORT_BYTES);
+      if (typeof body.pgn !== 'string' || !body.pgn.trim()) return sendJson(res, 400, { error: 'pgn is required.' });
+      const ticket = admitRequest(req, res, 'import');
+      if (!ticket) return;
+      const started = Date.now();
+      try {
+        const { games, duplicates, errors } = gameDb.import(body.pgn);
+        return sendJson(res, 200, { imported: games.length, games, duplicates, errors });
+      } catch (err) {
+        // Unreadable structure (e.g. an unterminated comment) stops the whole import
+        if (!(err instanceof PgnError)) throw err;
+        return sendJson(res, 400, { error: err.message, line: err.line, column: err.column });
+      } finally {
+        ticket.charge(Date.now() - started);
+        ticket.release();
       }
+    }
 
-      rows.sort((a, b) => b.evalCp - a.evalCp);
-      const bestEvalCp = rows[0]?.evalCp ?? 0;
-      const final = rows.map((r) => {
-        const deltaCp = Math.max(0, bestEvalCp - r.evalCp);
-        return { ...r, deltaCp, category: classify(deltaCp) };
+    // GET /api/games — imported games with their review state, plus all batches
+    if (req.method === 'GET' && req.url === '/api/games') {
+      return sendJson(res, 200, {
+        games: gameDb.list(),
+        batches: [...gameDb.batches.values()].map((b) => gameDb.batchStatus(b))
       });
+    }
 
-      res.write(`data: ${JSON.stringify({ type: 'final', result: { fen, moves: final, bestEvalCp, legalMoveCount: final.length } })}\n\n`);
-      return res.end();
+    // GET /api/games/:id — one game with its PGN and stored review
+    const gameMatch = req.url.match(/^\/api\/games\/(\d+)$/);
+    if (req.method === 'GET' && gameMatch) {
+      const game = gameDb.get(Number(gameMatch[1]));
+      return game ? sendJson(res, 200, game) : sendJson(res, 404, { error: 'Game not found.' });
+    }
+
+    // GET /api/games/:id/pgn — annotated PGN of a reviewed database game
+    const gamePgnMatch = req.url.match(/^\/api\/games\/(\d+)\/pgn$/);
+    if (req.method === 'GET' && gamePgnMatch) {
+      const game = gameDb.get(Number(gamePgnMatch[1]));
+      if (!game) return sendJson(res, 404, { error: 'Game not found.' });
+      return sendAnnotatedPgn(res, game.reviewData);
     }
 
-    // POST /api/analyze/game
-    if (req.method === 'POST' && req.url === '/api/analyze/game') {
+    // POST /api/games/review — queue a batch review of the given game ids (default: all)
+    if (req.method === 'POST' && req.url === '/api/games/review') {
       if (!pool.enabled) return sendJson(res, 503, { error: 'Stockfish unavailable.' });
       const body = await parseBody(req);
-      const moves = parsePgnMoves(body.pgn || '');
-      const fenSequence = body.fenSequence || [];
-      const preMoveSequence = body.preMoveSequence || [];
+      if (body.ids !== undefined && !Array.isArray(body.ids)) return sendJson(res, 400, { error: 'ids must be an array.' });
+      const ids = (body.ids || []).map(Number);
+      const unknown = ids.filter((id) => !gameDb.games.has(id));
+      if (unknown.length) return sendJson(res, 404, { error: `Unknown game ids: ${unknown.join(', ')}` });
+      if (!gameDb.games.size) return sendJson(res, 400, { error: 'No games imported.' });
+      let depth;
+      try {
+        depth = checkLimit(SEARCH_BOUNDS, 'depth', body.settings?.depth ?? 10, 'settings.depth');
+      } catch (err) {
+        if (err instanceof ValidationError) return sendJson(res, 400, { error: err.message });
+        throw err;
+      }
+      const ticket = admitRequest(req, res, 'game');
+      if (!ticket) return;
+      const batch = engineMeter.run(ticket, () => gameDb.startBatch(ids, depth));
+      batch.done.finally(ticket.release);
+      return sendJson(res, 202, gameDb.batchStatus(batch));
+    }
 
-      if (!fenSequence.length) {
-        return sendJson(res, 400, { error: 'fenSequence is required for game analysis.' });
+    // GET / DELETE /api/games/batches/:id — batch progress, or cancel it
+    const batchMatch = req.url.match(/^\/api\/games\/batches\/(\d+)$/);
+    if (batchMatch && (req.method === 'GET' || req.method === 'DELETE')) {
+      const id = Number(batchMatch[1]);
+      const batch = req.method === 'DELETE' ? gameDb.cancelBatch(id) : gameDb.batches.get(id);
+      if (!batch) return sendJson(res, 404, { error: 'Batch not found.' });
+      return sendJson(res, 200, req.method === 'DELETE' ? batch : gameDb.batchStatus(batch));
+    }
+
+    // GET /api/opening
+    if (req.method === 'GET' && req.url.startsWith('/api/opening')) {
+      const url = new URL(req.url, 'http://localhost');
+      const moves = (url.searchParams.get('moves') || '').split(' ').filter(Boolean);
+      let replay;
+      try {
+        replay = replaySans(readClientFen(url.searchParams.get('fen') || START_FEN), moves);
+      } catch (err) {
+        if (err instanceof FenError) return sendJson(res, 400, { error: err.message });
+        throw err;
       }
+      if (replay.error) return sendJson(res, 400, { error: replay.error });
+      return sendJson(res, 200, detectOpening(replay.fens));
+    }
 
-      const plies = [];
-      for (let i = 0; i < fenSequence.length; i += 1) {
-        const fen = fenSequence[i];
-        const postMoveAnalysis = await pool.analyzePosition({
-          fen,
-          depth: body.settings?.depth ?? 10,
-          multipv: 1
-        });
-        const evalAfterMove = postMoveAnalysis.bestEvalCp;
-
-        let deltaCp = 0;
-        if (i > 0 && preMoveSequence[i]) {
-          const preMoveAnalysis = await pool.analyzePosition({
-            fen: preMoveSequence[i],
-            depth: body.settings?.depth ?? 10,
-            multipv: 1
-          });
-          const bestBeforeMove = preMoveAnalysis.bestEvalCp;
-          deltaCp = Math.max(0, bestBeforeMove + evalAfterMove);
-        }
+    // GET /api/explorer?fen=…&player=…&color=white|black — moves played from a position
+    // in the game database
+    if (req.method === 'GET' && req.url.startsWith('/api/explorer')) {
+      const url = new URL(req.url, 'http://localhost');
+      const color = url.searchParams.get('color') || null;
+      if (color && !EXPLORER_COLORS.includes(color)) {
+        return sendJson(res, 400, { error: `color must be one of: ${EXPLORER_COLORS.join(', ')}` });
+      }
+      let fen;
+      try {
+        fen = readClientFen(url.searchParams.get('fen') || START_FEN);
+      } catch (err) {
+        if (err instanceof FenError) return sendJson(res, 400, { error: err.message });
+        throw err;
+      }
+      return sendJson(res, 200, gameDb.explorer.query(fen, { player: url.searchParams.get('player') || '', color }));
+    }
 
-        plies.push({
-          ply: i + 1,
-          san: moves[i] || `ply-${i + 1}`,
-          fen,
-          evalCp: evalAfterMove,
-          deltaCp,
-          category: classify(deltaCp)
-        });
+    // GET /api/tablebase?fen=… — WDL, DTZ and every move's result for a position in the tablebases
+    if (req.method === 'GET' && req.url.startsWith('/api/tablebase')) {
+      const url = new URL(req.url, 'http://localhost');
+      if (tablebases.enabled && !engines.tablebase) {
+        return sendJson(res, 503, { error: 'Tablebase probes need a Stockfish engine.' });
+      }
+      let fen;
+      try {
+        fen = readClientFen(url.searchParams.get('fen'));
+      } catch (err) {
+        if (err instanceof FenError) return sendJson(res, 400, { error: err.message });
+        throw err;
+      }
+      // A probe with DTZ runs a search per move, so it is metered like analysis
+      const ticket = admitRequest(req, res, 'tablebase');
+      if (!ticket) return;
+      const probe = await limiter.meter(ticket, probeTablebase)(fen, { signal: abortOnClose(res) });
+      if (!probe) {
+        return sendJson(res, 404, { error: 'Position is not in the tablebases.', tablebases: tablebases.status() });
       }
+      return sendJson(res, 200, probe);
+    }
 
-      const turningPoints = plies.filter((p) => p.deltaCp >= 150);
-      const evalGraph = plies.map((p) => ({ ply: p.ply, evalCp: p.evalCp }));
-      return sendJson(res, 200, {
-        opening: detectOpening(moves),
-        plyCount: plies.length,
-        plies,
-        turningPoints,
-        evalGraph
-      });
+    // GET /api/engines — the registered engines, default first
+    if (req.method === 'GET' && req.url === '/api/engines') {
+      return sendJson(res, 200, { engines: engines.list() });
     }
 
-    // GET /api/opening
-    if (req.method === 'GET' && req.url.startsWith('/api/opening')) {
-      const url = new URL(req.url, `http://${req.headers.host}`);
-      const moves = (url.searchParams.get('moves') || '').split(' ').filter(Boolean);
-      return sendJson(res, 200, detectOpening(moves));
+    // GET /api/engine/options?engine=… — an engine's UCI options with the pool-wide defaults
+    // PUT /api/engine/options?engine=… — admin: { defaults, overridable }
+    if (req.url.split('?')[0] === '/api/engine/options' && (req.method === 'GET' || req.method === 'PUT')) {
+      const url = new URL(req.url, 'http://localhost');
+      const engine = engines.get(url.searchParams.get('engine'));
+      if (!engine) return sendJson(res, 404, { error: `Unknown engine: ${url.searchParams.get('engine')}` });
+      if (req.method === 'GET') return sendJson(res, 200, engine.settings.describe());
+      if (!isAdmin(req)) return sendJson(res, 403, { error: 'Changing engine options needs the admin token.' });
+      try {
+        return sendJson(res, 200, engine.settings.update(await parseBody(req)));
+      } catch (err) {
+        if (err instanceof EngineOptionError) return sendJson(res, 400, { error: err.message });
+        throw err;
+      }
+    }
+
+    // POST /api/play — start a game against an engine: { fen, color, strength, timeControl, engine }
+    if (req.method === 'POST' && req.url === '/api/play') {
+      const body = await parseBody(req);
+      // The engine moves first when the player takes black
+      const ticket = admitRequest(req, res, 'play');
+      if (!ticket) return;
+      const game = await limiter.meter(ticket, () => play.create(body))();
+      return sendJson(res, 201, play.snapshot(game));
+    }
+
+    // GET /api/play/:id, POST /api/play/:id/move { move }, POST /api/play/:id/resign
+    const playMatch = req.url.match(/^\/api\/play\/([\w-]+)(?:\/(move|resign))?$/);
+    if (playMatch && (req.method === 'POST') === Boolean(playMatch[2])) {
+      const game = play.get(playMatch[1]);
+      if (!game) return sendJson(res, 404, { error: 'Game not found.' });
+      if (playMatch[2] === 'move') {
+        const { move } = await parseBody(req);
+        const ticket = admitRequest(req, res, 'play');
+        if (!ticket) return;
+        await limiter.meter(ticket, () => play.move(game, move))();
+      }
+      if (playMatch[2] === 'resign') play.resign(game);
+      return sendJson(res, 200, play.snapshot(game));
     }
 
     // GET /api/status
     if (req.method === 'GET' && req.url === '/api/status') {
       return sendJson(res, 200, {
-        engine: pool.enabled ? 'stockfish' : 'unavailable',
+        engine: pool.enabled ? engines.default.id : 'unavailable',
         workers: pool.size,
-        cacheSize: cache.cache.size,
+        pool: pool.status(),
+        engines: engines.list().map((e) => ({ ...e, pool: engines.get(e.id).pool.status() })),
+        cacheSize: cache.size,
+        cache: { ...cache.stats(), lookups: analysisIndex.stats() },
+        openings: { named: ecoDb.size, files: ecoDb.files, skipped: ecoDb.skipped, fallback: openingsFallback },
+        books: books.map((book) => ({ name: book.name, path: book.path, entries: book.size })),
+        tablebases: { ...tablebases.status(), engine: engines.tablebase?.id ?? null },
+        limits: limiter.status({ clients: isAdmin(req) }),
+        sessions: { open: sessions.size, max: WS_MAX_SESSIONS, list: [...sessions].map((s) => s.status()) },
         uptime: process.uptime()
       });
     }
 
     return sendJson(res, 404, { error: 'Not found' });
   } catch (error) {
+    // The client went away and its engine work was cancelled; nobody is left to answer
+    if (error instanceof JobCancelledError) return res.end();
+    if (error instanceof PlayError) return sendJson(res, error.status, { error: error.message });
     console.error('API error:', error.message);
+    if (res.headersSent) {
+      writeEvent(res, { type: 'error', error: error.message });
+      return res.end();
+    }
     return sendJson(res, 500, { error: error.message });
   }
 }
@@ -636,6 +1695,8 @@ function serveStatic(req, res) {
 http.createServer((req, res) => {
   if (req.url.startsWith('/api/')) return handleApi(req, res);
   return serveStatic(req, res);
-}).listen(PORT, () => {
-  console.log(`PawnForge running at http://localhost:${PORT} | stockfish=${pool.enabled ? 'on' : 'off'} | workers=${pool.size}`);
+}).on('upgrade', handleUpgrade).listen(PORT, () => {
+  const engineSummary = engines.list().map((e) => `${e.id}=${e.available ? `on(${e.workers})` : 'off'}`).join(' ');
+  console.log(`PawnForge running at http://localhost:${PORT} | ${engineSummary}`);
+  if (tablebases.enabled && !engines.tablebase) console.warn('Tablebases: no Stockfish engine available; probing is off');
 });
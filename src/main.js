@@ -9,6 +9,11 @@ let gameReviewData = null;
 let gameReviewPly = -1;
 let gameReviewFens = [];
 let gameReviewPreFens = [];
+let playGame = null; // the server's snapshot of the game against the engine
+let playClockTimer = null;
+let playSyncedAt = 0; // when the clock values in playGame were current
+let liveStream = null; // the running live analysis, if any
+let liveFen = null; // the position it is analyzing
 
 // ── Piece symbol map (for display) ──
 const PIECE_SYMBOLS = { p: '', n: 'N', b: 'B', r: 'R', q: 'Q', k: 'K' };
@@ -34,8 +39,11 @@ const el = {
   wdlW: document.getElementById('wdlW'),
   wdlD: document.getElementById('wdlD'),
   wdlL: document.getElementById('wdlL'),
+  wdlInfo: document.getElementById('wdlInfo'),
+  wdlEst: document.getElementById('wdlEst'),
   boardBadgeOverlay: document.getElementById('boardBadgeOverlay'),
   boardSquareHighlights: document.getElementById('boardSquareHighlights'),
+  boardArrows: document.getElementById('boardArrows'),
   evalGraph: document.getElementById('evalGraph'),
   evalGraphContainer: document.getElementById('evalGraphContainer'),
   gameMoveList: document.getElementById('gameMoveList'),
@@ -45,12 +53,39 @@ const el = {
   gameProgressFill: document.getElementById('gameProgressFill'),
   gameProgressText: document.getElementById('gameProgressText'),
   gameReviewNav: document.getElementById('gameReviewNav'),
+  gamePlyInsight: document.getElementById('gamePlyInsight'),
   explorerProgress: document.getElementById('explorerProgress'),
   explorerProgressFill: document.getElementById('explorerProgressFill'),
   explorerProgressText: document.getElementById('explorerProgressText'),
   explorerFilters: document.getElementById('explorerFilters'),
   openingResult: document.getElementById('openingResult'),
   openingContinuations: document.getElementById('openingContinuations'),
+  explorerModeSelect: document.getElementById('explorerModeSelect'),
+  movetimeControl: document.getElementById('movetimeControl'),
+  explorerDepthControl: document.getElementById('explorerDepthControl'),
+  explorerNodesControl: document.getElementById('explorerNodesControl'),
+  gameDbList: document.getElementById('gameDbList'),
+  gameDbMessage: document.getElementById('gameDbMessage'),
+  batchProgress: document.getElementById('batchProgress'),
+  batchProgressFill: document.getElementById('batchProgressFill'),
+  batchProgressText: document.getElementById('batchProgressText'),
+  reviewSelectedBtn: document.getElementById('reviewSelectedBtn'),
+  reviewAllBtn: document.getElementById('reviewAllBtn'),
+  cancelBatchBtn: document.getElementById('cancelBatchBtn'),
+  myExplorerPlayer: document.getElementById('myExplorerPlayer'),
+  myExplorerColor: document.getElementById('myExplorerColor'),
+  myExplorerResult: document.getElementById('myExplorerResult'),
+  engineSelect: document.getElementById('engineSelect'),
+  compareEnginesBtn: document.getElementById('compareEnginesBtn'),
+  liveAnalysisBtn: document.getElementById('liveAnalysisBtn'),
+  engineComparison: document.getElementById('engineComparison'),
+  playArea: document.getElementById('playArea'),
+  playStatus: document.getElementById('playStatus'),
+  playClockWhite: document.getElementById('playClockWhite'),
+  playClockBlack: document.getElementById('playClockBlack'),
+  playStartBtn: document.getElementById('playStartBtn'),
+  playResignBtn: document.getElementById('playResignBtn'),
+  playReviewBtn: document.getElementById('playReviewBtn'),
   filterPiece: document.getElementById('filterPiece'),
   sortMoves: document.getElementById('sortMoves')
 };
@@ -58,6 +93,7 @@ const el = {
 // ── Board orientation tracking ──
 let boardFlipped = false;
 let lastHighlight = null; // { from, to, category }
+let lastArrows = []; // [{ from, to, kind }]
 
 // ── Engine status ──
 function setEngineStatus(text, state = 'idle') {
@@ -66,6 +102,7 @@ function setEngineStatus(text, state = 'idle') {
 }
 
 // ── Win/Draw/Loss from centipawns (estimated logistic model) ──
+// Fallback only, for engines that do not report a wdl triple
 function cpToWDL(cp) {
   // Approximate WDL using a logistic curve (not engine-grade, heuristic only)
   // Based on Lichess WDL model parameters
@@ -79,32 +116,52 @@ function cpToWDL(cp) {
   return { w: w * 100, d: d * 100, l: l * 100 };
 }
 
+// ── Convert side-to-move engine WDL (permille) to White-relative percentages ──
+function toWhiteRelativeWdl(wdl, fen) {
+  if (!wdl) return null;
+  const turn = fen.split(' ')[1];
+  const w = turn === 'b' ? wdl.l : wdl.w;
+  const l = turn === 'b' ? wdl.w : wdl.l;
+  return { w: w / 10, d: wdl.d / 10, l: l / 10 };
+}
+
 // ── Eval bar (GPU-accelerated with scaleY) ──
-function updateEvalBar(evalCp) {
-  const clamped = Math.max(-1000, Math.min(1000, evalCp));
+// score and wdl are side-to-move relative for fen; WDL falls back to cpToWDL when absent
+function updateEvalBar(score, fen, wdl = null) {
+  const whiteWdl = toWhiteRelativeWdl(wdl, fen);
+  const whiteCp = toWhiteRelativeEval(scoreToCp(score), fen);
+  const mateWinner = score.kind === 'mate' ? scoreWinner(score, fen) : null;
+
   // White portion (bottom segment): 0.5 = even, 1.0 = white winning
-  const whitePct = 0.5 + (clamped / 1000) * 0.5;
+  let whitePct;
+  if (mateWinner) {
+    whitePct = mateWinner === 'w' ? 1 : 0;
+  } else if (whiteWdl) {
+    whitePct = (whiteWdl.w + whiteWdl.d / 2) / 100;
+  } else {
+    const clamped = Math.max(-1000, Math.min(1000, whiteCp));
+    whitePct = 0.5 + (clamped / 1000) * 0.5;
+  }
   const blackPct = 1 - whitePct;
 
   el.evalBarSegTop.style.transform = `translateZ(0) scaleY(${blackPct.toFixed(4)})`;
   el.evalBarSegBot.style.transform = `translateZ(0) scaleY(${whitePct.toFixed(4)})`;
 
-  const isMate = Math.abs(evalCp) >= 100000;
-  const display = isMate
-    ? (evalCp > 0 ? 'M' : '-M')
-    : (evalCp / 100).toFixed(1);
-  el.evalBarLabel.textContent = display;
+  el.evalBarLabel.textContent = mateWinner
+    ? `${mateWinner === 'w' ? '' : '-'}M${score.value === 0 ? '' : Math.abs(score.value)}`
+    : (whiteCp / 100).toFixed(1);
 
   // Update eval display and W/D/L
-  const evalText = isMate
-    ? (evalCp > 0 ? '#' : '-#')
-    : (evalCp >= 0 ? '+' : '') + (evalCp / 100).toFixed(2);
-  el.evalDisplay.textContent = evalText;
-
-  const wdl = cpToWDL(evalCp);
-  el.wdlW.textContent = wdl.w.toFixed(1);
-  el.wdlD.textContent = wdl.d.toFixed(1);
-  el.wdlL.textContent = wdl.l.toFixed(1);
+  el.evalDisplay.textContent = formatScore(score, fen);
+
+  const shown = whiteWdl || cpToWDL(whiteCp);
+  el.wdlW.textContent = shown.w.toFixed(1);
+  el.wdlD.textContent = shown.d.toFixed(1);
+  el.wdlL.textContent = shown.l.toFixed(1);
+  el.wdlEst.style.display = whiteWdl ? 'none' : '';
+  el.wdlInfo.title = whiteWdl
+    ? 'Win/draw/loss probability reported by the engine'
+    : 'Estimated win/draw/loss probability (heuristic)';
 }
 
 // ── Board square coordinate helpers ──
@@ -139,9 +196,12 @@ function renderBoardBadges(moves, fen) {
 
     const label = document.createElement('span');
     label.className = 'badge-label';
-    const whiteEval = toWhiteRelativeEval(m.evalCp, fen);
-    const evalVal = whiteEval / 100;
-    label.textContent = evalVal >= 0 ? `+${Math.round(evalVal)}` : `${Math.round(evalVal)}`;
+    if (m.score && m.score.kind === 'mate') {
+      label.textContent = formatScore(m.score, fen);
+    } else {
+      const evalVal = toWhiteRelativeEval(m.evalCp, fen) / 100;
+      label.textContent = evalVal >= 0 ? `+${Math.round(evalVal)}` : `${Math.round(evalVal)}`;
+    }
 
     badge.appendChild(label);
     el.boardBadgeOverlay.appendChild(badge);
@@ -173,6 +233,49 @@ function clearSquareHighlights() {
   el.boardSquareHighlights.innerHTML = '';
 }
 
+// ── Board arrows (best move / refutation) ──
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Arrow outline from square centre to square centre, in the overlay's 0-100 units
+function arrowPoints(from, to) {
+  const a = squareToPosition(from);
+  const b = squareToPosition(to);
+  const x1 = a.left + 6.25;
+  const y1 = a.top + 6.25;
+  const dx = b.left - a.left;
+  const dy = b.top - a.top;
+  const len = Math.hypot(dx, dy);
+  const ux = dx / len;
+  const uy = dy / len;
+  const shaft = 1.1;
+  const head = 3.2;
+  const headLen = 4.5;
+  const base = len - 2 - headLen;
+  const pt = (along, across) => `${(x1 + ux * along - uy * across).toFixed(2)},${(y1 + uy * along + ux * across).toFixed(2)}`;
+  return [
+    pt(0, -shaft), pt(base, -shaft), pt(base, -head),
+    pt(len - 2, 0),
+    pt(base, head), pt(base, shaft), pt(0, shaft)
+  ].join(' ');
+}
+
+// arrows: [{ from, to, kind }], kind 'best' or 'refutation'
+function drawBoardArrows(arrows) {
+  lastArrows = arrows;
+  el.boardArrows.innerHTML = '';
+  arrows.forEach(({ from, to, kind }) => {
+    const arrow = document.createElementNS(SVG_NS, 'polygon');
+    arrow.setAttribute('class', `board-arrow arrow-${kind}`);
+    arrow.setAttribute('points', arrowPoints(from, to));
+    el.boardArrows.appendChild(arrow);
+  });
+}
+
+function clearBoardArrows() {
+  lastArrows = [];
+  el.boardArrows.innerHTML = '';
+}
+
 // ── Tab switching ──
 function initTabs() {
   document.querySelectorAll('.tab-btn').forEach((btn) => {
@@ -219,14 +322,19 @@ function renderMoves() {
   }
 
   el.fenInput.value = game.fen();
+  followBoardWithLiveAnalysis();
 }
 
 // ── Board event handlers ──
 function onDrop(source, target) {
+  // During a game against the engine only the player's own moves are accepted
+  if (playInProgress() && game.turn() !== playGame.color[0]) return 'snapback';
   const move = game.move({ from: source, to: target, promotion: 'q' });
   if (!move) return 'snapback';
+  if (playInProgress()) sendPlayMove(move);
   renderMoves();
   clearBoardBadges();
+  clearBoardArrows();
   allMovesResult = [];
   allMovesResultFen = null;
   highlightLastMove(source, target, null);
@@ -258,27 +366,212 @@ function classify(deltaCp) {
   return { key: 'blunder', label: 'Blunder' };
 }
 
+// Category label plus the mate note ("Missed mate in 3") when the server sent one
+function categoryText(cat) {
+  return cat.note ? `${cat.label}: ${cat.note}` : cat.label;
+}
+
+// ── Scores: { kind: 'cp' | 'mate', value }, relative to the side to move ──
+const MATE_CP = 100000;
+const ZERO_SCORE = { kind: 'cp', value: 0 };
+
+// Sortable centipawns, same mapping as the server (mate-in-1 above mate-in-12)
+function scoreToCp(score) {
+  if (!score) return 0;
+  if (score.kind === 'cp') return score.value;
+  return score.value > 0 ? MATE_CP - score.value : -MATE_CP - score.value;
+}
+
+// Which color delivers the mate ('w' | 'b')
+function scoreWinner(score, fen) {
+  const turn = fen.split(' ')[1] || 'w';
+  const moverWins = score.value > 0;
+  return moverWins === (turn === 'w') ? 'w' : 'b';
+}
+
 // ── Convert side-to-move eval to White-relative eval ──
 function toWhiteRelativeEval(evalCp, fen) {
   const turn = fen.split(' ')[1];
   return turn === 'b' ? -evalCp : evalCp;
 }
 
-// ── Format eval for display (expects White-relative cp) ──
-function formatEval(cp) {
-  if (Math.abs(cp) >= 100000) return cp > 0 ? '#' : '-#';
+// ── Format a score for display, White-relative: +0.35, -1.20, #3, -#2, # ──
+function formatScore(score, fen) {
+  if (!score) return '-';
+  if (score.kind === 'mate') {
+    const sign = scoreWinner(score, fen) === 'w' ? '' : '-';
+    return `${sign}#${score.value === 0 ? '' : Math.abs(score.value)}`;
+  }
+  const cp = toWhiteRelativeEval(score.value, fen);
   const val = (cp / 100).toFixed(2);
   return cp > 0 ? `+${val}` : val;
 }
 
+// ── Engines ──
+// Fill the engine picker; comparing needs at least two engines that can run
+async function loadEngines() {
+  try {
+    const res = await fetch('/api/engines');
+    if (!res.ok) throw new Error(`Failed (${res.status})`);
+    const { engines } = await res.json();
+    el.engineSelect.innerHTML = '';
+    engines.forEach((e) => {
+      const option = document.createElement('option');
+      option.value = e.id;
+      option.textContent = e.available ? e.name : `${e.name} (unavailable)`;
+      option.disabled = !e.available;
+      option.selected = e.default;
+      el.engineSelect.appendChild(option);
+    });
+    el.engineSelect.closest('label').style.display = engines.length < 2 ? 'none' : '';
+    el.compareEnginesBtn.style.display = engines.filter((e) => e.available).length < 2 ? 'none' : '';
+  } catch (_error) {
+    el.engineSelect.closest('label').style.display = 'none';
+  }
+}
+
+// Every available engine's top lines for the current position, one column each
+async function compareEngines() {
+  const fen = game.fen();
+  setEngineStatus('Comparing engines...', 'active');
+  el.engineComparison.innerHTML = '<div class="placeholder-text">Waiting for every engine...</div>';
+  try {
+    const data = await postJson('/api/analyze/compare', {
+      fen,
+      settings: {
+        depth: Number(document.getElementById('depthSelect').value),
+        multiPv: Number(document.getElementById('multipvSelect').value)
+      }
+    });
+    el.engineComparison.innerHTML = '';
+    data.results.forEach((r) => el.engineComparison.appendChild(renderEngineColumn(r, fen)));
+    setEngineStatus('Comparison complete', 'idle');
+  } catch (error) {
+    el.engineComparison.innerHTML = `<div class="placeholder-text">Error: ${error.message}</div>`;
+    setEngineStatus('Comparison failed', 'error');
+  }
+}
+
+function renderEngineColumn(result, fen) {
+  const column = document.createElement('div');
+  column.className = 'engine-column';
+  const heading = document.createElement('div');
+  heading.className = 'engine-column-heading';
+  heading.textContent = result.engine.name;
+  column.appendChild(heading);
+
+  if (result.error) {
+    const error = document.createElement('div');
+    error.className = 'engine-column-error';
+    error.textContent = result.error;
+    column.appendChild(error);
+    return column;
+  }
+
+  const { analysis } = result;
+  const summary = document.createElement('div');
+  summary.className = 'engine-column-summary';
+  summary.textContent = `${formatScore(analysis.bestScore, fen)} · depth ${analysis.depth}`;
+  column.appendChild(summary);
+
+  analysis.topMoves.forEach((m) => {
+    const line = document.createElement('div');
+    line.className = 'engine-column-line';
+    const whiteEval = toWhiteRelativeEval(m.evalCp, fen);
+    const evalEl = document.createElement('span');
+    evalEl.className = `pv-eval ${whiteEval >= 0 ? 'white-advantage' : 'black-advantage'}`;
+    evalEl.textContent = formatScore(m.score, fen);
+    const moves = document.createElement('span');
+    moves.className = 'pv-moves';
+    moves.textContent = m.pv.split(' ').slice(0, 8).join(' ');
+    line.appendChild(evalEl);
+    line.appendChild(moves);
+    column.appendChild(line);
+  });
+  return column;
+}
+
 // ── Position Analysis ──
+const TABLEBASE_LABELS = {
+  win: 'win',
+  'cursed-win': 'win, drawn by the 50-move rule',
+  draw: 'draw',
+  'blessed-loss': 'loss, drawn by the 50-move rule',
+  loss: 'loss'
+};
+
+// "Tablebase win, DTZ 23" for the side to move, with every move's result as a tooltip
+function renderTablebaseResult(tb) {
+  const row = document.createElement('div');
+  row.className = `tablebase-result tb-${tb.category}`;
+  const dtz = tb.dtz ? `, DTZ ${Math.abs(tb.dtz)}` : '';
+  row.textContent = `Tablebase ${TABLEBASE_LABELS[tb.category]}${dtz}`;
+  row.title = tb.moves
+    .map((m) => `${m.move}: ${TABLEBASE_LABELS[m.category]}${m.dtz ? ` (DTZ ${Math.abs(m.dtz)})` : ''}`)
+    .join('\n');
+  return row;
+}
+
+// Top moves summary and PV lines of an analysis, best first
+function renderAnalysisLines(topMoves, fen) {
+  // Render top moves summary
+  el.topMovesContainer.innerHTML = '';
+  if (topMoves && topMoves.length > 0) {
+    const summary = document.createElement('div');
+    summary.style.cssText = 'display:flex; gap:0.5rem; flex-wrap:wrap; margin-bottom:0.5rem;';
+    topMoves.forEach((m) => {
+      const whiteEval = toWhiteRelativeEval(m.evalCp, fen);
+      const cls = whiteEval >= 0 ? 'white-advantage' : 'black-advantage';
+      const badge = document.createElement('span');
+      badge.className = `pv-eval ${cls}`;
+      badge.textContent = `${m.uci.substring(0, 4)} ${formatScore(m.score, fen)}`;
+      badge.style.cursor = 'default';
+      badge.style.fontSize = '0.82rem';
+      summary.appendChild(badge);
+    });
+    el.topMovesContainer.appendChild(summary);
+  }
+
+  // Render PV lines
+  el.pvLines.innerHTML = '';
+  topMoves.forEach((m, i) => {
+    const line = document.createElement('div');
+    line.className = 'pv-line';
+
+    const rank = document.createElement('span');
+    rank.className = 'pv-rank';
+    rank.textContent = `#${i + 1}`;
+
+    const whiteEval = toWhiteRelativeEval(m.evalCp, fen);
+    const evalEl = document.createElement('span');
+    const cls = whiteEval >= 0 ? 'white-advantage' : 'black-advantage';
+    evalEl.className = `pv-eval ${cls}`;
+    evalEl.textContent = formatScore(m.score, fen);
+    const lineWdl = toWhiteRelativeWdl(m.wdl, fen);
+    if (lineWdl) {
+      evalEl.title = `W ${lineWdl.w.toFixed(1)}% / D ${lineWdl.d.toFixed(1)}% / L ${lineWdl.l.toFixed(1)}%`;
+    }
+
+    const moves = document.createElement('span');
+    moves.className = 'pv-moves';
+    moves.textContent = m.sanPv || m.pv;
+
+    line.appendChild(rank);
+    line.appendChild(evalEl);
+    line.appendChild(moves);
+    el.pvLines.appendChild(line);
+  });
+}
+
 async function analyzePosition() {
+  stopLiveAnalysis();
   setEngineStatus('Analyzing position...', 'active');
   try {
     const depth = Number(document.getElementById('depthSelect').value);
     const multiPv = Number(document.getElementById('multipvSelect').value);
     const data = await postJson('/api/analyze/position', {
       fen: game.fen(),
+      engine: el.engineSelect.value || undefined,
       settings: { depth, multiPv }
     });
 
@@ -287,52 +580,11 @@ async function analyzePosition() {
 
     // Update eval bar
     if (data.topMoves && data.topMoves.length > 0) {
-      updateEvalBar(toWhiteRelativeEval(data.bestEvalCp, fen));
-    }
-
-    // Render top moves summary
-    el.topMovesContainer.innerHTML = '';
-    if (data.topMoves && data.topMoves.length > 0) {
-      const summary = document.createElement('div');
-      summary.style.cssText = 'display:flex; gap:0.5rem; flex-wrap:wrap; margin-bottom:0.5rem;';
-      data.topMoves.forEach((m) => {
-        const whiteEval = toWhiteRelativeEval(m.evalCp, fen);
-        const cls = whiteEval >= 0 ? 'white-advantage' : 'black-advantage';
-        const badge = document.createElement('span');
-        badge.className = `pv-eval ${cls}`;
-        badge.textContent = `${m.uci.substring(0, 4)} ${formatEval(whiteEval)}`;
-        badge.style.cursor = 'default';
-        badge.style.fontSize = '0.82rem';
-        summary.appendChild(badge);
-      });
-      el.topMovesContainer.appendChild(summary);
+      updateEvalBar(data.bestScore, fen, data.bestWdl);
     }
 
-    // Render PV lines
-    el.pvLines.innerHTML = '';
-    data.topMoves.forEach((m, i) => {
-      const line = document.createElement('div');
-      line.className = 'pv-line';
-
-      const rank = document.createElement('span');
-      rank.className = 'pv-rank';
-      rank.textContent = `#${i + 1}`;
-
-      const whiteEval = toWhiteRelativeEval(m.evalCp, fen);
-      const evalEl = document.createElement('span');
-      const cls = whiteEval >= 0 ? 'white-advantage' : 'black-advantage';
-      evalEl.className = `pv-eval ${cls}`;
-      evalEl.textContent = formatEval(whiteEval);
-
-      const moves = document.createElement('span');
-      moves.className = 'pv-moves';
-      moves.textContent = m.pv;
-
-      line.appendChild(rank);
-      line.appendChild(evalEl);
-      line.appendChild(moves);
-      el.pvLines.appendChild(line);
-    });
+    renderAnalysisLines(data.topMoves, fen);
+    if (data.tablebase) el.topMovesContainer.appendChild(renderTablebaseResult(data.tablebase));
 
     setEngineStatus(`Analysis complete (depth ${depth})`, 'idle');
   } catch (error) {
@@ -341,6 +593,79 @@ async function analyzePosition() {
   }
 }
 
+// ── Live analysis ──
+// `go infinite` on the board position, streamed depth by depth. Any change of the board
+// closes the stream, which stops the search on the server, and starts one on the new position.
+function startLiveAnalysis() {
+  stopLiveAnalysis();
+  const fen = game.fen();
+  const es = new EventSourcePolyfill('/api/analyze/live', {
+    payload: JSON.stringify({
+      fen,
+      engine: el.engineSelect.value || undefined,
+      settings: { multiPv: Number(document.getElementById('multipvSelect').value) }
+    })
+  });
+  liveStream = es;
+  liveFen = fen;
+  el.liveAnalysisBtn.classList.add('active');
+  el.liveAnalysisBtn.innerHTML = '&#9632; Stop Live Analysis';
+  setEngineStatus('Live analysis...', 'active');
+
+  es.onmessage = (event) => {
+    if (liveStream !== es) return;
+    const data = JSON.parse(event.data);
+    if (data.type === 'depth') {
+      updateEvalBar(data.lines[0].score, fen, data.lines[0].wdl);
+      renderAnalysisLines(data.lines, fen);
+      const knps = Math.round(data.nps / 1000);
+      setEngineStatus(`Live: depth ${data.depth}/${data.seldepth}, ${knps} kN/s`, 'active');
+    }
+    if (data.type === 'final') {
+      // The server's time limit, or a position without moves
+      if (!data.result.lines.length) {
+        updateEvalBar(data.result.bestScore, fen);
+        renderAnalysisLines([], fen);
+      }
+      stopLiveAnalysis();
+      setEngineStatus(`Live analysis stopped (depth ${data.result.depth})`, 'idle');
+    }
+  };
+  es.onerror = (error) => {
+    if (liveStream !== es) return;
+    // The previous position's stream gives its slot back a moment after it closes
+    if (error.status === 429 && error.retryAfter <= 5) {
+      setEngineStatus('Live analysis waiting for the server...', 'active');
+      setTimeout(() => { if (liveStream === es) startLiveAnalysis(); }, error.retryAfter * 1000);
+      return;
+    }
+    stopLiveAnalysis();
+    el.topMovesContainer.innerHTML = `<div class="placeholder-text">Error: ${error.message}</div>`;
+    setEngineStatus('Live analysis failed', 'error');
+  };
+}
+
+function stopLiveAnalysis() {
+  if (!liveStream) return;
+  // Cleared first: closing the stream rejects its fetch, which is not an error here
+  const es = liveStream;
+  liveStream = null;
+  liveFen = null;
+  es.close();
+  el.liveAnalysisBtn.classList.remove('active');
+  el.liveAnalysisBtn.innerHTML = '&#9673; Live Analysis';
+  setEngineStatus('Engine idle');
+}
+
+function toggleLiveAnalysis() {
+  if (liveStream) stopLiveAnalysis();
+  else startLiveAnalysis();
+}
+
+function followBoardWithLiveAnalysis() {
+  if (liveStream && game.fen() !== liveFen) startLiveAnalysis();
+}
+
 // ── SSE Polyfill for POST requests ──
 class EventSourcePolyfill {
   constructor(url, { payload }) {
@@ -357,8 +682,14 @@ class EventSourcePolyfill {
       .then(async (res) => {
         if (!res.ok) {
           let details = '';
+          let body = null;
           try { details = await res.text(); } catch (_e) { details = ''; }
-          throw new Error(details || `Request failed with status ${res.status}`);
+          // JSON error bodies carry a readable message (e.g. PGN errors with line/column)
+          try { body = JSON.parse(details); } catch (_e) { /* plain text */ }
+          const error = new Error(body?.error || details || `Request failed with status ${res.status}`);
+          error.status = res.status;
+          error.retryAfter = body?.retryAfter;
+          throw error;
         }
         const contentType = res.headers.get('content-type') || '';
         if (!contentType.includes('text/event-stream')) {
@@ -378,7 +709,16 @@ class EventSourcePolyfill {
           buf = chunks.pop() || '';
           chunks.forEach((chunk) => {
             const line = chunk.split('\n').find((l) => l.startsWith('data: '));
-            if (line && this.onmessage) this.onmessage({ data: line.slice(6) });
+            if (!line) return;
+            // The server reports failures after the stream has started as an error event
+            const data = line.slice(6);
+            let parsed = null;
+            try { parsed = JSON.parse(data); } catch (_e) { parsed = null; }
+            if (parsed && parsed.type === 'error') {
+              if (this.onerror) this.onerror(new Error(parsed.error));
+              return;
+            }
+            if (this.onmessage) this.onmessage({ data });
           });
         }
       })
@@ -437,8 +777,8 @@ function renderPieceBadges(moves, fen) {
 
     const evalText = document.createElement('span');
     evalText.className = 'piece-eval';
-    const bestWhiteEval = toWhiteRelativeEval(best.evalCp, fen);
-    evalText.textContent = `${formatEval(bestWhiteEval)} (${cat.label})`;
+    evalText.textContent = `${formatScore(best.score, fen)} (${cat.label})`;
+    if (cat.note) badge.title = cat.note;
 
     badge.appendChild(icon);
     badge.appendChild(moveText);
@@ -466,13 +806,12 @@ function renderMovesTable(moves, fen) {
   let html = '<table><thead><tr><th>#</th><th>Move</th><th>Eval</th><th>Delta</th><th>Quality</th></tr></thead><tbody>';
   moves.forEach((m, i) => {
     const cat = m.category || classify(m.deltaCp || 0);
-    const whiteEval = toWhiteRelativeEval(m.evalCp, fenToUse);
     html += `<tr>
       <td>${i + 1}</td>
       <td class="move-cell">${m.san || m.uci}</td>
-      <td>${formatEval(whiteEval)}</td>
+      <td>${formatScore(m.score, fenToUse)}</td>
       <td>${m.deltaCp !== undefined ? (m.deltaCp / 100).toFixed(2) : '-'}</td>
-      <td><span class="eval-badge ${cat.key}">${cat.label}</span></td>
+      <td><span class="eval-badge ${cat.key}"${cat.note ? ` title="${cat.note}"` : ''}>${cat.note || cat.label}</span></td>
     </tr>`;
   });
   html += '</tbody></table>';
@@ -489,6 +828,30 @@ function clearExplorerUI() {
   allMovesResultFen = null;
 }
 
+// ── Explorer search mode: show only the limit control that applies ──
+function updateExplorerModeControls() {
+  const mode = el.explorerModeSelect.value;
+  el.movetimeControl.style.display = mode === 'movetime' ? '' : 'none';
+  el.explorerDepthControl.style.display = mode === 'depth' || mode === 'single' ? '' : 'none';
+  el.explorerNodesControl.style.display = mode === 'nodes' ? '' : 'none';
+}
+
+function explorerSettings() {
+  return {
+    mode: el.explorerModeSelect.value,
+    movetimeMs: Number(document.getElementById('movetimeSelect').value),
+    depth: Number(document.getElementById('explorerDepthSelect').value),
+    nodes: Number(document.getElementById('explorerNodesSelect').value)
+  };
+}
+
+function describeExplorerLimit(mode, limit) {
+  if (mode === 'single') return `single search, depth ${limit.depth}`;
+  if (mode === 'depth') return `depth ${limit.depth}`;
+  if (mode === 'nodes') return `${limit.nodes.toLocaleString()} nodes/move`;
+  return `${limit.movetime}ms/move`;
+}
+
 // ── All-moves explorer with streaming ──
 function runAllMoves() {
   setEngineStatus('Evaluating all legal moves...', 'active');
@@ -502,13 +865,17 @@ function runAllMoves() {
   const es = new EventSourcePolyfill('/api/analyze/all-moves', {
     payload: JSON.stringify({
       fen: currentFen,
-      settings: { movetimeMs: Number(document.getElementById('movetimeSelect').value) }
+      settings: explorerSettings()
     })
   });
 
   const partial = [];
   es.onmessage = (event) => {
     const data = JSON.parse(event.data);
+    if (data.type === 'progress') {
+      el.explorerProgressText.textContent = 'Searching all moves in one tree...';
+    }
+
     if (data.type === 'partial') {
       partial.push(data.row);
       const pct = Math.round(data.progress * 100);
@@ -543,7 +910,7 @@ function runAllMoves() {
       renderBoardBadges(allMovesResult, currentFen);
       el.explorerFilters.style.display = 'flex';
       el.explorerProgress.style.display = 'none';
-      setEngineStatus(`All-moves complete (${allMovesResult.length} moves)`, 'idle');
+      setEngineStatus(`All-moves complete (${allMovesResult.length} moves, ${describeExplorerLimit(data.result.mode, data.result.limit)})`, 'idle');
       es.close();
     }
   };
@@ -579,13 +946,19 @@ function drawEvalGraph(plies, activePly = -1) {
 
   if (!plies || plies.length === 0) return;
 
-  // Clamp eval values for graph display
-  const maxEval = 500; // 5 pawns
-  const clamp = (v) => Math.max(-maxEval, Math.min(maxEval, v));
-
   // Draw background halves
   const midY = pad.top + gh / 2;
 
+  // Plot White's expected score from the engine WDL; clamped cp for engines without it
+  const maxEval = 500; // 5 pawns
+  const plyY = (p) => {
+    const wdl = toWhiteRelativeWdl(p.wdl, p.fen);
+    const v = wdl
+      ? (wdl.w + wdl.d / 2) / 50 - 1
+      : Math.max(-maxEval, Math.min(maxEval, toWhiteRelativeEval(p.evalCp, p.fen))) / maxEval;
+    return midY - v * (gh / 2);
+  };
+
   // White half (bottom)
   ctx.fillStyle = 'rgba(241,245,249,0.06)';
   ctx.fillRect(pad.left, midY, gw, gh / 2);
@@ -610,9 +983,7 @@ function drawEvalGraph(plies, activePly = -1) {
   ctx.moveTo(pad.left, midY);
   plies.forEach((p, i) => {
     const x = pad.left + i * xStep;
-    const whiteEval = toWhiteRelativeEval(p.evalCp, p.fen);
-    const evalClamped = clamp(whiteEval);
-    const y = midY - (evalClamped / maxEval) * (gh / 2);
+    const y = plyY(p);
     ctx.lineTo(x, y);
   });
   ctx.lineTo(pad.left + (plies.length - 1) * xStep, midY);
@@ -624,9 +995,7 @@ function drawEvalGraph(plies, activePly = -1) {
   ctx.beginPath();
   plies.forEach((p, i) => {
     const x = pad.left + i * xStep;
-    const whiteEval = toWhiteRelativeEval(p.evalCp, p.fen);
-    const evalClamped = clamp(whiteEval);
-    const y = midY - (evalClamped / maxEval) * (gh / 2);
+    const y = plyY(p);
     if (i === 0) ctx.moveTo(x, y);
     else ctx.lineTo(x, y);
   });
@@ -638,9 +1007,7 @@ function drawEvalGraph(plies, activePly = -1) {
   plies.forEach((p, i) => {
     if (!p.category) return;
     const x = pad.left + i * xStep;
-    const whiteEval = toWhiteRelativeEval(p.evalCp, p.fen);
-    const evalClamped = clamp(whiteEval);
-    const y = midY - (evalClamped / maxEval) * (gh / 2);
+    const y = plyY(p);
 
     if (p.category.key === 'mistake' || p.category.key === 'blunder') {
       ctx.beginPath();
@@ -660,9 +1027,7 @@ function drawEvalGraph(plies, activePly = -1) {
     ctx.lineTo(x, pad.top + gh);
     ctx.stroke();
 
-    const activeWhiteEval = toWhiteRelativeEval(plies[activePly].evalCp, plies[activePly].fen);
-    const evalClamped = clamp(activeWhiteEval);
-    const y = midY - (evalClamped / maxEval) * (gh / 2);
+    const y = plyY(plies[activePly]);
     ctx.beginPath();
     ctx.arc(x, y, 5, 0, Math.PI * 2);
     ctx.fillStyle = '#fff';
@@ -684,95 +1049,194 @@ function drawEvalGraph(plies, activePly = -1) {
   }
 }
 
-// ── Game analysis ──
+// ── Game analysis (background job; streams one event per ply) ──
+// The review runs as a server job, so a reload or dropped connection reattaches to it
+// (the job's event stream replays every ply so far) instead of starting over.
+const GAME_JOB_KEY = 'pawnforge.gameReviewJob';
+let gameReviewStream = null;
+let gameReviewJobId = null;
+
+// Reset the review panel for a PGN; returns its moves (chess.js verbose history)
+function prepareGameReview(pgn) {
+  const replay = new Chess();
+  replay.loadPgn(pgn, { strict: false });
+  const hist = replay.history({ verbose: true });
+
+  if (hist.length === 0) {
+    throw new Error('No moves found in PGN');
+  }
+
+  // The server replays the PGN itself; these positions only drive board navigation
+  gameReviewFens = hist.map((mv) => mv.after);
+  gameReviewPreFens = hist.map((mv) => mv.before);
+  if (gameDbOpenId !== null) {
+    gameDbOpenId = null;
+    renderGameDb();
+  }
+  gameReviewData = { plies: [] };
+  gameReviewPly = -1;
+
+  el.gameProgress.style.display = 'flex';
+  el.gameProgressFill.style.width = '0%';
+  el.gameProgressText.textContent = `Analyzing ${hist.length} plies...`;
+  el.gameMoveList.innerHTML = '';
+  el.gamePlyInsight.style.display = 'none';
+  clearBoardArrows();
+  el.gameSummary.style.display = 'none';
+  el.evalGraphContainer.style.display = 'block';
+  el.gameReviewNav.style.display = 'flex';
+  drawEvalGraph([]);
+  return hist;
+}
+
+function showGameReviewError(message) {
+  el.gameMoveList.innerHTML = `<div class="placeholder-text">Error: ${message}</div>`;
+  el.gameProgress.style.display = 'none';
+  setEngineStatus('Game analysis failed', 'error');
+}
+
+// Stop listening to the current review; the job itself is cancelled only when asked
+function detachGameReview({ cancel = false } = {}) {
+  if (gameReviewStream) gameReviewStream.close();
+  gameReviewStream = null;
+  if (cancel && gameReviewJobId) {
+    fetch(`/api/jobs/${gameReviewJobId}`, { method: 'DELETE' }).catch(() => {});
+  }
+  gameReviewJobId = null;
+  localStorage.removeItem(GAME_JOB_KEY);
+}
+
 async function analyzeGame() {
   try {
     setEngineStatus('Analyzing game...', 'active');
-    el.gameProgress.style.display = 'flex';
-    el.gameProgressFill.style.width = '0%';
-    el.gameProgressText.textContent = 'Parsing PGN...';
+    const pgn = el.pgnInput.value;
+    const hist = prepareGameReview(pgn);
 
-    const replay = new Chess();
-    replay.loadPgn(el.pgnInput.value, { strict: false });
-    const hist = replay.history({ verbose: true });
-
-    if (hist.length === 0) {
-      throw new Error('No moves found in PGN');
-    }
+    // Abandon any review still running so its engine work is released
+    detachGameReview({ cancel: true });
 
-    const fenSequence = [];
-    const preMoveSequence = [];
-    const cursor = new Chess();
-    hist.forEach((mv) => {
-      preMoveSequence.push(cursor.fen());
-      cursor.move(mv);
-      fenSequence.push(cursor.fen());
+    const job = await postJson('/api/jobs', {
+      type: 'game',
+      pgn,
+      settings: { depth: Number(document.getElementById('gameDepthSelect').value) }
     });
+    localStorage.setItem(GAME_JOB_KEY, JSON.stringify({ id: job.id, pgn }));
+    followGameReview(job.id, hist);
+  } catch (error) {
+    showGameReviewError(error.message);
+  }
+}
 
-    gameReviewFens = fenSequence;
-    gameReviewPreFens = preMoveSequence;
+function followGameReview(jobId, hist) {
+  gameReviewJobId = jobId;
+  const es = new EventSource(`/api/jobs/${jobId}/events`);
+  gameReviewStream = es;
 
-    el.gameProgressText.textContent = `Analyzing ${hist.length} plies...`;
-    el.gameProgressFill.style.width = '10%';
+  // Every (re)connection replays the job from its first ply
+  es.onopen = () => {
+    if (gameReviewStream !== es) return;
+    gameReviewData = { plies: [] };
+    el.gameMoveList.innerHTML = '';
+  };
 
-    const data = await postJson('/api/analyze/game', {
-      pgn: el.pgnInput.value,
-      fenSequence,
-      preMoveSequence,
-      settings: { depth: Number(document.getElementById('gameDepthSelect').value) }
-    });
+  es.onmessage = (event) => {
+    if (gameReviewStream !== es) return;
+    const data = JSON.parse(event.data);
 
-    gameReviewData = data;
-    el.gameProgressFill.style.width = '100%';
-    el.gameProgressText.textContent = 'Complete!';
+    if (data.type === 'ply') {
+      const i = gameReviewData.plies.length;
+      gameReviewData.plies.push(data.ply);
+      appendGameMove(data.ply, i);
+      drawEvalGraph(gameReviewData.plies, gameReviewPly);
+      const pct = Math.round(data.progress * 100);
+      el.gameProgressFill.style.width = `${pct}%`;
+      el.gameProgressText.textContent = `${pct}% (${i + 1}/${hist.length} plies)`;
+    }
 
-    setTimeout(() => { el.gameProgress.style.display = 'none'; }, 1000);
+    if (data.type === 'final') {
+      gameReviewData = data.result;
+      es.close();
+      gameReviewStream = null;
 
-    // Draw eval graph
-    el.evalGraphContainer.style.display = 'block';
-    drawEvalGraph(data.plies);
+      el.gameProgressFill.style.width = '100%';
+      el.gameProgressText.textContent = 'Complete!';
+      setTimeout(() => { el.gameProgress.style.display = 'none'; }, 1000);
 
-    // Show navigation
-    el.gameReviewNav.style.display = 'flex';
+      showGameReview(data.result, hist);
+      // The reviewed game is now in the game database
+      refreshGameDb();
 
-    // Render annotated move list
-    renderGameMoveList(data, hist);
+      setEngineStatus('Game analysis complete', 'idle');
+    }
 
-    // Render game summary
-    renderGameSummary(data, hist);
+    if (data.type === 'error' || data.type === 'cancelled') {
+      detachGameReview();
+      showGameReviewError(data.type === 'error' ? data.error : 'Review was cancelled');
+    }
+  };
 
-    setEngineStatus('Game analysis complete', 'idle');
-  } catch (error) {
-    el.gameMoveList.innerHTML = `<div class="placeholder-text">Error: ${error.message}</div>`;
-    el.gameProgress.style.display = 'none';
-    setEngineStatus('Game analysis failed', 'error');
+  // EventSource reconnects by itself after a dropped connection; only a job that
+  // no longer exists (e.g. after a server restart) ends the review here
+  es.onerror = () => {
+    if (gameReviewStream !== es || es.readyState !== EventSource.CLOSED) return;
+    detachGameReview();
+    showGameReviewError('Lost the review job');
+  };
+}
+
+// On page load, reattach to the review that was running (or finished) before a reload
+async function resumeGameReview() {
+  let saved = null;
+  try { saved = JSON.parse(localStorage.getItem(GAME_JOB_KEY)); } catch (_e) { saved = null; }
+  if (!saved || !saved.id) return;
+
+  try {
+    const res = await fetch(`/api/jobs/${saved.id}`);
+    if (!res.ok) throw new Error('Job no longer available');
+    const job = await res.json();
+    if (job.status !== 'running' && job.status !== 'done') throw new Error(`Job ${job.status}`);
+    el.pgnInput.value = saved.pgn;
+    const hist = prepareGameReview(saved.pgn);
+    setEngineStatus(job.status === 'running' ? 'Analyzing game...' : 'Game analysis complete', job.status === 'running' ? 'active' : 'idle');
+    followGameReview(saved.id, hist);
+  } catch (_e) {
+    localStorage.removeItem(GAME_JOB_KEY);
   }
 }
 
+function showGameReview(data, hist) {
+  drawEvalGraph(data.plies, gameReviewPly);
+  renderGameMoveList(data, hist);
+  if (gameReviewPly >= 0) navigateToGamePly(gameReviewPly);
+  renderGameSummary(data, hist);
+}
+
 function renderGameMoveList(data, hist) {
   el.gameMoveList.innerHTML = '';
+  data.plies.forEach((p, i) => appendGameMove(p, i));
+}
 
-  data.plies.forEach((p, i) => {
-    if (i % 2 === 0) {
-      const numSpan = document.createElement('span');
-      numSpan.className = 'game-move-number';
-      numSpan.textContent = `${Math.floor(i / 2) + 1}.`;
-      el.gameMoveList.appendChild(numSpan);
-    }
-
-    const moveEl = document.createElement('span');
-    moveEl.className = `game-move cat-${p.category.key}`;
-    moveEl.textContent = p.san;
-    moveEl.dataset.ply = i;
-    const whiteEval = toWhiteRelativeEval(p.evalCp, p.fen);
-    moveEl.title = `${formatEval(whiteEval)} (${p.category.label}, delta: ${(p.deltaCp / 100).toFixed(2)})`;
+function appendGameMove(p, i) {
+  if (i % 2 === 0) {
+    const numSpan = document.createElement('span');
+    numSpan.className = 'game-move-number';
+    numSpan.textContent = `${Math.floor(i / 2) + 1}.`;
+    el.gameMoveList.appendChild(numSpan);
+  }
 
-    moveEl.addEventListener('click', () => {
-      navigateToGamePly(i);
-    });
+  const moveEl = document.createElement('span');
+  moveEl.className = `game-move cat-${p.category.key}`;
+  moveEl.textContent = p.san;
+  moveEl.dataset.ply = i;
+  moveEl.title = `${formatScore(p.score, p.fen)} (${categoryText(p.category)}, delta: ${(p.deltaCp / 100).toFixed(2)})`;
+  if (isFlagged(p) && p.bestSan) moveEl.title += ` — best was ${p.bestSan}`;
+  if (i === gameReviewPly) moveEl.classList.add('active');
 
-    el.gameMoveList.appendChild(moveEl);
+  moveEl.addEventListener('click', () => {
+    navigateToGamePly(i);
   });
+
+  el.gameMoveList.appendChild(moveEl);
 }
 
 function navigateToGamePly(ply) {
@@ -786,9 +1250,10 @@ function navigateToGamePly(ply) {
   game.load(fen);
   board.position(fen);
   el.fenInput.value = fen;
+  followBoardWithLiveAnalysis();
 
   // Update eval bar (White-relative)
-  updateEvalBar(toWhiteRelativeEval(plyData.evalCp, fen));
+  updateEvalBar(plyData.score, fen, plyData.wdl);
 
   // Highlight last move squares with category color
   clearBoardBadges();
@@ -800,6 +1265,20 @@ function navigateToGamePly(ply) {
     }
   }
 
+  // On inaccuracies, mistakes and blunders: what should have been played, and how
+  // the opponent punishes the move that was
+  const arrows = [];
+  if (isFlagged(plyData)) {
+    if (plyData.bestUci && plyData.bestUci !== plyData.uci) {
+      arrows.push({ from: plyData.bestUci.slice(0, 2), to: plyData.bestUci.slice(2, 4), kind: 'best' });
+    }
+    if (plyData.refutationUci) {
+      arrows.push({ from: plyData.refutationUci.slice(0, 2), to: plyData.refutationUci.slice(2, 4), kind: 'refutation' });
+    }
+  }
+  drawBoardArrows(arrows);
+  renderPlyInsight(plyData);
+
   // Highlight active move
   document.querySelectorAll('.game-move').forEach((m) => m.classList.remove('active'));
   const active = document.querySelector(`.game-move[data-ply="${ply}"]`);
@@ -812,6 +1291,43 @@ function navigateToGamePly(ply) {
   drawEvalGraph(gameReviewData.plies, ply);
 }
 
+function isFlagged(p) {
+  return ['inaccuracy', 'mistake', 'blunder'].includes(p.category.key);
+}
+
+// Best line and refutation under the board navigation, for flagged moves only
+function renderPlyInsight(p) {
+  el.gamePlyInsight.innerHTML = '';
+  if (!isFlagged(p) || (!p.bestSan && !p.refutationSan)) {
+    el.gamePlyInsight.style.display = 'none';
+    return;
+  }
+
+  const heading = document.createElement('div');
+  heading.className = `insight-heading cat-${p.category.key}`;
+  heading.textContent = `${p.san}: ${categoryText(p.category)}`;
+  el.gamePlyInsight.appendChild(heading);
+
+  const addLine = (kind, label, san, line) => {
+    if (!san) return;
+    const row = document.createElement('div');
+    row.className = `insight-line insight-${kind}`;
+    const name = document.createElement('span');
+    name.className = 'insight-label';
+    name.textContent = label;
+    const move = document.createElement('strong');
+    move.textContent = san;
+    const pv = document.createElement('span');
+    pv.className = 'insight-pv';
+    pv.textContent = line || '';
+    row.append(name, move, pv);
+    el.gamePlyInsight.appendChild(row);
+  };
+  if (p.bestUci !== p.uci) addLine('best', 'Best', p.bestSan, p.bestPvSan);
+  addLine('refutation', 'Refutation', p.refutationSan, p.refutationPvSan);
+  el.gamePlyInsight.style.display = 'block';
+}
+
 function renderGameSummary(data, hist) {
   el.gameSummary.style.display = 'block';
 
@@ -864,13 +1380,247 @@ function renderGameSummary(data, hist) {
   `;
 }
 
+// ── Game database: multi-game PGN import and batch reviews ──
+let gameDbGames = [];
+let gameDbBatch = null; // latest batch, as reported by the server
+let gameDbPollTimer = null;
+let gameDbOpenId = null;
+
+const REVIEW_STATUS_TEXT = { none: '', queued: 'Queued', failed: 'Failed' };
+
+function showGameDbMessage(text, isError = false) {
+  el.gameDbMessage.textContent = text;
+  el.gameDbMessage.classList.toggle('error', isError);
+}
+
+async function importGames(pgn) {
+  if (!pgn.trim()) return;
+  try {
+    setEngineStatus('Importing games...', 'active');
+    const data = await postJson('/api/games/import', { pgn });
+    let message = `Imported ${data.imported} game${data.imported === 1 ? '' : 's'}.`;
+    if (data.duplicates.length) message += ` ${data.duplicates.length} already in the database.`;
+    if (data.errors.length) {
+      const first = data.errors[0];
+      message += ` Skipped ${data.errors.length} unreadable (first: ${first.error}).`;
+    }
+    showGameDbMessage(message, data.errors.length > 0);
+    await refreshGameDb();
+    setEngineStatus('Import complete', 'idle');
+  } catch (error) {
+    showGameDbMessage(`Import failed: ${error.message}`, true);
+    setEngineStatus('Import failed', 'error');
+  }
+}
+
+// Reload the game list; keeps polling while a batch is running
+async function refreshGameDb() {
+  clearTimeout(gameDbPollTimer);
+  try {
+    const res = await fetch('/api/games');
+    if (!res.ok) throw new Error(`Failed (${res.status})`);
+    const data = await res.json();
+    gameDbGames = data.games;
+    gameDbBatch = data.batches[data.batches.length - 1] || null;
+  } catch (error) {
+    showGameDbMessage(`Could not load games: ${error.message}`, true);
+    return;
+  }
+  renderGameDb();
+  renderBatchProgress();
+  if (gameDbBatch && gameDbBatch.status === 'running') {
+    gameDbPollTimer = setTimeout(refreshGameDb, 1000);
+  }
+}
+
+function selectedGameIds() {
+  return [...el.gameDbList.querySelectorAll('input[data-id]:checked')].map((box) => Number(box.dataset.id));
+}
+
+function renderGameDb() {
+  const checked = new Set(selectedGameIds());
+  el.gameDbList.innerHTML = '';
+  el.reviewAllBtn.disabled = gameDbGames.length === 0;
+  el.reviewSelectedBtn.disabled = checked.size === 0;
+  if (!gameDbGames.length) return;
+
+  const table = document.createElement('table');
+  table.innerHTML = `<thead><tr>
+    <th><input type="checkbox" id="gameDbSelectAll" title="Select all" /></th>
+    <th>White</th><th>Black</th><th>Event</th><th>Date</th><th>Result</th><th>Plies</th><th>Review</th>
+  </tr></thead>`;
+  const tbody = document.createElement('tbody');
+
+  gameDbGames.forEach((g) => {
+    const tr = document.createElement('tr');
+    if (g.id === gameDbOpenId) tr.classList.add('active');
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.dataset.id = g.id;
+    box.checked = checked.has(g.id);
+    // Headers come from user files, so cells are filled with textContent only
+    const cells = [box, g.headers.White, g.headers.Black, g.headers.Event, g.headers.Date, g.result, g.plyCount];
+    cells.forEach((value) => {
+      const td = document.createElement('td');
+      if (value instanceof Node) td.appendChild(value);
+      else td.textContent = value ?? '';
+      tr.appendChild(td);
+    });
+
+    const review = document.createElement('td');
+    review.className = 'review-cell';
+    if (g.review.status === 'done') {
+      const open = document.createElement('button');
+      open.textContent = `Open (d${g.review.depth})`;
+      open.addEventListener('click', () => openStoredReview(g.id));
+      review.appendChild(open);
+    } else if (g.review.status === 'running') {
+      review.textContent = `${Math.round(g.review.progress * 100)}%`;
+    } else {
+      review.textContent = REVIEW_STATUS_TEXT[g.review.status] || g.review.status;
+      if (g.review.error) review.title = g.review.error;
+    }
+    tr.appendChild(review);
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+  el.gameDbList.appendChild(table);
+
+  const selectAll = document.getElementById('gameDbSelectAll');
+  selectAll.checked = checked.size > 0 && checked.size === gameDbGames.length;
+  selectAll.addEventListener('change', () => {
+    el.gameDbList.querySelectorAll('input[data-id]').forEach((b) => { b.checked = selectAll.checked; });
+    el.reviewSelectedBtn.disabled = !selectAll.checked;
+  });
+  tbody.addEventListener('change', () => {
+    el.reviewSelectedBtn.disabled = selectedGameIds().length === 0;
+  });
+}
+
+function renderBatchProgress() {
+  const batch = gameDbBatch;
+  const running = batch && batch.status === 'running';
+  el.cancelBatchBtn.style.display = running ? '' : 'none';
+  if (!batch) {
+    el.batchProgress.style.display = 'none';
+    return;
+  }
+  el.batchProgress.style.display = 'flex';
+  const pct = Math.round(batch.progress * 100);
+  el.batchProgressFill.style.width = `${pct}%`;
+  const failed = batch.failedGames ? `, ${batch.failedGames} failed` : '';
+  const state = running ? `${pct}%` : batch.status === 'cancelled' ? 'Cancelled' : 'Done';
+  el.batchProgressText.textContent = `${state} (${batch.completedGames}/${batch.gameIds.length} games${failed})`;
+}
+
+async function startBatchReview(ids) {
+  try {
+    gameDbBatch = await postJson('/api/games/review', {
+      ids,
+      settings: { depth: Number(document.getElementById('gameDepthSelect').value) }
+    });
+    renderBatchProgress();
+    await refreshGameDb();
+  } catch (error) {
+    showGameDbMessage(`Could not start review: ${error.message}`, true);
+  }
+}
+
+async function cancelBatchReview() {
+  if (!gameDbBatch) return;
+  await fetch(`/api/games/batches/${gameDbBatch.id}`, { method: 'DELETE' }).catch(() => {});
+  await refreshGameDb();
+}
+
+// Show a stored review; navigation positions come from the review itself
+async function openStoredReview(id) {
+  try {
+    const res = await fetch(`/api/games/${id}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || `Failed (${res.status})`);
+    if (!data.reviewData) throw new Error('This game has not been reviewed yet');
+
+    detachGameReview({ cancel: true });
+    const review = data.reviewData;
+    gameDbOpenId = id;
+    el.pgnInput.value = data.pgn;
+    gameReviewFens = review.plies.map((p) => p.fen);
+    gameReviewPreFens = [review.startFen, ...gameReviewFens.slice(0, -1)];
+    gameReviewData = review;
+    gameReviewPly = -1;
+
+    el.gameProgress.style.display = 'none';
+    el.evalGraphContainer.style.display = 'block';
+    el.gameReviewNav.style.display = 'flex';
+    showGameReview(review);
+    navigateToGamePly(0);
+    renderGameDb();
+  } catch (error) {
+    showGameDbMessage(`Could not open review: ${error.message}`, true);
+  }
+}
+
+// ── Annotated PGN download for the review on screen ──
+async function downloadAnnotatedPgn() {
+  let url = null;
+  if (gameDbOpenId !== null) url = `/api/games/${gameDbOpenId}/pgn`;
+  else if (gameReviewJobId) url = `/api/jobs/${gameReviewJobId}/pgn`;
+  if (!url) return;
+
+  try {
+    const res = await fetch(url);
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      throw new Error(data.error || `Failed (${res.status})`);
+    }
+    const filename = /filename="([^"]+)"/.exec(res.headers.get('content-disposition') || '');
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(await res.blob());
+    link.download = filename ? filename[1] : 'review-annotated.pgn';
+    link.click();
+    URL.revokeObjectURL(link.href);
+  } catch (error) {
+    setEngineStatus(`PGN export failed: ${error.message}`, 'error');
+  }
+}
+
 // ── Opening detection ──
+function appendContinuationHeading(text) {
+  const heading = document.createElement('h3');
+  heading.className = 'continuation-heading';
+  heading.textContent = text;
+  el.openingContinuations.appendChild(heading);
+}
+
+function appendContinuationRow(move, name, freq, title) {
+  const row = document.createElement('div');
+  row.className = 'continuation-row';
+  row.title = title;
+  row.innerHTML = `
+    <span class="continuation-move">${move}</span>
+    <span class="continuation-name">${name}</span>
+    <span class="continuation-freq">${freq}</span>
+  `;
+  row.addEventListener('click', () => {
+    game.move(move);
+    board.position(game.fen());
+    renderMoves();
+  });
+  el.openingContinuations.appendChild(row);
+}
+
 async function detectOpening() {
   try {
     setEngineStatus('Detecting opening...', 'active');
-    const query = encodeURIComponent(game.history().join(' '));
-    const res = await fetch(`/api/opening?moves=${query}`);
-    if (!res.ok) throw new Error(`Failed (${res.status})`);
+    const params = new URLSearchParams({ moves: game.history().join(' ') });
+    // A position set up from FEN: the moves are replayed from there
+    const startFen = game.getHeaders().FEN;
+    if (startFen) params.set('fen', startFen);
+    const res = await fetch(`/api/opening?${params}`);
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      throw new Error(data.error || `Failed (${res.status})`);
+    }
     const data = await res.json();
 
     el.openingResult.innerHTML = `
@@ -878,26 +1628,26 @@ async function detectOpening() {
         <span class="opening-eco">${data.eco}</span>
         ${data.name}
       </div>
-      <div class="opening-meta">Book window: ply ${data.bookPlyRange[0]}-${data.bookPlyRange[1]}</div>
+      <div class="opening-meta">${data.pgn ? `${data.pgn} &bull; ` : ''}Book window: ply ${data.bookPlyRange[0]}-${data.bookPlyRange[1]}</div>
     `;
 
-    // Show continuations if available
-    if (data.continuations && data.continuations.length > 0) {
-      el.openingContinuations.innerHTML = '<h3 style="font-size:0.85rem;color:var(--text-muted);margin-bottom:0.4rem;">Common continuations</h3>';
-      data.continuations.forEach((c) => {
-        const row = document.createElement('div');
-        row.className = 'continuation-row';
-        row.innerHTML = `
-          <span class="continuation-move">${c.move}</span>
-          <span class="continuation-name">${c.name}</span>
-          <span class="continuation-freq">${c.eco}</span>
-        `;
-        row.addEventListener('click', () => {
-          game.move(c.move);
-          board.position(game.fen());
-          renderMoves();
-        });
-        el.openingContinuations.appendChild(row);
+    // Book moves (Polyglot weights) first, then named continuations the books do not play
+    el.openingContinuations.innerHTML = '';
+    const named = new Map((data.continuations || []).map((c) => [c.uci, c]));
+    const bookMoves = data.bookMoves || [];
+    if (bookMoves.length > 0) {
+      appendContinuationHeading('Book moves');
+      bookMoves.forEach((b) => {
+        const opening = named.get(b.uci);
+        appendContinuationRow(b.move, opening ? opening.name : b.book, `${Math.round(b.share * 100)}%`,
+          `${b.book}: weight ${b.weight}, learn ${b.learn}`);
+      });
+    }
+    const unbooked = (data.continuations || []).filter((c) => !bookMoves.some((b) => b.uci === c.uci));
+    if (unbooked.length > 0) {
+      appendContinuationHeading(bookMoves.length > 0 ? 'Other named continuations' : 'Named continuations');
+      unbooked.forEach((c) => {
+        appendContinuationRow(c.move, c.name, c.eco, `${c.lines} named line${c.lines === 1 ? '' : 's'}`);
       });
     }
 
@@ -908,6 +1658,116 @@ async function detectOpening() {
   }
 }
 
+// ── Personal explorer: moves played from this position in our own games ──
+async function exploreMyGames() {
+  try {
+    const params = new URLSearchParams({ fen: game.fen() });
+    const player = el.myExplorerPlayer.value.trim();
+    if (player) params.set('player', player);
+    if (el.myExplorerColor.value) params.set('color', el.myExplorerColor.value);
+    const res = await fetch(`/api/explorer?${params}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || `Failed (${res.status})`);
+    renderMyExplorer(data);
+  } catch (error) {
+    el.myExplorerResult.innerHTML = `<div class="placeholder-text">Error: ${error.message}</div>`;
+  }
+}
+
+function renderMyExplorer(data) {
+  el.myExplorerResult.innerHTML = '';
+  if (!data.moves.length) {
+    el.myExplorerResult.innerHTML = '<div class="placeholder-text">No games reach this position.</div>';
+    return;
+  }
+
+  const table = document.createElement('table');
+  table.innerHTML = '<thead><tr><th>Move</th><th>Games</th><th>Win / Draw / Loss</th><th>Avg Opp</th><th>Games</th></tr></thead>';
+  const tbody = document.createElement('tbody');
+  data.moves.forEach((m) => {
+    const tr = document.createElement('tr');
+
+    const move = document.createElement('td');
+    move.className = 'move-cell';
+    const play = document.createElement('button');
+    play.className = 'link-btn';
+    play.textContent = m.move;
+    play.title = 'Play this move';
+    play.addEventListener('click', () => {
+      game.move(m.move);
+      board.position(game.fen());
+      renderMoves();
+      exploreMyGames();
+    });
+    move.appendChild(play);
+
+    const count = document.createElement('td');
+    count.textContent = m.games;
+
+    const wdl = document.createElement('td');
+    if (m.win === null) {
+      wdl.textContent = '–';
+    } else {
+      const bar = document.createElement('div');
+      bar.className = 'wdl-bar';
+      bar.title = `${m.win}% / ${m.draw}% / ${m.loss}%`;
+      [['win', m.win], ['draw', m.draw], ['loss', m.loss]].forEach(([kind, pct]) => {
+        const seg = document.createElement('span');
+        seg.className = `wdl-seg wdl-${kind}`;
+        seg.style.width = `${pct}%`;
+        if (pct >= 15) seg.textContent = `${Math.round(pct)}%`;
+        bar.appendChild(seg);
+      });
+      wdl.appendChild(bar);
+    }
+
+    const rating = document.createElement('td');
+    rating.textContent = m.avgOpponentRating ?? '–';
+
+    // Player names come from user files, so links are filled with textContent only
+    const links = document.createElement('td');
+    links.className = 'game-links';
+    m.gameLinks.forEach((g) => {
+      const link = document.createElement('button');
+      link.className = 'link-btn';
+      link.textContent = `${g.white}–${g.black} ${g.result}`;
+      link.title = [g.event, g.date, g.reviewed ? 'reviewed' : 'not reviewed'].filter(Boolean).join(' · ');
+      link.addEventListener('click', () => openExplorerGame(g.id, g.reviewed));
+      links.appendChild(link);
+    });
+    if (m.games > m.gameLinks.length) {
+      const more = document.createElement('span');
+      more.className = 'more-games';
+      more.textContent = `+${m.games - m.gameLinks.length} more`;
+      links.appendChild(more);
+    }
+
+    tr.append(move, count, wdl, rating, links);
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+  el.myExplorerResult.appendChild(table);
+}
+
+// Show a game from the explorer in the Game Review tab: its review if it has one,
+// otherwise its PGN ready to analyze
+async function openExplorerGame(id, reviewed) {
+  document.querySelector('.tab-btn[data-tab="game-review"]').click();
+  if (reviewed) {
+    openStoredReview(id);
+    return;
+  }
+  try {
+    const res = await fetch(`/api/games/${id}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || `Failed (${res.status})`);
+    el.pgnInput.value = data.pgn;
+    showGameDbMessage('Game loaded into the PGN box. It has not been reviewed yet.');
+  } catch (error) {
+    showGameDbMessage(`Could not open game: ${error.message}`, true);
+  }
+}
+
 // ── Filter/sort for explorer ──
 function applyExplorerFilters() {
   if (!allMovesResult || allMovesResult.length === 0) return;
@@ -951,6 +1811,156 @@ function applyExplorerFilters() {
   renderMovesTable(filtered, fen);
 }
 
+// ── Play against the engine ──
+function playInProgress() {
+  return playGame?.status === 'playing';
+}
+
+function formatClock(ms) {
+  // Tenths of a second once under ten seconds
+  if (ms < 10000) return (Math.floor(ms / 100) / 10).toFixed(1);
+  const total = Math.ceil(ms / 1000);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function renderPlayClocks() {
+  const clock = playGame?.clock;
+  el.playClockWhite.parentElement.style.display = clock ? 'flex' : 'none';
+  if (!clock) return;
+  for (const [side, node] of [['white', el.playClockWhite], ['black', el.playClockBlack]]) {
+    const running = clock.running === side && playInProgress();
+    const left = Math.max(0, clock[side] - (running ? Date.now() - playSyncedAt : 0));
+    node.textContent = `${side === 'white' ? 'White' : 'Black'} ${formatClock(left)}`;
+    node.classList.toggle('running', running);
+    node.classList.toggle('low', left < 10000);
+    // The player's flag falls between requests; the server confirms it on the next look
+    if (running && left === 0 && side === playGame.color) {
+      clearInterval(playClockTimer);
+      refreshPlayGame();
+    }
+  }
+}
+
+function playStatusText(data) {
+  if (data.status === 'finished') {
+    const reason = data.termination ? ` · ${data.termination}` : '';
+    return `Game over: ${data.result}${reason}`;
+  }
+  return data.turn === data.color ? 'Your move' : `${data.engine.name} is thinking...`;
+}
+
+// Take the server's view of the game: position, move list, clocks and result
+function applyPlayGame(data) {
+  playGame = data;
+  playSyncedAt = Date.now();
+  game.load(data.startFen);
+  data.moves.forEach((m) => game.move(m.san));
+  board.position(game.fen());
+  renderMoves();
+  clearBoardBadges();
+  clearBoardArrows();
+  const last = data.moves[data.moves.length - 1];
+  if (last) highlightLastMove(last.uci.slice(0, 2), last.uci.slice(2, 4), null);
+  else clearSquareHighlights();
+
+  el.playArea.style.display = 'block';
+  el.playStatus.textContent = playStatusText(data);
+  el.playStatus.classList.toggle('finished', data.status === 'finished');
+  el.playResignBtn.style.display = playInProgress() ? '' : 'none';
+  el.playReviewBtn.style.display = data.pgn ? '' : 'none';
+  // The board belongs to the game until it is over
+  for (const id of ['resetBtn', 'undoBtn', 'loadFenBtn']) document.getElementById(id).disabled = playInProgress();
+
+  clearInterval(playClockTimer);
+  playClockTimer = playInProgress() && data.clock ? setInterval(renderPlayClocks, 100) : null;
+  renderPlayClocks();
+  if (playInProgress() && data.turn !== data.color) setEngineStatus('Engine thinking...', 'active');
+  else setEngineStatus(data.status === 'finished' ? 'Game over' : 'Engine idle');
+}
+
+function playStrength() {
+  const [kind, value] = document.getElementById('playStrengthSelect').value.split(':');
+  return kind ? { [kind]: Number(value) } : null;
+}
+
+async function startPlayGame() {
+  const fromBoard = document.getElementById('playStartSelect').value === 'board';
+  const color = document.getElementById('playColorSelect').value;
+  el.playStartBtn.disabled = true;
+  setEngineStatus('Starting game...', 'active');
+  try {
+    const data = await postJson('/api/play', {
+      fen: fromBoard ? game.fen() : undefined,
+      color,
+      strength: playStrength(),
+      timeControl: document.getElementById('playTimeSelect').value || null,
+      engine: el.engineSelect.value || undefined
+    });
+    // Face the board towards the player; for "random" the server picks the side
+    if ((data.color === 'black') !== boardFlipped) document.getElementById('flipBtn').click();
+    applyPlayGame(data);
+  } catch (error) {
+    el.playArea.style.display = 'block';
+    el.playStatus.textContent = `Could not start the game: ${error.message}`;
+    setEngineStatus('Error', 'error');
+  } finally {
+    el.playStartBtn.disabled = false;
+  }
+}
+
+// The move is already on the board; the server answers with the engine's reply
+async function sendPlayMove(move) {
+  const engineSide = playGame.color === 'white' ? 'black' : 'white';
+  if (playGame.clock) {
+    // Charge the player's clock locally and start the engine's until the reply arrives
+    const clock = playGame.clock;
+    clock[playGame.color] = Math.max(0, clock[playGame.color] - (Date.now() - playSyncedAt));
+    clock.running = engineSide;
+    playSyncedAt = Date.now();
+  }
+  playGame.turn = engineSide;
+  el.playStatus.textContent = playStatusText(playGame);
+  el.playResignBtn.disabled = true;
+  setEngineStatus('Engine thinking...', 'active');
+  try {
+    applyPlayGame(await postJson(`/api/play/${playGame.id}/move`, { move: move.from + move.to + (move.promotion || '') }));
+  } catch (error) {
+    el.playStatus.textContent = error.message;
+    await refreshPlayGame();
+  } finally {
+    el.playResignBtn.disabled = false;
+  }
+}
+
+async function refreshPlayGame() {
+  if (!playGame) return;
+  try {
+    const res = await fetch(`/api/play/${playGame.id}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || `Failed (${res.status})`);
+    applyPlayGame(data);
+  } catch (error) {
+    el.playStatus.textContent = error.message;
+  }
+}
+
+async function resignPlayGame() {
+  if (!playInProgress() || !confirm('Resign this game?')) return;
+  try {
+    applyPlayGame(await postJson(`/api/play/${playGame.id}/resign`, {}));
+  } catch (error) {
+    el.playStatus.textContent = error.message;
+  }
+}
+
+// Hand the finished game to the Game Review tab and start its analysis
+function reviewPlayGame() {
+  if (!playGame?.pgn) return;
+  el.pgnInput.value = playGame.pgn;
+  document.querySelector('.tab-btn[data-tab="game-review"]').click();
+  analyzeGame();
+}
+
 // ── Bind all UI events ──
 function bindUI() {
   document.getElementById('flipBtn').addEventListener('click', () => {
@@ -962,15 +1972,17 @@ function bindUI() {
     if (lastHighlight) {
       highlightLastMove(lastHighlight.from, lastHighlight.to, lastHighlight.category);
     }
+    if (lastArrows.length > 0) drawBoardArrows(lastArrows);
   });
 
   document.getElementById('resetBtn').addEventListener('click', () => {
     game.reset();
     board.start();
     renderMoves();
-    updateEvalBar(0);
+    updateEvalBar(ZERO_SCORE, game.fen());
     clearBoardBadges();
     clearSquareHighlights();
+    clearBoardArrows();
   });
 
   document.getElementById('undoBtn').addEventListener('click', () => {
@@ -979,6 +1991,7 @@ function bindUI() {
     renderMoves();
     clearBoardBadges();
     clearSquareHighlights();
+    clearBoardArrows();
   });
 
   document.getElementById('loadFenBtn').addEventListener('click', () => {
@@ -993,6 +2006,7 @@ function bindUI() {
     renderMoves();
     clearBoardBadges();
     clearSquareHighlights();
+    clearBoardArrows();
     // Clear explorer UI state so no stale results remain after FEN change.
     clearExplorerUI();
   });
@@ -1006,9 +2020,33 @@ function bindUI() {
   });
 
   document.getElementById('analyzePositionBtn').addEventListener('click', analyzePosition);
+  el.compareEnginesBtn.addEventListener('click', compareEngines);
+  el.liveAnalysisBtn.addEventListener('click', toggleLiveAnalysis);
   document.getElementById('analyzeAllMovesBtn').addEventListener('click', runAllMoves);
   document.getElementById('analyzeGameBtn').addEventListener('click', analyzeGame);
   document.getElementById('openingBtn').addEventListener('click', detectOpening);
+  document.getElementById('myExplorerBtn').addEventListener('click', exploreMyGames);
+  el.myExplorerPlayer.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') exploreMyGames();
+  });
+
+  document.getElementById('downloadPgnBtn').addEventListener('click', downloadAnnotatedPgn);
+
+  // Play
+  el.playStartBtn.addEventListener('click', startPlayGame);
+  el.playResignBtn.addEventListener('click', resignPlayGame);
+  el.playReviewBtn.addEventListener('click', reviewPlayGame);
+
+  // Game database
+  document.getElementById('importPgnBtn').addEventListener('click', () => importGames(el.pgnInput.value));
+  document.getElementById('pgnFileInput').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (file) await importGames(await file.text());
+    e.target.value = '';
+  });
+  el.reviewSelectedBtn.addEventListener('click', () => startBatchReview(selectedGameIds()));
+  el.reviewAllBtn.addEventListener('click', () => startBatchReview([]));
+  el.cancelBatchBtn.addEventListener('click', cancelBatchReview);
 
   // Game review navigation
   document.getElementById('navFirst').addEventListener('click', () => navigateToGamePly(0));
@@ -1021,6 +2059,7 @@ function bindUI() {
   });
 
   // Explorer filters
+  el.explorerModeSelect.addEventListener('change', updateExplorerModeControls);
   el.filterPiece.addEventListener('change', applyExplorerFilters);
   el.sortMoves.addEventListener('change', applyExplorerFilters);
 
@@ -1065,4 +2104,7 @@ board = window.Chessboard('board', {
 initTabs();
 bindUI();
 renderMoves();
-updateEvalBar(0);
+loadEngines();
+refreshGameDb();
+resumeGameReview();
+updateEvalBar(ZERO_SCORE, game.fen());
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AnalysisIndex, normalizeFen } from '../lib/analysis-index.js';
+
+const FEN = 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1';
+const ENGINE = 'stockfish';
+
+function result(lines) {
+  const moves = ['e7e5', 'c7c5', 'e7e6', 'c7c6', 'd7d5'];
+  return { fen: FEN, topMoves: moves.slice(0, lines).map((uci, i) => ({ rank: i + 1, uci })) };
+}
+
+test('normalizeFen drops the move counters and stray whitespace', () => {
+  assert.equal(normalizeFen(FEN), 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq -');
+  assert.equal(normalizeFen(`  ${FEN.replace(' 0 1', ' 7 42').replaceAll(' ', '   ')}\n`), normalizeFen(FEN));
+});
+
+test('a position is found again whatever its move counters', () => {
+  const store = new Map();
+  const index = new AnalysisIndex(store);
+  index.storePosition(FEN, 20, 1, ENGINE, result(1));
+  assert.deepEqual([...store.keys()], [`pos:${normalizeFen(FEN)}`]);
+
+  const later = FEN.replace(' 0 1', ' 4 9');
+  const hit = index.lookupPosition(later, 20, 1, ENGINE);
+  assert.equal(hit.fen, later);
+  assert.equal(hit.depth, 20);
+  assert.deepEqual(index.stats().position.hits, { exact: 1, deeper: 0, wider: 0 });
+});
+
+test('deeper and wider results answer shallower and narrower requests', () => {
+  const index = new AnalysisIndex(new Map());
+  index.storePosition(FEN, 24, 3, ENGINE, result(3));
+
+  const hit = index.lookupPosition(FEN, 18, 2, ENGINE);
+  assert.equal(hit.depth, 24);
+  assert.deepEqual(hit.topMoves.map((m) => m.uci), ['e7e5', 'c7c5']);
+  index.lookupPosition(FEN, 24, 1, ENGINE);
+  assert.deepEqual(index.stats().position.hits, { exact: 0, deeper: 1, wider: 1 });
+});
+
+test('misses say whether the stored result was too shallow or too narrow', () => {
+  const index = new AnalysisIndex(new Map());
+  assert.equal(index.lookupPosition(FEN, 20, 1, ENGINE), undefined);
+  index.storePosition(FEN, 20, 1, ENGINE, result(1));
+  assert.equal(index.lookupPosition(FEN, 22, 1, ENGINE), undefined);
+  assert.equal(index.lookupPosition(FEN, 20, 2, ENGINE), undefined);
+  const { misses, hitRate } = index.stats().position;
+  assert.deepEqual(misses, { cold: 1, shallow: 1, narrow: 1 });
+  assert.equal(hitRate, 0);
+});
+
+test('a result listing every legal move covers any MultiPV', () => {
+  const index = new AnalysisIndex(new Map());
+  // Asked for five lines, the engine found only two legal moves
+  index.storePosition(FEN, 20, 5, ENGINE, result(2));
+  assert.equal(index.lookupPosition(FEN, 20, 10, ENGINE).topMoves.length, 2);
+});
+
+test('results only answer requests for the same engine and settings', () => {
+  const index = new AnalysisIndex(new Map());
+  index.storePosition(FEN, 20, 1, ENGINE, result(1), { Threads: 2, Hash: 64 });
+  assert.equal(index.lookupPosition(FEN, 20, 1, ENGINE), undefined);
+  assert.equal(index.lookupPosition(FEN, 20, 1, 'lc0', { Threads: 2, Hash: 64 }), undefined);
+  assert.ok(index.lookupPosition(FEN, 20, 1, ENGINE, { Hash: 64, Threads: 2 }));
+});
+
+test('a stored result replaces the ones it covers and keeps the others', () => {
+  const store = new Map();
+  const index = new AnalysisIndex(store);
+  index.storePosition(FEN, 18, 3, ENGINE, result(3));
+  index.storePosition(FEN, 22, 1, ENGINE, result(1));
+  index.storePosition(FEN, 16, 1, ENGINE, result(1));
+  const key = `pos:${normalizeFen(FEN)}`;
+  // Neither covers the other; the third is covered by both and not stored
+  assert.deepEqual(store.get(key).map((e) => [e.depth, e.multipv]), [[18, 3], [22, 1]]);
+
+  index.storePosition(FEN, 24, 3, ENGINE, result(3));
+  assert.deepEqual(store.get(key).map((e) => [e.depth, e.multipv]), [[24, 3]]);
+  index.storePosition(FEN, 12, 1, ENGINE, result(1), { Threads: 2 });
+  assert.equal(store.get(key).length, 2);
+});
+
+test('a result that stopped short of its depth is not stored under that depth', () => {
+  const index = new AnalysisIndex(new Map());
+  index.storePosition(FEN, 24, 1, ENGINE, { ...result(1), depth: 15 });
+  assert.equal(index.lookupPosition(FEN, 24, 1, ENGINE), undefined);
+  assert.equal(index.lookupPosition(FEN, 15, 1, ENGINE), undefined);
+
+  // Stored at the depth it reached, it answers only requests that shallow
+  index.storePosition(FEN, 15, 1, ENGINE, { ...result(1), depth: 15 });
+  assert.equal(index.lookupPosition(FEN, 24, 1, ENGINE), undefined);
+  assert.equal(index.lookupPosition(FEN, 15, 1, ENGINE).depth, 15);
+});
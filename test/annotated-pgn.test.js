@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { START_FEN, applyMove, findSanMove, moveToUci, parseFen, toFen } from '../lib/chess.js';
+import { annotatedPgn, numberedLine, wrapPgn } from '../lib/annotated-pgn.js';
+import { CATEGORIES } from '../lib/scores.js';
+
+// A review as reviewGame returns it, for the moves in sans, with White a little better
+// throughout. notes gives some plies their own score (from the side to move after the
+// move), category and engine's best line.
+function review(sans, notes = {}, { startFen = START_FEN, result = '1-0', headers = {} } = {}) {
+  let pos = parseFen(startFen);
+  const plies = sans.map((san, i) => {
+    const { move } = findSanMove(pos, san);
+    pos = applyMove(pos, move);
+    const fen = toFen(pos);
+    return {
+      san,
+      uci: moveToUci(move),
+      fen,
+      score: { kind: 'cp', value: fen.split(' ')[1] === 'w' ? 20 : -20 },
+      deltaCp: 0,
+      category: CATEGORIES.best,
+      bestPv: null,
+      bestUci: null,
+      ...notes[i]
+    };
+  });
+  return {
+    startFen, result, headers, plies, depth: 18, engine: 'stockfish', engineName: 'Stockfish',
+    opening: { eco: 'C20', name: "King's Pawn Game" }
+  };
+}
+
+const SCHOLARS_MATE = ['e4', 'e5', 'Qh5', 'Nc6', 'Bc4', 'Nf6', 'Qxf7#'];
+const NF6_BLUNDER = {
+  5: {
+    score: { kind: 'mate', value: 1 },
+    deltaCp: 1000,
+    category: { ...CATEGORIES.blunder, note: 'Allowed mate in 1' },
+    bestPv: 'g7g6 h5f3 g8f6',
+    bestUci: 'g7g6'
+  },
+  6: { score: { kind: 'mate', value: 0 } }
+};
+
+test('a blunder gets its NAG, a comment naming the best move and the line as a variation', () => {
+  const pgn = annotatedPgn(review(SCHOLARS_MATE, NF6_BLUNDER, { headers: { White: 'Anna', Black: 'Ben' } }));
+  const [tags, moves] = pgn.split('\n\n');
+  assert.deepEqual(tags.split('\n'), [
+    '[Event "?"]', '[Site "?"]', '[Date "????.??.??"]', '[Round "?"]', '[White "Anna"]', '[Black "Ben"]',
+    '[Result "1-0"]', '[ECO "C20"]', '[Opening "King\'s Pawn Game"]', '[WhiteACPL "0"]', '[BlackACPL "333"]',
+    '[Annotator "PawnForge (Stockfish depth 18)"]'
+  ]);
+  assert.equal(moves.trimEnd().replace(/\n/g, ' '), [
+    '1. e4 { [%eval 0.20] } e5 { [%eval 0.20] } 2. Qh5 { [%eval 0.20] } Nc6 { [%eval 0.20] }',
+    '3. Bc4 { [%eval 0.20] } Nf6 $4 { [%eval #1] Blunder. Allowed mate in 1. g6 was best. }',
+    '(3... g6 4. Qf3 Nf6) 4. Qxf7# 1-0'
+  ].join(' '));
+  assert.ok(pgn.split('\n').every((line) => line.length <= 79));
+});
+
+test('a flagged move without a different best line gets no NAG, note or variation', () => {
+  const notes = {
+    // The engine had no line for this one, and for the next its best move was the move played
+    1: { deltaCp: 120, category: CATEGORIES.inaccuracy },
+    2: { deltaCp: 250, category: CATEGORIES.mistake, bestPv: 'd1h5 b8c6', bestUci: 'd1h5' }
+  };
+  const moves = annotatedPgn(review(SCHOLARS_MATE.slice(0, 3), notes, { result: null })).split('\n\n')[1];
+  assert.equal(moves, '1. e4 { [%eval 0.20] } e5 { [%eval 0.20] } 2. Qh5 { [%eval 0.20] } *\n');
+});
+
+test('the Annotator tag names the engine that reviewed the game', () => {
+  const annotator = (r) => annotatedPgn(r).match(/\[Annotator "(.*)"\]/)[1];
+  const lc0 = { ...review(['e4']), engine: 'lc0', engineName: 'Leela Chess Zero', depth: 12 };
+  assert.equal(annotator(lc0), 'PawnForge (Leela Chess Zero depth 12)');
+  // A review stored before the engine's name was recorded
+  assert.equal(annotator({ ...lc0, engineName: undefined }), 'PawnForge (lc0 depth 12)');
+});
+
+test('a game from a set-up position carries SetUp and FEN and numbers Black\'s first move', () => {
+  const startFen = 'rnbqkbnr/pppp1ppp/8/4p3/4P3/8/PPPP1PPP/RNBQKBNR w KQkq - 0 2';
+  const startBlack = toFen(applyMove(parseFen(startFen), findSanMove(parseFen(startFen), 'Nf3').move));
+  const pgn = annotatedPgn(review(['Nc6', 'Bb5'], {}, { startFen: startBlack, result: '*' }));
+  assert.match(pgn, /\[SetUp "1"\]\n\[FEN "rnbqkbnr\/pppp1ppp\/8\/4p3\/4P3\/5N2\/PPPP1PPP\/RNBQKB1R b KQkq - 1 2"\]/);
+  assert.match(pgn, /\n\n2\.\.\. Nc6 \{ \[%eval 0\.20\] \} 3\. Bb5/);
+});
+
+test('numberedLine numbers a line from either side', () => {
+  assert.deepEqual(numberedLine(START_FEN, ['e4', 'e5', 'Nf3']), ['1. e4', 'e5', '2. Nf3']);
+  const black = 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1';
+  assert.deepEqual(numberedLine(black, ['c5', 'Nf3']), ['1... c5', '2. Nf3']);
+});
+
+test('wrapPgn breaks lines between tokens at 79 characters', () => {
+  const tokens = Array.from({ length: 40 }, (_, i) => `${i + 1}. Nf3`);
+  const lines = wrapPgn(tokens).split('\n');
+  assert.ok(lines.length > 1);
+  assert.ok(lines.every((line) => line.length <= 79));
+  assert.equal(lines.join(' '), tokens.join(' '));
+});
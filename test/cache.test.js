@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { CACHE_FILE, CACHE_FORMAT_VERSION, COMPACT_MIN_LINES, PersistentCache } from '../lib/cache.js';
+
+function tempDir(t) {
+  const dir = mkdtempSync(join(tmpdir(), 'pawnforge-cache-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const fileLines = (dir) => readFileSync(join(dir, CACHE_FILE), 'utf8').split('\n').filter(Boolean);
+
+test('entries survive a restart with the same engine stamp', (t) => {
+  const dir = tempDir(t);
+  const first = new PersistentCache(dir, { stamp: 'Stockfish 16 #abc' });
+  first.set('a', { depth: 20 });
+  first.set('b', { depth: 18 });
+  first.set('a', { depth: 24 });
+
+  const second = new PersistentCache(dir, { stamp: 'Stockfish 16 #abc' });
+  assert.equal(second.size, 2);
+  assert.deepEqual(second.get('a'), { depth: 24 });
+  assert.deepEqual(second.get('b'), { depth: 18 });
+});
+
+test('a file written by a different engine is ignored and replaced', (t) => {
+  const dir = tempDir(t);
+  const old = new PersistentCache(dir, { stamp: 'Stockfish 15 #old' });
+  old.set('a', { depth: 20 });
+  old.set('b', { depth: 20 });
+
+  const cache = new PersistentCache(dir, { stamp: 'Stockfish 16 #new' });
+  assert.equal(cache.size, 0);
+  assert.equal(cache.has('a'), false);
+  assert.equal(cache.stats().discarded, 2);
+  assert.deepEqual(fileLines(dir).map((line) => JSON.parse(line).engine), ['Stockfish 16 #new']);
+});
+
+test('a file from another format version or with a corrupt header is ignored', (t) => {
+  const dir = tempDir(t);
+  const entry = JSON.stringify({ k: 'a', v: 1, t: 0 });
+  writeFileSync(join(dir, CACHE_FILE), `${JSON.stringify({ version: CACHE_FORMAT_VERSION - 1, engine: 'x' })}\n${entry}\n`);
+  assert.equal(new PersistentCache(dir, { stamp: 'x' }).size, 0);
+  writeFileSync(join(dir, CACHE_FILE), `not json\n${entry}\n`);
+  assert.equal(new PersistentCache(dir, { stamp: 'x' }).size, 0);
+});
+
+test('a truncated last line is skipped, the rest still loads', (t) => {
+  const dir = tempDir(t);
+  const cache = new PersistentCache(dir, { stamp: 'x' });
+  cache.set('a', 1);
+  cache.set('b', 2);
+  const text = readFileSync(join(dir, CACHE_FILE), 'utf8');
+  writeFileSync(join(dir, CACHE_FILE), text.slice(0, -5));
+
+  const reloaded = new PersistentCache(dir, { stamp: 'x' });
+  assert.equal(reloaded.get('a'), 1);
+  assert.equal(reloaded.has('b'), false);
+  assert.equal(reloaded.stats().discarded, 1);
+});
+
+test('overwrites are compacted away once the file is mostly garbage', (t) => {
+  const dir = tempDir(t);
+  const cache = new PersistentCache(dir, { stamp: 'x' });
+  for (let i = 0; i < COMPACT_MIN_LINES; i += 1) cache.set(`key ${i % 10}`, i);
+
+  assert.equal(cache.stats().compactions, 2);
+  assert.equal(cache.stats().fileLines, 10);
+  // The header and one line per live entry
+  assert.equal(fileLines(dir).length, 11);
+  assert.equal(new PersistentCache(dir, { stamp: 'x' }).get('key 9'), COMPACT_MIN_LINES - 1);
+});
+
+test('the byte budget evicts least recently used entries', (t) => {
+  const dir = tempDir(t);
+  const cache = new PersistentCache(dir, { stamp: 'x', maxBytes: 2000 });
+  const value = 'x'.repeat(100);
+  for (let i = 0; i < 10; i += 1) cache.set(`key ${i}`, value);
+  cache.get('key 0');
+  for (let i = 10; i < 30; i += 1) cache.set(`key ${i}`, value);
+
+  const stats = cache.stats();
+  assert.ok(stats.bytes <= 2000);
+  assert.ok(stats.fileBytes <= 2000);
+  assert.equal(cache.has('key 1'), false);
+  assert.equal(cache.has('key 29'), true);
+});
+
+test('the entry limit evicts least recently used entries', (t) => {
+  const dir = tempDir(t);
+  const cache = new PersistentCache(dir, { stamp: 'x', maxEntries: 3 });
+  cache.set('a', 1);
+  cache.set('b', 2);
+  cache.set('c', 3);
+  cache.get('a');
+  cache.set('d', 4);
+  assert.deepEqual(['a', 'b', 'c', 'd'].filter((k) => cache.has(k)), ['a', 'c', 'd']);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  START_FEN, FenError, applyMove, checkPosition, findSanMove, generateMoves, moveToSan, moveToUci, parseFen, toFen
+} from '../lib/chess.js';
+
+function perft(pos, depth) {
+  const moves = generateMoves(pos);
+  if (depth === 1) return moves.length;
+  return moves.reduce((sum, move) => sum + perft(applyMove(pos, move), depth - 1), 0);
+}
+
+// Reference counts from the Chess Programming Wiki's perft results page
+const PERFT = [
+  { name: 'initial position', fen: START_FEN, depth: 3, nodes: 8902 },
+  { name: 'kiwipete', fen: 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1', depth: 3, nodes: 97862 },
+  { name: 'position 3', fen: '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1', depth: 4, nodes: 43238 },
+  { name: 'position 4', fen: 'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1', depth: 3, nodes: 9467 },
+  { name: 'position 5', fen: 'rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8', depth: 3, nodes: 62379 }
+];
+
+for (const { name, fen, depth, nodes } of PERFT) {
+  test(`perft ${name} depth ${depth}`, () => {
+    assert.equal(perft(parseFen(fen), depth), nodes);
+  });
+}
+
+test('FEN round trip', () => {
+  for (const { fen } of PERFT) assert.equal(toFen(parseFen(fen)), fen);
+});
+
+test('SAN and UCI of castling, promotion and disambiguation', () => {
+  const pos = parseFen('r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1');
+  const san = generateMoves(pos).map((m) => moveToSan(pos, m));
+  assert.ok(san.includes('O-O'));
+  assert.ok(san.includes('O-O-O'));
+  assert.ok(san.includes('Nxf7'));
+  const promo = parseFen('rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8');
+  assert.equal(moveToUci(findSanMove(promo, 'dxc8=Q').move), 'd7c8q');
+  const rooks = parseFen('4k3/8/8/8/8/8/4K3/R6R w - - 0 1');
+  assert.equal(moveToUci(findSanMove(rooks, 'Rad1').move), 'a1d1');
+  assert.deepEqual(findSanMove(rooks, 'Rd1'), { error: 'Ambiguous move' });
+  assert.deepEqual(findSanMove(rooks, 'Rd2'), { error: 'Illegal move' });
+});
+
+test('parseFen rejects malformed FENs', () => {
+  for (const fen of ['', 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP w KQkq - 0 1', '9/8/8/8/8/8/8/8 w - - 0 1']) {
+    assert.throws(() => parseFen(fen), FenError);
+  }
+});
+
+test('checkPosition accepts legal positions', () => {
+  for (const { fen } of PERFT) assert.doesNotThrow(() => checkPosition(parseFen(fen)));
+  assert.doesNotThrow(() => checkPosition(parseFen('rnbqkbnr/ppp1pppp/8/3pP3/8/8/PPPP1PPP/RNBQKBNR w KQkq d6 0 3')));
+});
+
+test('checkPosition rejects impossible positions', () => {
+  const impossible = [
+    '4k3/8/8/8/8/8/8/8 w - - 0 1', // no white king
+    '4k3/8/8/8/8/8/8/4K2P w - - 0 1', // pawn on the first rank
+    '4k3/4R3/8/8/8/8/8/4K3 w - - 0 1', // the side not to move is in check
+    '4k3/8/8/8/8/8/8/4K3 w K - 0 1', // castling right without the rook
+    '4k3/8/8/8/8/8/8/4K3 w - e6 0 1' // en passant square without a pawn that just moved
+  ];
+  for (const fen of impossible) assert.throws(() => checkPosition(parseFen(fen)), FenError, fen);
+});
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  EngineOptionError, EngineSettings, normalizeOptionValue, parseUciOption, settingsKey
+} from '../lib/engine-options.js';
+
+const HANDSHAKE = [
+  'option name Threads type spin default 1 min 1 max 1024',
+  'option name Hash type spin default 16 min 1 max 33554432',
+  'option name Skill Level type spin default 20 min 0 max 20',
+  'option name Ponder type check default false',
+  'option name Analysis Contempt type combo default Both var Off var White var Black var Both',
+  'option name EvalFile type string default nn-5af11540bbfe.nnue',
+  'option name Debug Log File type string default <empty>',
+  'option name MultiPV type spin default 1 min 1 max 500',
+  'option name Clear Hash type button'
+].map(parseUciOption);
+
+function settings(t, preset = {}) {
+  const dir = mkdtempSync(join(tmpdir(), 'pawnforge-options-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const file = join(dir, 'engine-options.json');
+  const engine = new EngineSettings(file, 'stockfish', preset);
+  engine.learn('Stockfish 16', HANDSHAKE);
+  return engine;
+}
+
+test('parseUciOption reads every option type, names with spaces included', () => {
+  assert.deepEqual(HANDSHAKE[2], { name: 'Skill Level', type: 'spin', default: 20, min: 0, max: 20 });
+  assert.deepEqual(HANDSHAKE[3], { name: 'Ponder', type: 'check', default: false });
+  assert.deepEqual(HANDSHAKE[4],
+    { name: 'Analysis Contempt', type: 'combo', default: 'Both', vars: ['Off', 'White', 'Black', 'Both'] });
+  assert.deepEqual(HANDSHAKE[6], { name: 'Debug Log File', type: 'string', default: '' });
+  assert.deepEqual(HANDSHAKE[8], { name: 'Clear Hash', type: 'button', default: null });
+  assert.equal(parseUciOption('option name Broken'), null);
+});
+
+test('normalizeOptionValue checks values against the option', () => {
+  const [threads, , , ponder, contempt, evalFile, , , clearHash] = HANDSHAKE;
+  assert.equal(normalizeOptionValue(threads, '4'), 4);
+  assert.throws(() => normalizeOptionValue(threads, 1.5), /expected an integer/);
+  assert.throws(() => normalizeOptionValue(threads, 0), /between 1 and 1024/);
+  assert.throws(() => normalizeOptionValue(threads, ''), EngineOptionError);
+  assert.equal(normalizeOptionValue(ponder, 'true'), true);
+  assert.throws(() => normalizeOptionValue(ponder, 1), /true or false/);
+  assert.equal(normalizeOptionValue(contempt, 'white'), 'White');
+  assert.throws(() => normalizeOptionValue(contempt, 'Both sides'), /one of Off, White, Black, Both/);
+  assert.throws(() => normalizeOptionValue(evalFile, 'a.nnue\nquit'), /single-line/);
+  assert.throws(() => normalizeOptionValue(clearHash, true), /button options cannot be set/);
+});
+
+test('settingsKey ignores the order of the settings', () => {
+  assert.equal(settingsKey({ Threads: 2, Hash: 64 }), settingsKey({ Hash: 64, Threads: 2 }));
+  assert.notEqual(settingsKey({ Threads: 2 }), settingsKey({ Threads: 3 }));
+  assert.equal(settingsKey(), settingsKey({}));
+});
+
+test('requests may only override the options an admin allowed', (t) => {
+  const engine = settings(t);
+  engine.update({ overridable: ['Skill Level'] });
+  assert.deepEqual(engine.overrides({ 'Skill Level': '5' }), { 'Skill Level': 5 });
+  assert.deepEqual(engine.overrides(undefined), {});
+  assert.throws(() => engine.overrides({ Threads: 2 }), /cannot be overridden per request/);
+  assert.throws(() => engine.overrides({ MultiPV: 3 }), /set by the server/);
+  assert.throws(() => engine.overrides({ EvalFile: 'x.nnue' }), /only be set in the engines file/);
+  assert.throws(() => engine.overrides({ Nope: 1 }), /Unknown engine option "Nope"/);
+  assert.throws(() => engine.overrides({ 'Skill Level': 21 }), /between 0 and 20/);
+  assert.throws(() => engine.overrides(['Skill Level']), EngineOptionError);
+});
+
+test('admin updates reject options that cannot be overridden', (t) => {
+  const engine = settings(t);
+  for (const name of ['MultiPV', 'Clear Hash', 'EvalFile']) {
+    assert.throws(() => engine.update({ overridable: [name] }), /cannot be overridden per request/);
+  }
+  assert.throws(() => engine.update({ overridable: ['Nope'] }), /Unknown engine option/);
+  assert.throws(() => engine.update({ defaults: [] }), /defaults must be an object/);
+  assert.throws(() => engine.update({ defaults: { Threads: 0 } }), /between 1 and 1024/);
+  assert.deepEqual(engine.overridable, []);
+});
+
+test('effective settings layer the request over the defaults and leave out engine defaults', (t) => {
+  const engine = settings(t);
+  engine.update({ defaults: { Threads: 2, Hash: 16 }, overridable: ['Skill Level', 'Threads'] });
+  assert.deepEqual(engine.defaults, { Threads: 2 });
+  assert.deepEqual(engine.effective(), { Threads: 2 });
+  assert.deepEqual(engine.effective(engine.overrides({ 'Skill Level': 3, Threads: 1 })), { 'Skill Level': 3 });
+});
+
+test('string options come from the preset and apply to every job', (t) => {
+  const engine = settings(t, { EvalFile: 'big.nnue', Threads: 4, SyzygyPath: '/tb' });
+  assert.deepEqual(engine.effective(), { Threads: 4, EvalFile: 'big.nnue' });
+  assert.equal(engine.describe().options.find((o) => o.name === 'EvalFile').reserved, true);
+});
+
+test('admin updates are saved per engine and read back', (t) => {
+  const engine = settings(t);
+  engine.update({ defaults: { 'Skill Level': 10 }, overridable: ['Threads', 'Threads'] });
+  const saved = JSON.parse(readFileSync(engine.file, 'utf8'));
+  assert.deepEqual(saved, { stockfish: { defaults: { 'Skill Level': 10 }, overridable: ['Threads'] } });
+
+  const reloaded = new EngineSettings(engine.file, 'stockfish', { Threads: 8 });
+  reloaded.learn('Stockfish 16', HANDSHAKE);
+  // The saved defaults replace the preset's
+  assert.deepEqual(reloaded.effective(), { 'Skill Level': 10 });
+  assert.deepEqual(reloaded.overridable, ['Threads']);
+});
+
+test('options are not accepted before a worker has listed them', () => {
+  const engine = new EngineSettings(join(tmpdir(), 'pawnforge-missing', 'engine-options.json'), 'stockfish');
+  assert.throws(() => engine.overrides({ Threads: 2 }), /not known yet/);
+  assert.throws(() => engine.update({ overridable: [] }), /not known yet/);
+  assert.deepEqual(engine.overrides({}), {});
+});
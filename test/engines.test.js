@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chmodSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { EngineRegistry, engineUciName, loadEngineConfigs } from '../lib/engines.js';
+import { JobCancelledError } from '../lib/scheduler.js';
+
+const FALLBACK = { id: 'stockfish', name: 'Stockfish', path: 'stockfish', args: [], workers: 2, options: {} };
+
+function tempDir(t) {
+  const dir = mkdtempSync(join(tmpdir(), 'pawnforge-engines-'));
+  t.after(() => rmSync(dir, { recursive: true }));
+  return dir;
+}
+
+function writeConfig(dir, config) {
+  const file = join(dir, 'engines.json');
+  writeFileSync(file, typeof config === 'string' ? config : JSON.stringify(config));
+  return file;
+}
+
+// An executable stand-in for an engine binary that prints reply once it has read its input
+function fakeEngine(dir, name, reply) {
+  const path = join(dir, name);
+  writeFileSync(path, `#!${process.execPath}\nprocess.stdin.resume();\nprocess.stdin.on('end', () => process.stdout.write(${JSON.stringify(reply)}));\n`);
+  chmodSync(path, 0o755);
+  return path;
+}
+
+test('without an engines file there is just the fallback engine', (t) => {
+  assert.deepEqual(loadEngineConfigs(join(tempDir(t), 'engines.json'), FALLBACK), [FALLBACK]);
+});
+
+test('engines from the file get their defaults, with paths relative to the file', (t) => {
+  const dir = tempDir(t);
+  const file = writeConfig(dir, {
+    engines: [
+      { id: 'sf', name: 'Stockfish 16', path: 'bin/stockfish', workers: 2, options: { Hash: 128 } },
+      { id: 'lc0', path: 'lc0', args: ['--backend=eigen'] },
+      { id: 'abs', path: '/opt/engines/abs' }
+    ]
+  });
+  assert.deepEqual(loadEngineConfigs(file, FALLBACK), [
+    { id: 'sf', name: 'Stockfish 16', path: join(dir, 'bin', 'stockfish'), args: [], workers: 2, options: { Hash: 128 } },
+    { id: 'lc0', name: 'lc0', path: 'lc0', args: ['--backend=eigen'], workers: 1, options: {} },
+    { id: 'abs', name: 'abs', path: '/opt/engines/abs', args: [], workers: 1, options: {} }
+  ]);
+});
+
+// [config, message]
+const BAD_CONFIGS = [
+  ['{ "engines": [', /engines\.json: .*JSON/],
+  [{}, /"engines" must be a non-empty list/],
+  [{ engines: [] }, /"engines" must be a non-empty list/],
+  [{ engines: [{ id: 'has space', path: 'x' }] }, /engine 1 needs an id/],
+  [{ engines: [{ id: 'a', path: 'x' }, { id: 'a', path: 'y' }] }, /duplicate engine id "a"/],
+  [{ engines: [{ id: 'a' }] }, /engine "a" needs a path/],
+  [{ engines: [{ id: 'a', path: '' }] }, /engine "a" needs a path/],
+  [{ engines: [{ id: 'a', path: 7 }] }, /engine "a" needs a path/],
+  [{ engines: [{ id: 'a', path: 'x', args: '--fast' }] }, /args must be a list of strings/],
+  [{ engines: [{ id: 'a', path: 'x', workers: 0 }] }, /workers must be a positive integer/],
+  [{ engines: [{ id: 'a', path: 'x', options: ['Hash'] }] }, /options must be an object/]
+];
+
+test('a broken engines file is refused with the reason', (t) => {
+  const dir = tempDir(t);
+  for (const [config, message] of BAD_CONFIGS) {
+    assert.throws(() => loadEngineConfigs(writeConfig(dir, config), FALLBACK), message, JSON.stringify(config));
+  }
+});
+
+test('an engine is available only if it answers the UCI handshake', (t) => {
+  const dir = tempDir(t);
+  assert.equal(engineUciName(fakeEngine(dir, 'named', 'id name Fakefish 1.0\nid author Nobody\nuciok\n'), []), 'Fakefish 1.0');
+  assert.equal(engineUciName(fakeEngine(dir, 'anonymous', 'uciok\n'), []), 'unknown');
+  assert.equal(engineUciName(fakeEngine(dir, 'silent', 'id name Not UCI\n'), []), null);
+  // A path that does not exist, and a file that cannot be run
+  assert.equal(engineUciName(join(dir, 'missing'), []), null);
+  writeFileSync(join(dir, 'plain'), 'uciok\n');
+  assert.equal(engineUciName(join(dir, 'plain'), []), null);
+});
+
+function registry(configs) {
+  return new EngineRegistry(configs, {
+    settings: (config) => ({ engine: config.uciName ?? null, options: config.options }),
+    pool: (engine) => ({ size: engine.workers, settings: engine.settings })
+  });
+}
+
+const CONFIGS = [
+  { id: 'lc0', name: 'Leela', workers: 1, uciName: 'Lc0 v0.30', available: true, options: {} },
+  { id: 'broken', name: 'Stockfish (missing)', workers: 1, uciName: null, available: false, options: {} },
+  { id: 'sf', name: 'Stockfish', workers: 2, uciName: 'Stockfish 16', available: true, options: { Hash: 64 } }
+];
+
+test('the registry makes each engine its settings and pool, and the first one is the default', () => {
+  const engines = registry(CONFIGS);
+  assert.equal(engines.default.id, 'lc0');
+  assert.equal(engines.get(''), engines.default);
+  assert.equal(engines.get('sf').pool.settings, engines.get('sf').settings);
+  assert.equal(engines.get('nope'), undefined);
+  assert.deepEqual(engines.list(), [
+    { id: 'lc0', name: 'Leela', engine: 'Lc0 v0.30', available: true, default: true, workers: 1 },
+    { id: 'broken', name: 'Stockfish (missing)', engine: null, available: false, default: false, workers: 1 },
+    { id: 'sf', name: 'Stockfish', engine: 'Stockfish 16', available: true, default: false, workers: 2 }
+  ]);
+  // Tablebases need the first Stockfish that is available, not the default engine
+  assert.equal(engines.tablebase.id, 'sf');
+  assert.equal(registry(CONFIGS.slice(0, 2)).tablebase, null);
+});
+
+test('a comparison names a list of registered engine ids', () => {
+  const engines = registry(CONFIGS);
+  assert.deepEqual(engines.select(['lc0', 'sf']).map((e) => e.id), ['lc0', 'sf']);
+  // Falsy ids would mean the default engine to get(); a comparison must name its engines
+  for (const ids of [undefined, 'sf', [], [''], [0], [null], ['sf', 42]]) {
+    assert.throws(() => engines.select(ids), { name: 'ValidationError', message: 'engines must be a list of engine ids' });
+  }
+  assert.throws(() => engines.select(['sf', 'nope', 'gone']), { name: 'ValidationError', message: 'Unknown engines: nope, gone' });
+});
+
+test('a comparison reports unavailable and failing engines in place of their analysis', async () => {
+  const engines = registry(CONFIGS);
+  const analyzed = [];
+  const results = await engines.compare(engines.select(['sf', 'broken', 'lc0']), async (engine) => {
+    analyzed.push(engine.id);
+    if (engine.id === 'lc0') throw new Error('Engine timeout');
+    return { bestEvalCp: 31 };
+  });
+  assert.deepEqual(analyzed, ['sf', 'lc0']);
+  assert.deepEqual(results, [
+    { engine: { id: 'sf', name: 'Stockfish' }, analysis: { bestEvalCp: 31 } },
+    { engine: { id: 'broken', name: 'Stockfish (missing)' }, error: 'Engine broken is not available. Check its path.' },
+    { engine: { id: 'lc0', name: 'Leela' }, error: 'Engine timeout' }
+  ]);
+
+  await assert.rejects(engines.compare(engines.select(['sf']), async () => { throw new JobCancelledError(); }), JobCancelledError);
+});
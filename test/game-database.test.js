@@ -0,0 +1,156 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PgnError } from '../lib/chess.js';
+import { GameDatabase } from '../lib/game-database.js';
+import { JobCancelledError } from '../lib/scheduler.js';
+
+const GAMES = [
+  '[White "A"]\n[Black "B"]\n\n1. e4 e5 2. Nf3 1-0',
+  '[White "C"]\n[Black "D"]\n\n1. d4 d5 1/2-1/2',
+  '[White "E"]\n[Black "F"]\n\n1. c4 *'
+];
+
+// Reviews that wait for the test: finish(gameId) reports every ply and resolves, fail(gameId)
+// rejects, and a cancelled batch rejects them with JobCancelledError
+function fakeReviewer() {
+  const pending = new Map();
+  const review = ({ game, depth, signal, onPly }) => new Promise((resolve, reject) => {
+    pending.set(game.id, {
+      finish() {
+        game.moves.forEach((_, i) => onPly({ ply: i + 1 }, (i + 1) / game.moves.length));
+        resolve({ depth, plies: game.moves.length });
+      },
+      fail: reject
+    });
+    signal.addEventListener('abort', () => reject(new JobCancelledError()), { once: true });
+  });
+  review.started = () => [...pending.keys()];
+  review.finish = async (id) => { pending.get(id).finish(); pending.delete(id); await settled(); };
+  review.fail = async (id, err) => { pending.get(id).fail(err); pending.delete(id); await settled(); };
+  return review;
+}
+
+const settled = () => new Promise((resolve) => setImmediate(resolve));
+const statuses = (db) => db.list().map((g) => g.review.status);
+
+test('a multi-game import skips the games that fail to read and keeps the rest', () => {
+  const db = new GameDatabase(fakeReviewer());
+  const pgn = [GAMES[0], '[White "X"]\n[Black "Y"]\n\n1. e4 e5 2. Ke3 *', GAMES[1], '[Event "No moves"]\n\n*'].join('\n\n');
+  const { games, duplicates, errors } = db.import(pgn);
+  assert.deepEqual(games.map((g) => [g.id, g.headers.White, g.plyCount, g.result]), [[1, 'A', 3, '1-0'], [2, 'C', 2, '1/2-1/2']]);
+  assert.deepEqual(duplicates, []);
+  assert.deepEqual(errors, [{ error: 'Illegal move "Ke3" at line 9, column 13', line: 9, column: 13, headers: { White: 'X', Black: 'Y' } }]);
+  assert.deepEqual(games[0].review, { status: 'none', depth: null, progress: 0, error: null });
+  assert.equal(db.get(1).pgn, GAMES[0]);
+  assert.equal(db.get(3), null);
+
+  // A broken structure stops the whole import
+  assert.throws(() => db.import('1. e4 {never closed'), PgnError);
+  assert.equal(db.games.size, 2);
+});
+
+test('importing a game again lists it as a duplicate instead of adding it', () => {
+  const db = new GameDatabase(fakeReviewer());
+  db.import(GAMES.slice(0, 2).join('\n\n'));
+  const { games, duplicates } = db.import(GAMES.join('\n\n'));
+  assert.deepEqual(games.map((g) => g.id), [3]);
+  assert.deepEqual(duplicates.map((g) => g.id), [1, 2]);
+  assert.equal(db.games.size, 3);
+  // The explorer counts each game once
+  assert.equal(db.explorer.query('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1').games, 3);
+
+  // A file that repeats a game adds it once, and reviewed games are found by their PGN too
+  const g3 = '[White "G"]\n[Black "H"]\n\n1. g3 *';
+  const repeated = db.import([GAMES[2], g3, g3].join('\n\n'));
+  assert.deepEqual([repeated.games.map((g) => g.id), repeated.duplicates.map((g) => g.id)], [[4], [3, 4]]);
+  assert.equal(db.findByPgn(GAMES[1]).id, 2);
+  assert.equal(db.findByPgn('1. a3 *'), null);
+  db.addReviewed({ ...db.games.get(4) }, { depth: 8 });
+  assert.equal(db.games.size, 4);
+  assert.equal(db.get(4).review.status, 'done');
+});
+
+test('a batch moves its games from queued to running to done or failed', async () => {
+  const review = fakeReviewer();
+  const db = new GameDatabase(review, { concurrency: 2 });
+  db.import(GAMES.join('\n\n'));
+  const batch = db.startBatch([], 12);
+  assert.deepEqual(statuses(db), ['running', 'running', 'queued']);
+  assert.deepEqual(review.started(), [1, 2]);
+  assert.deepEqual(batch.active, [1, 2]);
+
+  await review.finish(1);
+  assert.deepEqual(statuses(db), ['done', 'running', 'running']);
+  assert.deepEqual(db.list()[0].review, { status: 'done', depth: 12, progress: 1, error: null });
+  await review.fail(2, new Error('Engine crashed'));
+  await review.finish(3);
+  await batch.done;
+
+  assert.deepEqual(statuses(db), ['done', 'failed', 'done']);
+  assert.equal(db.list()[1].review.error, 'Engine crashed');
+  const status = db.batchStatus(batch);
+  assert.equal(status.status, 'done');
+  assert.deepEqual([status.completedGames, status.failedGames], [2, 1]);
+  // The failed game's plies count as done, so progress still ends at 100%
+  assert.deepEqual([status.completedPlies, status.totalPlies, status.progress], [6, 6, 1]);
+  assert.equal('controller' in status || 'done' in status, false);
+});
+
+test('games already reviewed deep enough are not reviewed again', async () => {
+  const review = fakeReviewer();
+  const db = new GameDatabase(review);
+  db.import(GAMES.slice(0, 2).join('\n\n'));
+  const first = db.startBatch([1], 12);
+  await review.finish(1);
+  await first.done;
+
+  const second = db.startBatch([1, 2], 10);
+  await settled();
+  assert.deepEqual(statuses(db), ['done', 'running']);
+  await review.finish(2);
+  await second.done;
+  assert.deepEqual(review.started(), []);
+  assert.deepEqual([second.completedGames, second.completedPlies], [2, 5]);
+  assert.equal(db.get(1).reviewData.depth, 12);
+
+  // A deeper batch reviews it again
+  const third = db.startBatch([1], 16);
+  assert.deepEqual(statuses(db), ['running', 'done']);
+  await review.finish(1);
+  await third.done;
+  assert.equal(db.get(1).reviewData.depth, 16);
+});
+
+test('cancelling a batch stops its reviews and puts unreviewed games back', async () => {
+  const review = fakeReviewer();
+  const db = new GameDatabase(review);
+  db.import(GAMES.join('\n\n'));
+  const batch = db.startBatch([1, 2, 3], 12);
+  await review.finish(1);
+  assert.deepEqual(statuses(db), ['done', 'running', 'queued']);
+
+  const status = db.cancelBatch(batch.id);
+  assert.equal(status.status, 'cancelled');
+  await batch.done;
+  assert.deepEqual(statuses(db), ['done', 'none', 'none']);
+  assert.deepEqual([batch.completedGames, batch.failedGames, batch.active], [1, 0, []]);
+  assert.ok(batch.finishedAt);
+  // Cancelling again, or an unknown batch
+  assert.equal(db.cancelBatch(batch.id).status, 'cancelled');
+  assert.equal(db.cancelBatch(99), null);
+});
+
+test('a game reviewed on its own joins the database and keeps its deepest review', () => {
+  const db = new GameDatabase(fakeReviewer());
+  db.import(GAMES[0]);
+  const game = db.games.get(1);
+  db.addReviewed({ ...game }, { depth: 14 });
+  db.addReviewed({ ...game }, { depth: 10 });
+  assert.equal(db.games.size, 1);
+  assert.deepEqual(db.list()[0].review, { status: 'done', depth: 14, progress: 0, error: null });
+
+  const { moves, headers, startFen, result } = game;
+  db.addReviewed({ moves, headers, startFen, result, pgn: '1. e4 e5 2. Nf3 1-0' }, { depth: 8 });
+  assert.equal(db.games.size, 2);
+  assert.equal(db.get(2).review.status, 'done');
+});
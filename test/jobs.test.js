@@ -0,0 +1,168 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JobStore } from '../lib/jobs.js';
+import { JobCancelledError } from '../lib/scheduler.js';
+
+// A run that waits for the test to finish or fail it, and ends when its job is cancelled
+function controlledRun() {
+  const run = ({ signal, emit }) => {
+    run.emit = emit;
+    run.signal = signal;
+    return new Promise((resolve, reject) => {
+      run.finish = resolve;
+      run.fail = reject;
+      signal.addEventListener('abort', () => reject(new JobCancelledError()), { once: true });
+    });
+  };
+  return run;
+}
+
+// Collects what follow() writes, decoded back into events
+function fakeResponse() {
+  const res = {
+    events: [],
+    ended: false,
+    closeHandlers: [],
+    write(chunk) { res.events.push(JSON.parse(chunk.replace(/^data: /, ''))); },
+    end() { res.ended = true; },
+    on(name, handler) { if (name === 'close') res.closeHandlers.push(handler); }
+  };
+  return res;
+}
+
+const settled = () => new Promise((resolve) => setImmediate(resolve));
+
+test('a job reports progress and partial results, then its result', async () => {
+  const jobs = new JobStore();
+  const run = controlledRun();
+  const job = jobs.create('all-moves', run);
+  assert.equal(jobs.get(job.id), job);
+  assert.deepEqual(jobs.snapshot(job), {
+    id: job.id, type: 'all-moves', status: 'running', progress: 0, partial: [], result: null, error: null,
+    createdAt: job.createdAt, finishedAt: null
+  });
+
+  run.emit({ type: 'partial', row: { move: 'e4' }, progress: 0.5 });
+  run.emit({ type: 'status', message: 'searching' });
+  assert.equal(job.progress, 0.5);
+  assert.deepEqual(job.partial, [{ move: 'e4' }]);
+
+  run.finish({ rows: 2 });
+  await settled();
+  const snapshot = jobs.snapshot(job);
+  assert.equal(snapshot.status, 'done');
+  assert.equal(snapshot.progress, 1);
+  assert.deepEqual(snapshot.result, { rows: 2 });
+  assert.ok(snapshot.finishedAt >= snapshot.createdAt);
+  assert.equal('events' in snapshot || 'controller' in snapshot, false);
+  assert.deepEqual(job.events.map((e) => e.type), ['partial', 'status', 'final']);
+  assert.deepEqual(jobs.list(), [{
+    id: job.id, type: 'all-moves', status: 'done', progress: 1, error: null, createdAt: job.createdAt,
+    finishedAt: job.finishedAt
+  }]);
+});
+
+test('a run that throws fails its job with the error message', async () => {
+  const jobs = new JobStore();
+  const run = controlledRun();
+  const job = jobs.create('position', run);
+  run.fail(new Error('Engine stockfish is not available'));
+  await settled();
+  assert.equal(job.status, 'failed');
+  assert.equal(job.error, 'Engine stockfish is not available');
+  assert.deepEqual(job.events.at(-1), { type: 'error', error: 'Engine stockfish is not available' });
+});
+
+test('cancelling aborts the run and ends the job once', async () => {
+  const jobs = new JobStore();
+  const run = controlledRun();
+  const job = jobs.create('game', run);
+  jobs.cancel(job);
+  assert.equal(run.signal.aborted, true);
+  assert.equal(job.status, 'cancelled');
+  // The run's JobCancelledError and a second cancel change nothing
+  await settled();
+  jobs.cancel(job);
+  assert.equal(job.status, 'cancelled');
+  assert.equal(job.error, null);
+  assert.deepEqual(job.events, [{ type: 'cancelled' }]);
+
+  // A finished job cannot be cancelled
+  const done = controlledRun();
+  const finished = jobs.create('game', done);
+  done.finish({});
+  await settled();
+  jobs.cancel(finished);
+  assert.equal(finished.status, 'done');
+});
+
+test('following a running job replays its events, streams the rest and ends with it', async () => {
+  const jobs = new JobStore();
+  const run = controlledRun();
+  const job = jobs.create('game', run);
+  run.emit({ type: 'ply', ply: { san: 'e4' }, progress: 0.25 });
+
+  const res = fakeResponse();
+  jobs.follow(job, res);
+  assert.deepEqual(res.events.map((e) => e.type), ['ply']);
+  assert.equal(res.ended, false);
+
+  run.emit({ type: 'ply', ply: { san: 'e5' }, progress: 0.5 });
+  run.finish({ plies: 2 });
+  await settled();
+  assert.deepEqual(res.events.map((e) => e.type), ['ply', 'ply', 'final']);
+  assert.equal(res.ended, true);
+  assert.equal(job.listeners.size, 0);
+});
+
+test('re-attaching to a finished job replays it all and ends at once', async () => {
+  const jobs = new JobStore();
+  const run = controlledRun();
+  const job = jobs.create('game', run);
+  run.emit({ type: 'ply', ply: { san: 'e4' }, progress: 0.5 });
+  run.finish({ plies: 1 });
+  await settled();
+
+  const res = fakeResponse();
+  jobs.follow(job, res);
+  assert.deepEqual(res.events, [
+    { type: 'ply', ply: { san: 'e4' }, progress: 0.5 },
+    { type: 'final', result: { plies: 1 } }
+  ]);
+  assert.equal(res.ended, true);
+  assert.equal(job.listeners.size, 0);
+});
+
+test('a client that disconnects stops listening', () => {
+  const jobs = new JobStore();
+  const job = jobs.create('game', controlledRun());
+  const res = fakeResponse();
+  jobs.follow(job, res);
+  assert.equal(job.listeners.size, 1);
+  res.closeHandlers.forEach((handler) => handler());
+  assert.equal(job.listeners.size, 0);
+  jobs.cancel(job);
+});
+
+test('finished jobs expire after the retention time and beyond the cap', async () => {
+  const jobs = new JobStore({ retentionMs: 1000, maxFinished: 2 });
+  const runs = [controlledRun(), controlledRun(), controlledRun(), controlledRun()];
+  const [old, a, b, running] = runs.map((run) => jobs.create('position', run));
+  runs.slice(0, 3).forEach((run) => run.finish({}));
+  await settled();
+  // Finished longer ago than the retention time
+  old.finishedAt -= 1001;
+
+  jobs.prune();
+  assert.equal(jobs.get(old.id), null);
+  assert.ok(jobs.get(a.id) && jobs.get(b.id) && jobs.get(running.id));
+
+  // Creating a job prunes too; a third finished job pushes out the oldest one
+  const c = controlledRun();
+  const third = jobs.create('position', c);
+  c.finish({});
+  await settled();
+  jobs.create('position', controlledRun());
+  assert.equal(jobs.get(a.id), null);
+  assert.deepEqual([b, third, running].map((j) => jobs.get(j.id) === j), [true, true, true]);
+});
@@ -0,0 +1,171 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { START_FEN } from '../lib/chess.js';
+import { streamSearch } from '../lib/live-search.js';
+import { JobCancelledError, Scheduler } from '../lib/scheduler.js';
+
+// Stands in for a UCI process: `go` queues the scripted info lines, and `stop` makes a
+// search still running answer with bestmove
+class FakeWorker {
+  constructor(pool, script) {
+    this.pool = pool;
+    this.script = script;
+    this.job = null;
+    this.busy = false;
+    this.sent = [];
+    this.lines = [];
+    this.waiting = null;
+    this.searching = false;
+  }
+
+  isAvailable() {
+    return !this.busy;
+  }
+
+  async run(task, { job }) {
+    this.busy = true;
+    this.job = job;
+    try {
+      return await task(this);
+    } finally {
+      this.busy = false;
+      this.job = null;
+      queueMicrotask(() => this.pool.dispatch());
+    }
+  }
+
+  send(line) {
+    this.sent.push(line);
+    if (line.startsWith('go')) {
+      this.searching = true;
+      this.script.forEach((l) => this.emit(l));
+    } else if (line === 'stop' && this.searching) {
+      this.emit('bestmove e2e4');
+    }
+  }
+
+  stop() {
+    this.send('stop');
+  }
+
+  emit(line) {
+    if (line.startsWith('bestmove')) this.searching = false;
+    if (this.waiting) {
+      const resolve = this.waiting;
+      this.waiting = null;
+      resolve(line);
+    } else {
+      this.lines.push(line);
+    }
+  }
+
+  waitFor() {
+    if (this.lines.length) return Promise.resolve(this.lines.shift());
+    return new Promise((resolve) => { this.waiting = resolve; });
+  }
+}
+
+function pool(script = []) {
+  const scheduler = new Scheduler();
+  scheduler.enabled = true;
+  scheduler.engine = { id: 'fake', settings: { effective: () => ({ Threads: 1 }) } };
+  scheduler.workers = [new FakeWorker(scheduler, script)];
+  return scheduler;
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+const TWO_DEPTHS = [
+  'info string NNUE evaluation using nn-1111cefa1111.nnue',
+  'info depth 1 seldepth 1 multipv 1 score cp 30 wdl 80 900 20 nodes 20 nps 20000 time 1 pv e2e4 e7e5',
+  'info depth 1 seldepth 2 multipv 2 score cp 20 nodes 40 nps 40000 time 1 pv d2d4',
+  'info depth 2 currmove e2e4 currmovenumber 1',
+  'info depth 2 seldepth 3 multipv 1 score cp 90 lowerbound nodes 60 nps 30000 time 2 pv e2e4',
+  'info depth 2 seldepth 4 multipv 2 score cp 25 nodes 90 nps 45000 time 2 pv g1f3 g8f6',
+  'info depth 2 seldepth 5 multipv 1 score cp 35 nodes 120 nps 40000 time 3 pv d2d4 d7d5',
+  'bestmove d2d4 ponder d7d5'
+];
+
+test('every completed depth becomes one event with its lines in rank order', async () => {
+  const p = pool(TWO_DEPTHS);
+  const events = [];
+  const result = await streamSearch(p, {
+    fen: START_FEN, limit: { depth: 2 }, multipv: 2, maxMs: 1000, onDepth: (e) => events.push(e)
+  });
+
+  assert.deepEqual(p.workers[0].sent, ['setoption name MultiPV value 2', `position fen ${START_FEN}`, 'go depth 2']);
+  // Depth 1 completes at its second line; depth 2 at its last line, once rank 2 is in
+  // (the lowerbound line is skipped), so it shows rank 1 from depth 1
+  assert.deepEqual(events.map((e) => [e.depth, e.seldepth, e.nodes, e.nps, e.timeMs]), [
+    [1, 2, 40, 40000, 1],
+    [2, 4, 90, 45000, 2]
+  ]);
+  const [first] = events[0].lines;
+  assert.deepEqual(first, {
+    rank: 1, score: { kind: 'cp', value: 30 }, evalCp: 30, wdl: { w: 80, d: 900, l: 20 },
+    pv: 'e2e4 e7e5', uci: 'e2e4', san: 'e4', sanPv: '1. e4 e5'
+  });
+  assert.deepEqual(events[0].lines.map((l) => [l.rank, l.san, l.wdl]), [[1, 'e4', { w: 80, d: 900, l: 20 }], [2, 'd4', null]]);
+  assert.deepEqual(events[1].lines.map((l) => [l.rank, l.sanPv]), [[1, '1. e4 e5'], [2, '1. Nf3 Nf6']]);
+
+  // The last rank 1 arrived after the last completed depth, so only bestmove reports it
+  assert.equal(result.bestmove, 'd2d4');
+  assert.equal(result.depth, 2);
+  assert.deepEqual(result.bestScore, { kind: 'cp', value: 30 });
+  assert.equal(result.engine, 'fake');
+  assert.deepEqual(result.settings, { Threads: 1 });
+  assert.equal(p.workers[0].busy, false);
+});
+
+test('a disconnected client stops the search and frees the worker for the next job', async () => {
+  const p = pool(TWO_DEPTHS.slice(0, 3));
+  const [worker] = p.workers;
+  const client = new AbortController();
+  const events = [];
+  const search = streamSearch(p, {
+    fen: START_FEN, multipv: 2, maxMs: 60000, signal: client.signal, onDepth: (e) => events.push(e)
+  });
+  await tick();
+  assert.equal(worker.sent.at(-1), 'go infinite');
+  assert.equal(events.length, 1);
+  assert.equal(worker.busy, true);
+
+  client.abort();
+  await assert.rejects(search, JobCancelledError);
+  assert.equal(worker.sent.at(-1), 'stop');
+  await tick();
+  assert.equal(worker.busy, false);
+  assert.equal(p.queue.length, 0);
+  assert.equal(await p.schedule(async () => 'next'), 'next');
+});
+
+test('stopSignal and maxMs end the search early with the best move so far', async () => {
+  const p = pool(TWO_DEPTHS.slice(0, 3));
+  const stop = new AbortController();
+  const stopped = streamSearch(p, { fen: START_FEN, multipv: 2, maxMs: 60000, stopSignal: stop.signal });
+  await tick();
+  stop.abort();
+  const result = await stopped;
+  assert.equal(result.bestmove, 'e2e4');
+  assert.equal(result.depth, 1);
+  assert.deepEqual(result.bestScore, { kind: 'cp', value: 30 });
+
+  const timedOut = await streamSearch(p, { fen: START_FEN, multipv: 2, maxMs: 10 });
+  assert.equal(timedOut.bestmove, 'e2e4');
+  assert.equal(p.workers[0].sent.filter((l) => l === 'stop').length, 2);
+});
+
+test('terminal positions and a missing engine never reach a worker', async () => {
+  const p = pool();
+  const mated = await streamSearch(p, { fen: 'rnb1kbnr/pppp1ppp/8/4p3/6Pq/5P2/PPPPP2P/RNBQKBNR w KQkq - 1 3', maxMs: 1000 });
+  assert.deepEqual(mated, {
+    fen: 'rnb1kbnr/pppp1ppp/8/4p3/6Pq/5P2/PPPPP2P/RNBQKBNR w KQkq - 1 3',
+    depth: 0, lines: [], bestScore: { kind: 'mate', value: 0 }, bestmove: null, engine: 'fake', settings: { Threads: 1 }
+  });
+  const stalemate = await streamSearch(p, { fen: '7k/5Q2/6K1/8/8/8/8/8 b - - 0 1', maxMs: 1000 });
+  assert.deepEqual(stalemate.bestScore, { kind: 'cp', value: 0 });
+  assert.deepEqual(p.workers[0].sent, []);
+
+  p.enabled = false;
+  await assert.rejects(streamSearch(p, { fen: START_FEN, maxMs: 1000 }), /Engine fake is not available/);
+});
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { START_FEN } from '../lib/chess.js';
+import { EcoDatabase, replaySans } from '../lib/openings.js';
+
+// A few lines in the layout of the chess-openings a.tsv to e.tsv
+const TABLES = {
+  'c.tsv': [
+    'eco\tname\tpgn',
+    'C20\tKing\'s Pawn Game\t1. e4 e5',
+    'C44\tKing\'s Pawn Game: Tayler Opening\t1. e4 e5 2. Nf3 Nc6 3. Be2',
+    'C60\tRuy Lopez\t1. e4 e5 2. Nf3 Nc6 3. Bb5',
+    'C68\tRuy Lopez: Exchange Variation\t1. e4 e5 2. Nf3 Nc6 3. Bb5 a6 4. Bxc6',
+    'C70\tRuy Lopez: Morphy Defense\t1. e4 e5 2. Nf3 Nc6 3. Bb5 a6',
+    'C78\tRuy Lopez: Morphy Defense, Arkhangelsk Variation\t1. e4 e5 2. Nf3 Nc6 3. Bb5 a6 4. Ba4 Nf6 5. O-O b5 6. Bb3 Bb7',
+    'C99\tBroken line\t1. e4 e5 2. Ke3'
+  ],
+  'd.tsv': [
+    'eco\tname\tpgn',
+    'D06\tQueen\'s Gambit\t1. d4 d5 2. c4',
+    'D30\tQueen\'s Gambit Declined\t1. d4 d5 2. c4 e6',
+    'D37\tQueen\'s Gambit Declined: Three Knights Variation\t1. d4 d5 2. c4 e6 3. Nc3 Nf6',
+    'D37\tQueen\'s Gambit Declined: Three Knights, longer name\t1. d4 d5 2. c4 e6 3. Nc3 Nf6 4. Nf3 Be7 5. Ng1 Bf8'
+  ],
+  'notes.txt': ['not a table']
+};
+
+function loadFixture(t) {
+  const dir = mkdtempSync(join(tmpdir(), 'pawnforge-eco-'));
+  t.after(() => rmSync(dir, { recursive: true }));
+  for (const [file, rows] of Object.entries(TABLES)) writeFileSync(join(dir, file), `${rows.join('\n')}\n`);
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    return new EcoDatabase().load(dir);
+  } finally {
+    console.warn = warn;
+  }
+}
+
+const fensOf = (moves, fen = START_FEN) => replaySans(fen, moves.split(' ')).fens;
+const FALLBACK_BOOK = fileURLToPath(new URL('../data/openings-fallback.tsv', import.meta.url));
+const RUY_LOPEZ = 'r1bqkbnr/pppp1ppp/2n5/1B2p3/4P3/5N2/PPPP1PPP/RNBQK2R b KQkq - 3 3';
+
+test('loads every table, skips rows it cannot replay and counts named positions', (t) => {
+  const eco = loadFixture(t);
+  assert.equal(eco.files, 2);
+  assert.equal(eco.skipped, 1);
+  assert.equal(eco.size, 9);
+  assert.equal(new EcoDatabase().load(join(tmpdir(), 'no-such-openings')).size, 0);
+});
+
+test('the bundled fallback book replays cleanly and names the main lines', () => {
+  const eco = new EcoDatabase().loadFile(FALLBACK_BOOK);
+  assert.equal(eco.files, 1);
+  assert.equal(eco.skipped, 0);
+  assert.ok(eco.size > 50);
+  const qgd = eco.deepestNamed(fensOf('d4 d5 c4 e6 Nc3 Nf6 Bg5'));
+  assert.deepEqual([qgd.opening.eco, qgd.ply], ['D53', 7]);
+  assert.equal(eco.deepestNamed(fensOf('e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6')).opening.name, 'Sicilian Najdorf');
+  // A file loaded after another still replays from the start position
+  eco.loadFile(FALLBACK_BOOK);
+  assert.equal(eco.skipped, 0);
+});
+
+test('a game is named after the deepest named position it reached', (t) => {
+  const eco = loadFixture(t);
+  const morphy = eco.deepestNamed(fensOf('e4 e5 Nf3 Nc6 Bb5 a6'));
+  assert.equal(morphy.opening.name, 'Ruy Lopez: Morphy Defense');
+  assert.equal(morphy.ply, 6);
+
+  // Past the end of the named lines the last name stays
+  const later = eco.deepestNamed(fensOf('e4 e5 Nf3 Nc6 Bb5 a6 Ba4 d6 c3'));
+  assert.deepEqual([later.opening.eco, later.ply], ['C70', 6]);
+  assert.deepEqual(eco.deepestNamed(fensOf('e4 e5 Nf3 Nc6 Bb5 a6 Bxc6')).opening.eco, 'C68');
+  // Unnamed positions between named ones do not reset it
+  assert.equal(eco.deepestNamed(fensOf('e4 e5 Nf3')).opening.name, 'King\'s Pawn Game');
+  assert.deepEqual(eco.deepestNamed(fensOf('a3')), { opening: null, ply: 0 });
+});
+
+test('transpositions reach the same named position by another move order', (t) => {
+  const eco = loadFixture(t);
+  const qgd = eco.deepestNamed(fensOf('d4 Nf6 c4 e6 Nc3 d5'));
+  assert.deepEqual([qgd.opening.eco, qgd.opening.name, qgd.ply], ['D37', 'Queen\'s Gambit Declined: Three Knights Variation', 6]);
+  assert.equal(qgd.opening.pgn, '1. d4 d5 2. c4 e6 3. Nc3 Nf6');
+  // The longer line returning to the same position keeps the shorter line's name
+  assert.equal(eco.deepestNamed(fensOf('d4 d5 c4 e6 Nc3 Nf6 Nf3 Be7 Ng1 Bf8')).ply, 10);
+  assert.equal(eco.deepestNamed(fensOf('d4 d5 c4 e6 Nc3 Nf6 Nf3 Be7 Ng1 Bf8')).opening.name,
+    'Queen\'s Gambit Declined: Three Knights Variation');
+  // Move counters do not matter
+  assert.equal(eco.deepestNamed([RUY_LOPEZ.replace(' 3 3', ' 0 1')]).opening.name, 'Ruy Lopez');
+});
+
+test('continuations list each book move with the first named opening it leads to', (t) => {
+  const eco = loadFixture(t);
+  assert.deepEqual(eco.continuations(fensOf('e4 e5 Nf3 Nc6').at(-1)), [
+    { move: 'Bb5', uci: 'f1b5', eco: 'C60', name: 'Ruy Lopez', lines: 4 },
+    { move: 'Be2', uci: 'f1e2', eco: 'C44', name: 'King\'s Pawn Game: Tayler Opening', lines: 1 }
+  ]);
+  // Unnamed moves lead on to the nearest name along the lines
+  assert.deepEqual(eco.continuations(fensOf('e4 e5').at(-1)).map((c) => [c.move, c.name]), [['Nf3', 'King\'s Pawn Game: Tayler Opening']]);
+  assert.deepEqual(eco.continuations(fensOf('e4 e5 Nf3 Nc6 Bb5 a6 Bxc6').at(-1)), []);
+});
+
+test('continuations and names from a start position given as a FEN', (t) => {
+  const eco = loadFixture(t);
+  const replay = replaySans(RUY_LOPEZ, ['a6']);
+  assert.deepEqual(replay.fens.length, 2);
+  assert.deepEqual(eco.deepestNamed(replay.fens).opening.name, 'Ruy Lopez: Morphy Defense');
+  assert.deepEqual(eco.continuations(replay.fens.at(-1)).map((c) => [c.move, c.eco, c.lines]), [['Bxc6', 'C68', 1], ['Ba4', 'C78', 1]]);
+  assert.deepEqual(eco.continuations(RUY_LOPEZ).map((c) => [c.move, c.name]), [['a6', 'Ruy Lopez: Morphy Defense']]);
+});
+
+test('replaySans reports the first move it cannot play', () => {
+  assert.deepEqual(replaySans(START_FEN, ['e4', 'e5', 'Ke3']), { error: 'Illegal move Ke3 at ply 3' });
+  assert.deepEqual(replaySans(START_FEN, []).fens, [START_FEN]);
+});
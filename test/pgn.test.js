@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PgnError, parsePgn } from '../lib/chess.js';
+
+test('reads headers, moves, comments, NAGs and variations', () => {
+  const [game] = parsePgn('[White "A"]\n[Black "B"]\n\n1. e4 {best} e5 (1... c5 2. Nf3) 2. Nf3!? $1 1-0');
+  assert.deepEqual(game.headers, { White: 'A', Black: 'B' });
+  assert.equal(game.result, '1-0');
+  assert.deepEqual(game.moves.map((m) => m.uci), ['e2e4', 'e7e5', 'g1f3']);
+  assert.deepEqual(game.moves[0].comments, ['best']);
+  assert.deepEqual(game.moves[1].variations[0].map((m) => m.san), ['c5', 'Nf3']);
+  assert.deepEqual(game.moves[2].nags, [5, 1]);
+});
+
+test('starts from the FEN tag', () => {
+  const [game] = parsePgn('[SetUp "1"]\n[FEN "4k3/8/8/8/8/8/4P3/4K3 w - - 0 1"]\n\n1. e4 Kd7 *');
+  assert.equal(game.startFen, '4k3/8/8/8/8/8/4P3/4K3 w - - 0 1');
+  assert.equal(game.moves[1].fen, '8/3k4/8/8/4P3/8/8/4K3 w - - 1 2');
+});
+
+// [pgn, reason, line, column]
+const ERRORS = [
+  ['[Event "x"]\n\n1. e4 e5\n2. Ke3 *', 'Illegal move "Ke3"', 4, 4],
+  ['1. e4 {never closed\n*', 'Unterminated comment', 1, 7],
+  ['1. e4 (1. d4 d5', 'Unterminated variation', 1, 7],
+  ['1. e4 e5 ) *', 'Unmatched ")"', 1, 10],
+  ['1. e4 e5 2. Nf3 % *', 'Unexpected character "%"', 1, 17],
+  ['$1 1. e4 *', 'NAG $1 before any move', 1, 1],
+  ['[FEN "8/8/8/8/8/8/8/8 w - - 0 1"]\n\n*', 'Invalid FEN tag (White must have exactly one king)', 1, 1]
+];
+
+for (const [pgn, reason, line, column] of ERRORS) {
+  test(`PgnError: ${reason}`, () => {
+    assert.throws(() => parsePgn(pgn), (err) => {
+      assert.ok(err instanceof PgnError);
+      assert.deepEqual([err.reason, err.line, err.column], [reason, line, column]);
+      return true;
+    });
+  });
+}
+
+test('onError skips a broken game and resumes at the next one', () => {
+  const errors = [];
+  const games = parsePgn('[Event "1"]\n\n1. e4 Ke7 *\n\n[Event "2"]\n\n1. d4 *', {
+    onError: (err, headers) => errors.push([err.line, err.column, headers.Event])
+  });
+  assert.deepEqual(games.map((g) => g.headers.Event), ['2']);
+  assert.deepEqual(errors, [[3, 7, '1']]);
+});
@@ -0,0 +1,218 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FenError, parseFen } from '../lib/chess.js';
+import { EngineOptionError } from '../lib/engine-options.js';
+import {
+  PlayError, PlayStore, hasMatingMaterial, insufficientMaterial, parseTimeControl, strengthOptions
+} from '../lib/play.js';
+
+// An engine whose pool runs each job at once, on a worker that answers `go` with the
+// next scripted move after thinkMs
+function fakeEngine({ replies = [], thinkMs = 0 } = {}) {
+  const engine = {
+    id: 'fake',
+    name: 'Fake',
+    available: true,
+    sent: [],
+    jobs: [],
+    settings: {
+      options: new Map([['Skill Level', { type: 'spin', min: 0, max: 20 }]]),
+      check(name, value) {
+        const option = this.options.get(name);
+        if (!option) throw new EngineOptionError(`Unknown engine option "${name}"`);
+        if (value < option.min || value > option.max) throw new EngineOptionError(`"${name}" is out of range`);
+        return value;
+      }
+    },
+    pool: {
+      async schedule(task, options) {
+        engine.jobs.push(options);
+        const worker = {
+          send: (line) => engine.sent.push(line),
+          async waitFor() {
+            await new Promise((resolve) => setTimeout(resolve, thinkMs));
+            return `bestmove ${replies.shift() ?? 'none'}`;
+          }
+        };
+        return task(worker);
+      }
+    }
+  };
+  return engine;
+}
+
+function store(engine, options) {
+  return new PlayStore({ get: (id) => (id === undefined || id === engine.id ? engine : null) }, options);
+}
+
+// Pretend the side to move has been thinking for ms longer than it has
+const wait = (game, ms) => { game.turnStartedAt -= ms; };
+
+test('parseTimeControl reads minutes and increment within the limits', () => {
+  assert.equal(parseTimeControl(undefined), null);
+  assert.equal(parseTimeControl(''), null);
+  assert.deepEqual(parseTimeControl(' 5+3 '), { label: '5+3', initialMs: 300000, incrementMs: 3000 });
+  assert.deepEqual(parseTimeControl('0.5+0'), { label: '0.5+0', initialMs: 30000, incrementMs: 0 });
+  assert.throws(() => parseTimeControl('5'), PlayError);
+  assert.throws(() => parseTimeControl('0+5'), /must look like "5\+3"/);
+  assert.throws(() => parseTimeControl('61+0'), /minutes must be at most 60/);
+  assert.throws(() => parseTimeControl('5+10', { maxIncrementSeconds: 5 }), /increment must be at most 5 seconds/);
+});
+
+test('strengthOptions sets Skill Level or UCI_Elo and reports bad values as PlayErrors', () => {
+  const engine = fakeEngine();
+  assert.deepEqual(strengthOptions(engine, null), {});
+  assert.deepEqual(strengthOptions(engine, { skill: 5 }), { 'Skill Level': 5 });
+  assert.throws(() => strengthOptions(engine, { skill: 25 }), PlayError);
+  // This engine has no UCI_Elo
+  assert.throws(() => strengthOptions(engine, { elo: 1500 }), /Unknown engine option "UCI_LimitStrength"/);
+  assert.throws(() => strengthOptions(engine, { level: 3 }), /strength must be/);
+});
+
+test('insufficientMaterial and hasMatingMaterial', () => {
+  const pos = (board) => parseFen(`${board} w - - 0 1`);
+  assert.equal(insufficientMaterial(pos('4k3/8/8/8/8/8/8/4K3')), true);
+  assert.equal(insufficientMaterial(pos('4k3/8/8/8/8/8/8/4KN2')), true);
+  // Bishops on squares of one colour, then of both
+  assert.equal(insufficientMaterial(pos('2b1k3/8/8/8/8/8/8/4KB2')), true);
+  assert.equal(insufficientMaterial(pos('3bk3/8/8/8/8/8/8/4KB2')), false);
+  assert.equal(insufficientMaterial(pos('4k3/8/8/8/8/8/8/3NKN2')), false);
+  assert.equal(insufficientMaterial(pos('4k3/8/8/8/8/8/4P3/4K3')), false);
+
+  assert.equal(hasMatingMaterial(pos('4k3/8/8/8/8/8/8/4KN2'), 'w'), false);
+  assert.equal(hasMatingMaterial(pos('4k3/8/8/8/8/8/8/3NKN2'), 'w'), true);
+  assert.equal(hasMatingMaterial(pos('4k3/8/8/8/8/8/4P3/4K3'), 'w'), true);
+  assert.equal(hasMatingMaterial(pos('4k3/8/8/8/8/8/4P3/4K3'), 'b'), false);
+});
+
+test('the engine replies to each move and a checkmate ends the game', async () => {
+  const engine = fakeEngine({ replies: ['f2f3', 'g2g4'] });
+  const play = store(engine);
+  // The engine has White, so it moves first
+  const game = await play.create({ color: 'black' });
+  assert.deepEqual(game.moves.map((m) => [m.san, m.by]), [['f3', 'engine']]);
+  assert.ok(engine.sent.includes('go movetime 1000'));
+
+  await play.move(game, 'e7e5');
+  await assert.rejects(play.move(game, 'Qh5'), /Illegal move: Qh5/);
+  await play.move(game, 'Qh4#');
+  assert.deepEqual([game.status, game.result, game.termination], ['finished', '0-1', 'checkmate']);
+  assert.equal(engine.jobs.length, 2);
+  await assert.rejects(play.move(game, 'e4'), (err) => err instanceof PlayError && err.status === 409);
+
+  const { pgn } = play.snapshot(game);
+  assert.match(pgn, /\[White "Fake"\]\n\[Black "Player"\]/);
+  assert.match(pgn, /\[Termination "normal"\]/);
+  assert.match(pgn, /\n\n1\. f3 e5 2\. g4 Qh4# 0-1\n$/);
+});
+
+test('create checks the request before starting a game', async () => {
+  const play = store(fakeEngine(), {
+    readFen: (fen) => {
+      if (fen.includes('x')) throw new FenError('Invalid piece placement');
+      return fen;
+    }
+  });
+  await assert.rejects(play.create({ engine: 'other' }), /Unknown engine: other/);
+  await assert.rejects(play.create({ color: 'green' }), /color must be one of/);
+  await assert.rejects(play.create({ fen: 'x w - - 0 1' }), /Invalid piece placement/);
+  // Already checkmated
+  await assert.rejects(play.create({ fen: 'rnb1kbnr/pppp1ppp/8/4p3/6Pq/5P2/PPPPP2P/RNBQKBNR w KQkq - 1 3' }),
+    /already over/);
+  assert.equal(play.games.size, 0);
+});
+
+test('each move is charged to the mover\'s clock, then the increment is added', async () => {
+  const engine = fakeEngine({ replies: ['e7e5'] });
+  const play = store(engine);
+  const game = await play.create({ timeControl: '1+2' });
+  wait(game, 10000);
+  await play.move(game, 'e4');
+
+  const { w, b } = game.clock.remaining;
+  assert.ok(w > 51500 && w <= 52000, `white has ${w} ms`);
+  assert.ok(b > 61500 && b <= 62000, `black has ${b} ms`);
+  assert.match(engine.sent.find((l) => l.startsWith('go')), /^go wtime 5\d{4} btime 60000 winc 2000 binc 2000$/);
+  // The engine's job may run for its whole clock plus the grace period
+  assert.equal(engine.jobs[0].timeoutMs, 60000 + 120000);
+  assert.deepEqual(game.moves.map((m) => m.by), ['player', 'engine']);
+});
+
+test('the player loses on time when their clock is looked at', async () => {
+  const play = store(fakeEngine());
+  const game = await play.create({ timeControl: '1+0' });
+  wait(game, 30000);
+  assert.equal(play.snapshot(play.get(game.id)).clock.running, 'white');
+  assert.ok(play.snapshot(game).clock.white <= 30000);
+
+  wait(game, 30000);
+  play.get(game.id);
+  assert.deepEqual([game.result, game.termination], ['0-1', 'time forfeit']);
+  const { clock, pgn } = play.snapshot(game);
+  assert.deepEqual([clock.white, clock.running], [0, null]);
+  assert.match(pgn, /\[Termination "time forfeit"\]/);
+});
+
+test('a move made after the flag fell is not played', async () => {
+  const play = store(fakeEngine());
+  const game = await play.create({ timeControl: '1+0' });
+  wait(game, 60000);
+  await assert.rejects(play.move(game, 'e4'), /The game is over/);
+  assert.deepEqual(game.moves, []);
+});
+
+test('running out of time against a lone king is a draw', async () => {
+  const play = store(fakeEngine());
+  const game = await play.create({ fen: '4k3/8/8/8/8/8/8/R3K3 w Q - 0 1', timeControl: '1+0' });
+  wait(game, 60000);
+  play.get(game.id);
+  assert.deepEqual([game.result, game.termination], ['1/2-1/2', 'time forfeit, no mating material']);
+});
+
+test('the engine loses on time when its search outlasts its clock', async () => {
+  const play = store(fakeEngine({ replies: ['e7e5'], thinkMs: 80 }));
+  // 0.001 minutes: 60 ms each
+  const game = await play.create({ timeControl: '0.001+0' });
+  await play.move(game, 'e4');
+  assert.deepEqual([game.result, game.termination], ['1-0', 'time forfeit']);
+  assert.equal(game.clock.remaining.b, 0);
+  assert.equal(game.moves.length, 1);
+});
+
+test('an engine failure ends the game', async () => {
+  const play = store(fakeEngine({ replies: ['e2e5'] }));
+  await assert.rejects(play.create({ color: 'black' }), /Fake played an illegal move: e2e5/);
+  const [game] = play.games.values();
+  assert.deepEqual([game.status, game.result, game.termination], ['finished', '*', 'engine failure']);
+});
+
+test('resigning gives the engine the game', async () => {
+  const play = store(fakeEngine());
+  const game = await play.create({});
+  play.resign(game);
+  assert.deepEqual([game.result, game.termination], ['0-1', 'resignation']);
+  assert.throws(() => play.resign(game), /The game is over/);
+});
+
+test('at the cap, finished games make room and games in progress are never dropped', async () => {
+  const play = store(fakeEngine(), { maxGames: 3 });
+  const [first, second, third] = [await play.create({}), await play.create({}), await play.create({})];
+  play.resign(first);
+  const fourth = await play.create({});
+  assert.deepEqual([...play.games.keys()], [second.id, third.id, fourth.id]);
+
+  await assert.rejects(play.create({}), (err) => err instanceof PlayError && err.status === 503);
+  assert.deepEqual([...play.games.keys()], [second.id, third.id, fourth.id]);
+});
+
+test('a game waiting on the engine\'s move keeps its place when a new game is refused', async () => {
+  const engine = fakeEngine({ replies: ['e2e4'], thinkMs: 20 });
+  const play = store(engine, { maxGames: 1 });
+  const thinking = play.create({ color: 'black' });
+  const [game] = play.games.values();
+  assert.equal(game.thinking, true);
+  await assert.rejects(play.create({}), /Too many games in progress/);
+  await thinking;
+  assert.equal(play.get(game.id), game);
+  assert.deepEqual(game.moves.map((m) => m.san), ['e4']);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { START_FEN, applyMove, findSanMove, parseFen } from '../lib/chess.js';
+import { PolyglotBook, polyglotKey } from '../lib/polyglot.js';
+
+function play(sans) {
+  return sans.reduce((pos, san) => applyMove(pos, findSanMove(pos, san).move), parseFen(START_FEN));
+}
+
+// The test positions of the Polyglot book format specification
+const KEYS = [
+  [[], 0x463b96181691fc9cn],
+  [['e4'], 0x823c9b50fd114196n],
+  [['e4', 'd5'], 0x0756b94461c50fb0n],
+  [['e4', 'd5', 'e5'], 0x662fafb965db29d4n],
+  [['e4', 'd5', 'e5', 'f5'], 0x22a48b5a8e47ff78n],
+  [['e4', 'd5', 'e5', 'f5', 'Ke2'], 0x652a607ca3f242c1n],
+  [['e4', 'd5', 'e5', 'f5', 'Ke2', 'Kf7'], 0x00fdd303c946bdd9n],
+  [['a4', 'b5', 'h4', 'b4', 'c4'], 0x3c8123ea7b067637n],
+  [['a4', 'b5', 'h4', 'b4', 'c4', 'bxc3', 'Ra3'], 0x5c3f9b829b279560n]
+];
+
+for (const [sans, key] of KEYS) {
+  test(`Zobrist key after ${sans.join(' ') || 'no moves'}`, () => {
+    assert.equal(polyglotKey(play(sans)), key);
+  });
+}
+
+test('book lookup returns every entry for the key', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'polyglot-'));
+  try {
+    // e2e4 (weight 10) and d2d4 (weight 5) from the initial position, sorted by key
+    const entry = (key, move, weight) => {
+      const b = Buffer.alloc(16);
+      b.writeBigUInt64BE(key);
+      b.writeUInt16BE(move, 8);
+      b.writeUInt16BE(weight, 10);
+      return b;
+    };
+    const square = (name) => name.charCodeAt(0) - 97 + (Number(name[1]) - 1) * 8;
+    const move = (uci) => (square(uci.slice(0, 2)) << 6) | square(uci.slice(2));
+    const start = polyglotKey(parseFen(START_FEN));
+    const path = join(dir, 'test.bin');
+    writeFileSync(path, Buffer.concat([entry(1n, move('a2a3'), 1), entry(start, move('e2e4'), 10), entry(start, move('d2d4'), 5)]));
+    const book = new PolyglotBook(path);
+    assert.equal(book.size, 3);
+    assert.deepEqual(book.lookup(start), [{ uci: 'e2e4', weight: 10, learn: 0 }, { uci: 'd2d4', weight: 5, learn: 0 }]);
+    assert.deepEqual(book.lookup(2n), []);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
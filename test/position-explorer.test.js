@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { START_FEN, parsePgn } from '../lib/chess.js';
+import { EXPLORER_GAME_LINKS, PositionExplorer } from '../lib/position-explorer.js';
+
+const AFTER_E4 = 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1';
+// 1.d4 Nf6 2.c4 e6 and 1.c4 e6 2.d4 Nf6 both get here
+const QGD_FEN = 'rnbqkb1r/pppp1ppp/4pn2/8/2PP4/8/PP2PPPP/RNBQKBNR w KQkq - 0 3';
+
+// Game records the way the game database keeps them
+function explorerOf(pgns) {
+  const games = new Map();
+  const explorer = new PositionExplorer(games);
+  pgns.forEach((pgn, i) => {
+    const game = { id: i + 1, ...parsePgn(pgn)[0], reviewStatus: 'none' };
+    games.set(game.id, game);
+    explorer.add(game);
+  });
+  return explorer;
+}
+
+const headers = (tags) => Object.entries(tags).map(([name, value]) => `[${name} "${value}"]`).join('\n');
+
+const FIXTURE = [
+  `${headers({ White: 'Carlsen', Black: 'Nakamura', WhiteElo: 2850, BlackElo: 2780, Date: '2023.01.05' })}\n\n1. e4 e5 2. Nf3 1-0`,
+  `${headers({ White: 'Nakamura', Black: 'Carlsen', WhiteElo: 2790, BlackElo: 2860, Date: '2023.02.01' })}\n\n1. e4 c5 1/2-1/2`,
+  `${headers({ White: 'Anand', Black: 'Carlsen', WhiteElo: 2750, Date: '2022.06.01' })}\n\n1. d4 Nf6 2. c4 e6 3. Nc3 0-1`,
+  `${headers({ White: 'Carlsen', Black: 'Anand', Date: '2024.03.03' })}\n\n1. e4 e5 *`,
+  `${headers({ White: 'Ding', Black: 'Nepomniachtchi', BlackElo: 2790 })}\n\n1. c4 e6 2. d4 Nf6 3. Nf3 1-0`
+];
+
+const byMove = (result) => Object.fromEntries(result.moves.map((m) => [m.move, m]));
+
+test('results and opponent ratings are from the point of view of the side to move', () => {
+  const result = explorerOf(FIXTURE).query(START_FEN);
+  assert.equal(result.games, 5);
+  assert.deepEqual(result.moves.map((m) => [m.move, m.uci, m.games]), [['e4', 'e2e4', 3], ['d4', 'd2d4', 1], ['c4', 'c2c4', 1]]);
+  const { e4, d4 } = byMove(result);
+  // The unfinished game counts towards games but not towards the percentages
+  assert.deepEqual([e4.win, e4.draw, e4.loss], [50, 50, 0]);
+  assert.equal(e4.avgOpponentRating, 2820);
+  assert.deepEqual([d4.win, d4.draw, d4.loss], [0, 0, 100]);
+  assert.equal(d4.avgOpponentRating, null);
+
+  const { e5, c5 } = byMove(explorerOf(FIXTURE).query(AFTER_E4));
+  assert.deepEqual([e5.games, e5.win, e5.draw, e5.loss], [2, 0, 0, 100]);
+  assert.equal(e5.avgOpponentRating, 2850);
+  assert.deepEqual([c5.win, c5.draw, c5.loss, c5.avgOpponentRating], [0, 100, 0, 2790]);
+});
+
+test('a player filter counts results and ratings from that player\'s side', () => {
+  const explorer = explorerOf(FIXTURE);
+  const { e4, d4 } = byMove(explorer.query(START_FEN, { player: '  CARLSEN ' }));
+  assert.equal(e4.games, 3);
+  assert.deepEqual([e4.win, e4.draw, e4.loss], [50, 50, 0]);
+  // Nakamura as Black in game 1, as White in game 2
+  assert.equal(e4.avgOpponentRating, 2785);
+  // Carlsen won game 3 with Black
+  assert.deepEqual([d4.win, d4.loss, d4.avgOpponentRating], [100, 0, 2750]);
+
+  const black = explorer.query(START_FEN, { player: 'carlsen', color: 'black' });
+  assert.deepEqual(black.moves.map((m) => [m.move, m.games, m.draw]), [['e4', 1, 100], ['d4', 1, 0]]);
+  assert.equal(explorer.query(START_FEN, { player: 'kasparov' }).moves.length, 0);
+});
+
+test('a player on both sides of a game falls back to the side to move', () => {
+  // "a" is in both Nakamura and Carlsen
+  const { e4 } = byMove(explorerOf(FIXTURE.slice(0, 2)).query(START_FEN, { player: 'a' }));
+  assert.deepEqual([e4.win, e4.draw, e4.avgOpponentRating], [50, 50, 2820]);
+});
+
+test('transpositions are found whatever the move order', () => {
+  const result = explorerOf(FIXTURE).query(QGD_FEN.replace(' 0 3', ' 4 9'));
+  assert.equal(result.games, 2);
+  assert.deepEqual(result.moves.map((m) => m.move).sort(), ['Nc3', 'Nf3']);
+});
+
+test('game links are capped, most recent first', () => {
+  const pgns = Array.from({ length: EXPLORER_GAME_LINKS + 2 }, (_, i) => (
+    `${headers({ White: `W${i}`, Black: `B${i}`, Date: `2020.01.${String(i + 1).padStart(2, '0')}`, Event: 'Open' })}\n\n1. e4 1-0`
+  ));
+  const explorer = explorerOf(pgns);
+  explorer.games.get(12).reviewStatus = 'done';
+  const [e4] = explorer.query(START_FEN).moves;
+  assert.equal(e4.games, EXPLORER_GAME_LINKS + 2);
+  assert.equal(e4.gameLinks.length, EXPLORER_GAME_LINKS);
+  assert.deepEqual(e4.gameLinks[0], {
+    id: 12, white: 'W11', black: 'B11', result: '1-0', date: '2020.01.12', event: 'Open', reviewed: true
+  });
+  assert.deepEqual(e4.gameLinks.map((g) => g.id), [12, 11, 10, 9, 8, 7, 6, 5, 4, 3]);
+});
@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { engineMeter } from '../lib/scheduler.js';
+import { RATE_LIMIT_DEFAULTS, RateLimiter, clientIp, loadRateLimits } from '../lib/rate-limit.js';
+
+const LIMITS = { position: { concurrent: 2, engineSecondsPerMinute: 60 } };
+
+function limiter(t, options) {
+  t.mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+  return new RateLimiter(structuredClone(LIMITS), options);
+}
+
+test('engine time is charged to the bucket and refills continuously', (t) => {
+  const rates = limiter(t);
+  const { ticket } = rates.admit('1.2.3.4', 'position');
+  ticket.charge(90000);
+  ticket.release();
+
+  // 30 seconds in debt: refused, and told how long until the bucket is back above zero
+  const refused = rates.admit('1.2.3.4', 'position');
+  assert.equal(refused.ticket, undefined);
+  assert.equal(refused.retryAfter, 30);
+  assert.match(refused.error, /Engine time for position requests used up \(60s per minute\)/);
+
+  t.mock.timers.tick(29000);
+  assert.equal(rates.admit('1.2.3.4', 'position').retryAfter, 1);
+  t.mock.timers.tick(2000);
+  assert.ok(rates.admit('1.2.3.4', 'position').ticket);
+  // Other clients have buckets of their own
+  assert.ok(rates.admit('5.6.7.8', 'position').ticket);
+  assert.equal(rates.rejected.engineTime, 2);
+});
+
+test('a bucket refills no further than its capacity', (t) => {
+  const rates = limiter(t);
+  rates.admit('1.2.3.4', 'position').ticket.release();
+  t.mock.timers.tick(600000);
+  assert.equal(rates.bucket('1.2.3.4', 'position').tokensMs, 60000);
+});
+
+test('at most `concurrent` requests run at once per client and route', (t) => {
+  const rates = limiter(t);
+  const first = rates.admit('1.2.3.4', 'position').ticket;
+  rates.admit('1.2.3.4', 'position');
+  const refused = rates.admit('1.2.3.4', 'position');
+  assert.deepEqual(refused, { retryAfter: 2, error: 'At most 2 position requests at once per client.' });
+
+  // Releasing twice frees one slot, not two
+  first.release();
+  first.release();
+  assert.ok(rates.admit('1.2.3.4', 'position').ticket);
+  assert.equal(rates.admit('1.2.3.4', 'position').ticket, undefined);
+  assert.equal(rates.rejected.concurrent, 2);
+});
+
+test('a zero limit is no limit', (t) => {
+  t.mock.timers.enable({ apis: ['Date'] });
+  const rates = new RateLimiter({ position: { concurrent: 0, engineSecondsPerMinute: 0 } });
+  for (let i = 0; i < 10; i += 1) rates.admit('1.2.3.4', 'position').ticket.charge(600000);
+  assert.ok(rates.admit('1.2.3.4', 'position').ticket);
+});
+
+test('a long pool queue turns everyone away', (t) => {
+  let queued = 0;
+  const rates = limiter(t, { queued: () => queued, maxQueueLength: 5 });
+  queued = 5;
+  assert.deepEqual(rates.admit('1.2.3.4', 'position'),
+    { retryAfter: 2, error: 'The engines are busy; try again shortly.' });
+  queued = 4;
+  assert.ok(rates.admit('1.2.3.4', 'position').ticket);
+  assert.equal(rates.status().queued, 4);
+});
+
+test('meter charges the jobs scheduled by the wrapped call and then releases its slot', async (t) => {
+  const rates = limiter(t);
+  const { ticket } = rates.admit('1.2.3.4', 'position');
+  const run = rates.meter(ticket, async (ms) => {
+    // What the scheduler does for every job it finishes
+    engineMeter.getStore().charge(ms);
+    return 'done';
+  });
+  assert.equal(await run(45000), 'done');
+  const entry = rates.bucket('1.2.3.4', 'position');
+  assert.deepEqual([entry.active, entry.tokensMs], [0, 15000]);
+});
+
+test('idle clients with full buckets are forgotten, and only admins see addresses', (t) => {
+  const rates = limiter(t);
+  rates.admit('1.2.3.4', 'position').ticket.release();
+  const busy = rates.admit('5.6.7.8', 'position').ticket;
+  busy.charge(1000);
+  assert.equal(rates.status().clients, 1);
+  assert.deepEqual(rates.status({ clients: true }).clients,
+    [{ ip: '5.6.7.8', route: 'position', active: 1, engineSecondsLeft: 59 }]);
+  busy.release();
+  t.mock.timers.tick(1000);
+  assert.equal(rates.status().clients, 0);
+});
+
+test('clientIp only trusts as many X-Forwarded-For entries as there are proxies', () => {
+  const req = {
+    socket: { remoteAddress: '10.0.0.2' },
+    headers: { 'x-forwarded-for': '6.6.6.6, 203.0.113.7 , 10.0.0.1' }
+  };
+  assert.equal(clientIp(req), '10.0.0.2');
+  assert.equal(clientIp(req, 0), '10.0.0.2');
+  assert.equal(clientIp(req, 1), '10.0.0.1');
+  assert.equal(clientIp(req, 2), '203.0.113.7');
+  // More proxies configured than entries sent: the connection's address
+  assert.equal(clientIp(req, 4), '10.0.0.2');
+  assert.equal(clientIp({ socket: req.socket, headers: {} }, 1), '10.0.0.2');
+});
+
+test('loadRateLimits applies RATE_LIMITS over the defaults', () => {
+  assert.deepEqual(loadRateLimits(undefined), RATE_LIMIT_DEFAULTS);
+  const limits = loadRateLimits('{"game":{"concurrent":3},"live":{"engineSecondsPerMinute":0}}');
+  assert.deepEqual(limits.game, { concurrent: 3, engineSecondsPerMinute: RATE_LIMIT_DEFAULTS.game.engineSecondsPerMinute });
+  assert.equal(limits.live.engineSecondsPerMinute, 0);
+  assert.equal(RATE_LIMIT_DEFAULTS.game.concurrent, 1);
+
+  assert.throws(() => loadRateLimits('{'), /^Error: RATE_LIMITS: /);
+  assert.throws(() => loadRateLimits('{"nope":{}}'), /unknown route "nope"/);
+  assert.throws(() => loadRateLimits('{"game":{"burst":1}}'), /unknown limit "burst" for game/);
+  assert.throws(() => loadRateLimits('{"game":{"concurrent":-1}}'), /game.concurrent must be a number of 0 or more/);
+});
@@ -0,0 +1,167 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EngineCrashError, JobCancelledError, MAX_PREEMPTIONS, Scheduler } from '../lib/scheduler.js';
+
+// Stands in for an engine process: a run stays open until finish() or stop() ends it,
+// and a stopped search answers with whatever it has, the way bestmove does
+class FakeWorker {
+  constructor(scheduler) {
+    this.scheduler = scheduler;
+    this.job = null;
+    this.busy = false;
+    this.ran = [];
+    this.stops = 0;
+  }
+
+  isAvailable() {
+    return !this.busy;
+  }
+
+  run(task, { job }) {
+    this.busy = true;
+    this.job = job;
+    this.ran.push(task);
+    return new Promise((resolve, reject) => {
+      this.pending = { task, resolve, reject };
+    });
+  }
+
+  finish(value = `${this.pending.task} done`) {
+    this.end((p) => p.resolve(value));
+  }
+
+  crash() {
+    this.end((p) => p.reject(new EngineCrashError('engine exited')));
+  }
+
+  stop() {
+    this.stops += 1;
+    this.end((p) => p.resolve(`${p.task} stopped`));
+  }
+
+  end(settle) {
+    const pending = this.pending;
+    this.pending = null;
+    this.busy = false;
+    this.job = null;
+    settle(pending);
+    // The pool hears about a free worker once the job's promise has settled
+    queueMicrotask(() => queueMicrotask(() => this.scheduler.dispatch()));
+  }
+}
+
+function pool(size) {
+  const scheduler = new Scheduler();
+  scheduler.workers = Array.from({ length: size }, () => new FakeWorker(scheduler));
+  return scheduler;
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+test('queued jobs start by priority, then in the order they came', async () => {
+  const scheduler = pool(1);
+  const [worker] = scheduler.workers;
+  const results = [
+    scheduler.schedule('first', { priority: 'batch' }),
+    scheduler.schedule('batch 1', { priority: 'batch' }),
+    scheduler.schedule('batch 2', { priority: 'batch' }),
+    scheduler.schedule('interactive', { priority: 'interactive' })
+  ];
+  // The interactive job stops the running batch search and goes next
+  await tick();
+  assert.deepEqual(worker.ran, ['first', 'interactive']);
+  for (let i = 0; i < 3; i += 1) {
+    worker.finish();
+    await tick();
+  }
+  worker.finish();
+  // The preempted job keeps its place ahead of the batch work queued after it
+  assert.deepEqual(worker.ran, ['first', 'interactive', 'first', 'batch 1', 'batch 2']);
+  assert.deepEqual(await Promise.all(results),
+    ['first done', 'batch 1 done', 'batch 2 done', 'interactive done']);
+});
+
+test('a preempted batch job is rerun, not answered with its shallow result', async () => {
+  const scheduler = pool(1);
+  const [worker] = scheduler.workers;
+  const batch = scheduler.schedule('batch', { priority: 'batch' });
+  const interactive = scheduler.schedule('interactive');
+  await tick();
+  assert.equal(worker.stops, 1);
+  worker.finish();
+  assert.equal(await interactive, 'interactive done');
+  await tick();
+  worker.finish();
+  assert.equal(await batch, 'batch done');
+  assert.deepEqual(worker.ran, ['batch', 'interactive', 'batch']);
+});
+
+test('batch work never preempts, and one job is preempted at most MAX_PREEMPTIONS times', async () => {
+  const scheduler = pool(1);
+  const [worker] = scheduler.workers;
+  const batch = scheduler.schedule('batch', { priority: 'batch' });
+  scheduler.schedule('other batch', { priority: 'batch' });
+  await tick();
+  assert.equal(worker.stops, 0);
+
+  for (let i = 0; i < MAX_PREEMPTIONS + 1; i += 1) {
+    const interactive = scheduler.schedule(`interactive ${i}`);
+    await tick();
+    if (worker.job?.task === 'batch') break;
+    worker.finish();
+    await interactive;
+    await tick();
+  }
+  assert.equal(worker.stops, MAX_PREEMPTIONS);
+  // Out of preemptions, the batch job keeps its worker and finishes
+  assert.equal(worker.job.task, 'batch');
+  scheduler.schedule('late');
+  await tick();
+  assert.equal(worker.job.task, 'batch');
+  worker.finish();
+  assert.equal(await batch, 'batch done');
+});
+
+test('cancelling drops a queued job and stops a running one', async () => {
+  const scheduler = pool(1);
+  const [worker] = scheduler.workers;
+  const running = new AbortController();
+  const queued = new AbortController();
+  const first = scheduler.schedule('running', { signal: running.signal });
+  const second = scheduler.schedule('queued', { signal: queued.signal });
+  const third = scheduler.schedule('after');
+
+  queued.abort();
+  await assert.rejects(second, JobCancelledError);
+  assert.equal(scheduler.queue.length, 1);
+
+  running.abort();
+  await assert.rejects(first, JobCancelledError);
+  assert.equal(worker.stops, 1);
+  await tick();
+  assert.equal(worker.job.task, 'after');
+  worker.finish();
+  assert.equal(await third, 'after done');
+  assert.equal(scheduler.cancelled, 2);
+  assert.deepEqual(worker.ran, ['running', 'after']);
+});
+
+test('an already aborted signal never queues the job', async () => {
+  const scheduler = pool(1);
+  await assert.rejects(scheduler.schedule('late', { signal: AbortSignal.abort() }), JobCancelledError);
+  assert.deepEqual(scheduler.workers[0].ran, []);
+});
+
+test('a crashed job is retried until it runs out of attempts', async () => {
+  const scheduler = pool(2);
+  const [a, b] = scheduler.workers;
+  const job = scheduler.schedule('flaky', { attempts: 2 });
+  await tick();
+  a.crash();
+  await tick();
+  assert.equal(scheduler.retries, 1);
+  const retriedOn = [a, b].find((w) => w.job);
+  retriedOn.crash();
+  await assert.rejects(job, EngineCrashError);
+  assert.equal(scheduler.retries, 1);
+});
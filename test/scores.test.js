@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classify, deltaBetween, parseScore, scoreForMover, scoreToCp } from '../lib/scores.js';
+
+const cp = (value) => ({ kind: 'cp', value });
+const mate = (value) => ({ kind: 'mate', value });
+
+test('scoreForMover turns the reply position around', () => {
+  assert.deepEqual(scoreForMover(cp(35)), cp(-35));
+  // The opponent mates in 2 after the move: the mover gets mated in 2
+  assert.deepEqual(scoreForMover(mate(2)), mate(-2));
+  // The opponent is mated in 2: counted from before the move, the mover mates in 3
+  assert.deepEqual(scoreForMover(mate(-2)), mate(3));
+  // The move gave checkmate
+  assert.deepEqual(scoreForMover(mate(0)), mate(1));
+});
+
+test('mate scores sort above and below every centipawn score', () => {
+  const scores = [cp(900), mate(12), mate(-3), mate(1), cp(-900), mate(-1), mate(0)];
+  const sorted = scores.sort((a, b) => scoreToCp(b) - scoreToCp(a));
+  assert.deepEqual(sorted, [mate(1), mate(12), cp(900), cp(-900), mate(-3), mate(-1), mate(0)]);
+});
+
+test('mate swings are capped so one of them does not swamp the loss', () => {
+  assert.equal(deltaBetween(mate(2), cp(-50)), 1050);
+  assert.equal(deltaBetween(mate(2), mate(-4)), 2000);
+  assert.equal(deltaBetween(cp(40), cp(60)), 0);
+});
+
+test('classify grades centipawn losses', () => {
+  assert.equal(classify(10).key, 'best');
+  assert.equal(classify(60).key, 'good');
+  assert.equal(classify(120).key, 'inaccuracy');
+  assert.equal(classify(250).key, 'mistake');
+  assert.equal(classify(301).key, 'blunder');
+});
+
+test('classify grades a missed mate by what is left', () => {
+  assert.deepEqual(classify(0, mate(3), cp(1200)), { ...classify(120), note: 'Missed mate in 3' });
+  assert.equal(classify(200, mate(3), cp(800)).key, 'mistake');
+  assert.equal(classify(950, mate(1), cp(50)).key, 'blunder');
+  // A slower mate is still a mate
+  assert.equal(classify(deltaBetween(mate(2), mate(5)), mate(2), mate(5)).key, 'best');
+});
+
+test('classify grades an allowed mate by what was given up', () => {
+  const allowed = classify(1000, cp(150), mate(-2));
+  assert.equal(allowed.key, 'blunder');
+  assert.equal(allowed.note, 'Allowed mate in 2');
+  // Already lost by more than ten pawns: walking into mate is only an inaccuracy
+  assert.equal(classify(0, cp(-1200), mate(-4)).key, 'inaccuracy');
+  // Mated anyway, only sooner
+  assert.equal(classify(0, mate(-6), mate(-2)).key, 'best');
+});
+
+test('parseScore reads cp and mate from an info line', () => {
+  assert.deepEqual(parseScore('info depth 20 multipv 1 score mate -3 nodes 1 pv e2e4'), mate(-3));
+  assert.deepEqual(parseScore('info depth 20 score cp 17 lowerbound pv e2e4'), cp(17));
+  assert.equal(parseScore('info string NNUE enabled'), null);
+});
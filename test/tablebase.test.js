@@ -0,0 +1,166 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { generateMoves, moveToUci, parseFen } from '../lib/chess.js';
+import { TB_SCORE_CP, Tablebases, tablebaseWdl } from '../lib/tablebase.js';
+
+// White: Ka1, Qh1; Black: Ke5
+const KQK_WHITE = '8/8/8/4k3/8/8/8/K6Q w - - 0 1';
+const KQK_BLACK = '8/8/8/4k3/8/8/8/K6Q b - - 37 60';
+
+// A tablebase directory holding (empty) files for the given tables
+function tablesIn(names) {
+  const dir = mkdtempSync(join(tmpdir(), 'pawnforge-tb-'));
+  for (const name of names) writeFileSync(join(dir, name), '');
+  return dir;
+}
+
+// A pool running each probe at once on a worker that scores root moves the way Stockfish
+// does with tables loaded: outcomes maps a move to 'draw' or a signed DTZ, and a win or
+// loss shows as such only while DTZ plus the halfmove clock is at most 100
+function fakePool(outcomes) {
+  const pool = { searches: [], sent: [] };
+  pool.schedule = async (task) => {
+    let fen = null;
+    let pending = [];
+    const worker = {
+      send(line) {
+        pool.sent.push(line);
+        if (line.startsWith('position fen ')) fen = line.slice(13);
+        if (line !== 'go depth 1') return;
+        const clock = Number(fen.split(' ')[4]);
+        pool.searches.push(clock);
+        const moves = generateMoves(parseFen(fen)).map(moveToUci);
+        pending = moves.map((uci, i) => {
+          const dtz = outcomes[uci] ?? 'draw';
+          const decisive = dtz !== 'draw' && Math.abs(dtz) + clock <= 100;
+          const cp = dtz === 'draw' ? 0 : (decisive ? TB_SCORE_CP : 1) * Math.sign(dtz);
+          return `info depth 1 seldepth 1 multipv ${i + 1} score cp ${cp} nodes 1 pv ${uci}`;
+        });
+        pending.push(`bestmove ${moves[0]}`);
+      },
+      async waitFor() {
+        return pending.shift();
+      }
+    };
+    return task(worker);
+  };
+  return pool;
+}
+
+test('tablebaseWdl decodes tablebase scores from the side to move', () => {
+  assert.equal(tablebaseWdl({ kind: 'cp', value: 20000 }), 2);
+  assert.equal(tablebaseWdl({ kind: 'cp', value: 20017 }), 2);
+  assert.equal(tablebaseWdl({ kind: 'cp', value: 3 }), 1);
+  assert.equal(tablebaseWdl({ kind: 'cp', value: 0 }), 0);
+  assert.equal(tablebaseWdl({ kind: 'cp', value: -2 }), -1);
+  assert.equal(tablebaseWdl({ kind: 'cp', value: -20000 }), -2);
+  assert.equal(tablebaseWdl({ kind: 'mate', value: 4 }), 2);
+  assert.equal(tablebaseWdl({ kind: 'mate', value: -1 }), -2);
+});
+
+test('the tables found on disk decide which positions are covered', () => {
+  const dir = tablesIn(['KQvK.rtbw', 'KQvK.rtbz', 'KRvK.rtbw', 'README.txt']);
+  const other = tablesIn(['KRPvKR.rtbw']);
+  try {
+    const tb = new Tablebases([dir, other, join(dir, 'missing')].join(process.platform === 'win32' ? ';' : ':'));
+    assert.deepEqual(tb.status(), { path: tb.path, maxPieces: 5, wdlTables: 3, dtzTables: 1 });
+    assert.deepEqual(tb.covers(parseFen(KQK_WHITE)), { wdl: true, dtz: true });
+    // Named with the stronger side first either way round
+    assert.deepEqual(tb.covers(parseFen('8/8/8/4K3/8/8/8/k6q w - - 0 1')), { wdl: true, dtz: true });
+    assert.deepEqual(tb.covers(parseFen('8/8/8/4k3/8/8/8/K6R w - - 0 1')), { wdl: true, dtz: false });
+    assert.deepEqual(tb.covers(parseFen('8/8/8/4k3/8/8/8/K5BB w - - 0 1')), { wdl: false, dtz: false });
+    assert.deepEqual(tb.covers(parseFen('4k3/8/8/8/8/8/8/R3K3 w Q - 0 1')), { wdl: false, dtz: false });
+    assert.equal(new Tablebases('').enabled, false);
+  } finally {
+    rmSync(dir, { recursive: true });
+    rmSync(other, { recursive: true });
+  }
+});
+
+test('a probe finds each winning move\'s DTZ by searching over the halfmove clock', async () => {
+  const dir = tablesIn(['KQvK.rtbw', 'KQvK.rtbz']);
+  try {
+    const tb = new Tablebases(dir);
+    // h1e4 hangs the queen to Kxe4, h1h5 wins slowly enough that the clock already matters
+    const pool = fakePool({ h1h8: 19, h1a8: 7, h1h2: 100, h1h5: 130, h1e4: 'draw', a1b1: 21 });
+    const result = await tb.probe(pool, KQK_WHITE);
+    const byMove = Object.fromEntries(result.moves.map((m) => [m.uci, m]));
+    assert.deepEqual([result.wdl, result.category, result.dtz], [2, 'win', 7]);
+    assert.deepEqual(result.moves[0], { move: 'Qa8', uci: 'h1a8', wdl: 2, category: 'win', dtz: 7 });
+    assert.equal(byMove.h1h8.dtz, 19);
+    assert.equal(byMove.h1h2.dtz, 100);
+    assert.deepEqual([byMove.h1h5.wdl, byMove.h1h5.category, byMove.h1h5.dtz], [1, 'cursed-win', null]);
+    assert.deepEqual([byMove.h1e4.category, byMove.h1e4.dtz], ['draw', 0]);
+    assert.deepEqual(result.moves.slice(0, 4).map((m) => m.uci), ['h1a8', 'h1h8', 'a1b1', 'h1h2']);
+    // The clock 0 search, then binary searches over 0..100 that share their probes: at
+    // most seven more for each of the four moves that win within 100 plies
+    assert.equal(pool.searches[0], 0);
+    assert.ok(pool.searches.every((clock) => clock >= 0 && clock <= 100));
+    assert.ok(pool.searches.length <= 1 + 4 * 7, `${pool.searches.length} searches`);
+    assert.equal(pool.sent.at(-1), 'setoption name MultiPV value 1');
+  } finally {
+    rmSync(dir, { recursive: true });
+  }
+});
+
+test('losses get a negative DTZ, and the result is read at the position\'s own clock', async () => {
+  const dir = tablesIn(['KQvK.rtbw', 'KQvK.rtbz']);
+  try {
+    const tb = new Tablebases(dir);
+    const moves = generateMoves(parseFen(KQK_BLACK)).map(moveToUci);
+    // Every king move loses; e5d4 in 70 plies, which the clock of 37 makes a blessed loss
+    const outcomes = Object.fromEntries(moves.map((uci, i) => [uci, -(20 + i)]));
+    outcomes.e5d4 = -70;
+    const pool = fakePool(outcomes);
+    const result = await tb.probe(pool, KQK_BLACK);
+    const d4 = result.moves.find((m) => m.uci === 'e5d4');
+    assert.deepEqual([d4.wdl, d4.category, d4.dtz], [-1, 'blessed-loss', -70]);
+    assert.deepEqual([result.wdl, result.category], [-1, 'blessed-loss']);
+    // Among the losses, the longest defence comes first
+    const losses = result.moves.filter((m) => m.wdl === -2);
+    assert.deepEqual(losses.map((m) => m.dtz), [...losses.map((m) => m.dtz)].sort((a, b) => a - b));
+    assert.deepEqual(pool.searches.slice(0, 2), [37, 0]);
+  } finally {
+    rmSync(dir, { recursive: true });
+  }
+});
+
+test('without DTZ tables, or when asked for the result only, one search is enough', async () => {
+  const wdlOnly = tablesIn(['KQvK.rtbw']);
+  const both = tablesIn(['KQvK.rtbw', 'KQvK.rtbz']);
+  try {
+    let pool = fakePool({ h1a8: 7 });
+    const result = await new Tablebases(wdlOnly).probe(pool, KQK_WHITE);
+    assert.deepEqual([result.category, result.dtz, pool.searches.length], ['win', null, 1]);
+
+    pool = fakePool({ h1a8: 7 });
+    await new Tablebases(both).probe(pool, KQK_WHITE, { withDtz: false });
+    assert.equal(pool.searches.length, 1);
+  } finally {
+    rmSync(wdlOnly, { recursive: true });
+    rmSync(both, { recursive: true });
+  }
+});
+
+test('positions outside the tables, bare kings and game-over positions need no search', async () => {
+  const dir = tablesIn(['KQvK.rtbw', 'KQvK.rtbz']);
+  try {
+    const tb = new Tablebases(dir);
+    const pool = fakePool({});
+    assert.equal(await tb.probe(pool, '8/8/8/4k3/8/8/8/K5BB w - - 0 1'), null);
+    assert.equal(await tb.probe(null, KQK_WHITE), null);
+
+    const bare = await tb.probe(pool, '8/8/8/4k3/8/8/8/K7 w - - 0 1');
+    assert.deepEqual([bare.category, bare.dtz, bare.moves.length], ['draw', 0, 3]);
+    const mated = await tb.probe(pool, 'k7/1Q6/1K6/8/8/8/8/8 b - - 0 1');
+    assert.deepEqual(mated, { fen: 'k7/1Q6/1K6/8/8/8/8/8 b - - 0 1', wdl: -2, category: 'loss', dtz: 0, moves: [] });
+    const stalemate = await tb.probe(pool, 'k7/2Q5/1K6/8/8/8/8/8 b - - 0 1');
+    assert.equal(stalemate.category, 'draw');
+    assert.deepEqual(pool.searches, []);
+  } finally {
+    rmSync(dir, { recursive: true });
+  }
+});
@@ -0,0 +1,179 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FenError, START_FEN, parseFen } from '../lib/chess.js';
+import {
+  ValidationError, checkLimit, explorerLimit, readClientFen, readClientFenList, readClientMove, readPositionRequest,
+  searchBounds
+} from '../lib/validation.js';
+
+const BOUNDS = searchBounds();
+
+test('searchBounds takes each maximum from its MAX_* variable when set', () => {
+  assert.deepEqual(BOUNDS, {
+    depth: { min: 1, max: 30 },
+    multipv: { min: 1, max: 10 },
+    movetime: { min: 10, max: 10000 },
+    nodes: { min: 1, max: 10000000 }
+  });
+  const bounds = searchBounds({ MAX_DEPTH: '40', MAX_MULTIPV: 'lots', MAX_MOVETIME_MS: '0' });
+  assert.equal(bounds.depth.max, 40);
+  assert.equal(bounds.multipv.max, 10);
+  assert.equal(bounds.movetime.max, 10000);
+});
+
+// [fen, message]
+const BAD_FENS = [
+  [undefined, 'FEN is required'],
+  ['   ', 'FEN is required'],
+  [`${START_FEN}${' '.repeat(100)}`, 'FEN is longer than 100 characters'],
+  [`${START_FEN}\nquit`, 'FEN may only contain printable ASCII and spaces'],
+  ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq', 'FEN must have 4 to 6 fields'],
+  ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP w KQkq - 0 1', 'Piece placement must have 8 ranks'],
+  ['rnbqkbnr/pppppppp/7/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1', 'Rank 6 does not have 8 squares'],
+  ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNX w KQkq - 0 1', 'Invalid character "X" in piece placement'],
+  ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQ1BNR w kq - 0 1', 'White must have exactly one king'],
+  ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNK w kq - 0 1', 'White must have exactly one king'],
+  ['rnbqkknr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQ - 0 1', 'Black must have exactly one king'],
+  [START_FEN.replace(' w ', ' x '), 'Side to move must be "w" or "b"'],
+  [START_FEN.replace('KQkq', 'KQkqX'), 'Invalid castling field "KQkqX"'],
+  [START_FEN.replace('KQkq -', 'KQkq e5'), 'Invalid en passant square "e5"'],
+  [START_FEN.replace(' 0 1', ' -1 1'), 'Move counters must be numbers'],
+  [START_FEN.replace(' 0 1', ' 0 one'), 'Move counters must be numbers'],
+  // The side not to move is in check
+  ['4k3/8/8/8/8/8/8/4K2r b - - 0 1', 'White is in check but it is not their move'],
+  ['4k3/8/8/8/8/8/4Q3/4K3 w - - 0 1', 'Black is in check but it is not their move'],
+  ['4k3/8/8/8/8/8/8/3K3P w - - 0 1', 'Pawn on h1: pawns cannot stand on the first or last rank'],
+  ['4k3/8/8/8/8/8/8/4K3 w K - 0 1', 'Castling right "K" needs the king on e1 and a rook on h1']
+];
+
+for (const [fen, message] of BAD_FENS) {
+  test(`readClientFen rejects: ${message}`, () => {
+    assert.throws(() => readClientFen(fen), (err) => {
+      assert.ok(err instanceof FenError);
+      assert.equal(err.message, message);
+      return true;
+    });
+  });
+}
+
+test('readClientFen returns the canonical FEN and names other fields in its errors', () => {
+  assert.equal(readClientFen(`  ${START_FEN.replace(' 0 1', '')}  `), START_FEN);
+  // An en passant square no pawn can capture on is dropped
+  assert.equal(
+    readClientFen('rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1'),
+    'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1'
+  );
+  assert.throws(() => readClientFen('8/8/8/8/8/8/8/8 w - - 0 1', 'fenSequence[3]'), {
+    name: 'FenError', message: 'fenSequence[3]: White must have exactly one king'
+  });
+  assert.throws(() => readClientFen(42, 'The PGN FEN header'), { message: 'The PGN FEN header is required' });
+});
+
+test('readClientFenList reads every entry and leaves empty optional ones alone', () => {
+  assert.deepEqual(readClientFenList([], 'fenSequence'), []);
+  assert.deepEqual(readClientFenList(['', START_FEN], 'preMoveSequence', { optional: true }), ['', START_FEN]);
+  assert.throws(() => readClientFenList(['', START_FEN], 'fenSequence'), { message: 'fenSequence[0] is required' });
+  assert.throws(() => readClientFenList(START_FEN, 'fenSequence'), ValidationError);
+  assert.throws(() => readClientFenList([START_FEN, 'garbage'], 'fenSequence'), {
+    name: 'FenError', message: 'fenSequence[1]: FEN must have 4 to 6 fields'
+  });
+});
+
+// [name, value, message]
+const BAD_LIMITS = [
+  ['depth', 0, 'depth must be between 1 and 30'],
+  ['depth', 31, 'depth must be between 1 and 30'],
+  ['depth', 2.5, 'depth must be an integer'],
+  ['depth', '', 'depth must be an integer'],
+  ['depth', 'deep', 'depth must be an integer'],
+  ['depth', null, 'depth must be an integer'],
+  ['multipv', 0, 'multipv must be between 1 and 10'],
+  ['multipv', 11, 'multipv must be between 1 and 10'],
+  ['multipv', '3; quit', 'multipv must be an integer'],
+  ['movetime', 9, 'movetime must be between 10 and 10000'],
+  ['movetime', 10001, 'movetime must be between 10 and 10000'],
+  ['movetime', -100, 'movetime must be between 10 and 10000'],
+  ['nodes', 10000001, 'nodes must be between 1 and 10000000']
+];
+
+for (const [name, value, message] of BAD_LIMITS) {
+  test(`checkLimit rejects ${name} ${JSON.stringify(value)}`, () => {
+    assert.throws(() => checkLimit(BOUNDS, name, value), { name: 'ValidationError', message });
+  });
+}
+
+test('checkLimit accepts integers and integer strings within the bounds', () => {
+  assert.equal(checkLimit(BOUNDS, 'depth', 1), 1);
+  assert.equal(checkLimit(BOUNDS, 'depth', '30'), 30);
+  assert.equal(checkLimit(BOUNDS, 'movetime', 10000), 10000);
+  assert.equal(checkLimit(searchBounds({ MAX_MULTIPV: '20' }), 'multipv', 20), 20);
+  assert.throws(() => checkLimit(BOUNDS, 'multipv', 20, 'settings.multiPv'), {
+    message: 'settings.multiPv must be between 1 and 10'
+  });
+});
+
+// [body, error, message]: position analyses and engine comparisons are read alike
+const BAD_POSITION_REQUESTS = [
+  [{}, FenError, 'FEN is required'],
+  [{ fen: 'garbage', engines: ['sf'] }, FenError, 'FEN must have 4 to 6 fields'],
+  [{ fen: '4k3/8/8/8/8/8/8/4K2r b - - 0 1' }, FenError, 'White is in check but it is not their move'],
+  [{ fen: START_FEN, settings: { depth: 99 } }, ValidationError, 'settings.depth must be between 1 and 30'],
+  [{ fen: START_FEN, settings: { depth: 'max' } }, ValidationError, 'settings.depth must be an integer'],
+  [{ fen: START_FEN, settings: { multiPv: 0 } }, ValidationError, 'settings.multiPv must be between 1 and 10']
+];
+
+for (const [body, error, message] of BAD_POSITION_REQUESTS) {
+  test(`readPositionRequest rejects ${JSON.stringify(body)}`, () => {
+    assert.throws(() => readPositionRequest(BOUNDS, body), (err) => {
+      assert.ok(err instanceof error);
+      assert.equal(err.message, message);
+      return true;
+    });
+  });
+}
+
+test('readPositionRequest fills in the default depth and lines', () => {
+  assert.deepEqual(readPositionRequest(BOUNDS, { fen: START_FEN.replace(' 0 1', ''), engines: ['sf', 'lc0'] }),
+    { fen: START_FEN, depth: 12, multipv: 3 });
+  assert.deepEqual(readPositionRequest(BOUNDS, { fen: START_FEN, settings: { depth: '20', multiPv: 5 } }),
+    { fen: START_FEN, depth: 20, multipv: 5 });
+});
+
+test('explorerLimit bounds the limit of each mode', () => {
+  assert.deepEqual(explorerLimit(BOUNDS), { mode: 'movetime', limit: { movetime: 120 } });
+  assert.deepEqual(explorerLimit(BOUNDS, { mode: 'single', depth: '8' }), { mode: 'single', limit: { depth: 8 } });
+  assert.deepEqual(explorerLimit(BOUNDS, { mode: 'nodes' }), { mode: 'nodes', limit: { nodes: 100000 } });
+  assert.throws(() => explorerLimit(BOUNDS, { mode: 'perft' }), { message: 'Unknown explorer mode: perft' });
+  assert.throws(() => explorerLimit(BOUNDS, { mode: 'depth', depth: 99 }), { message: 'settings.depth must be between 1 and 30' });
+  assert.throws(() => explorerLimit(BOUNDS, { movetimeMs: 5 }), { message: 'settings.movetimeMs must be between 10 and 10000' });
+  assert.throws(() => explorerLimit(BOUNDS, { mode: 'nodes', nodes: 0 }), ValidationError);
+});
+
+// [fen, uci, message]
+const BAD_MOVES = [
+  [START_FEN, 'e2e5', 'Illegal move: e2e5'],
+  [START_FEN, 'e7e5', 'Illegal move: e7e5'],
+  [START_FEN, 'e1g1', 'Illegal move: e1g1'],
+  // A promotion needs its piece, and only a pawn reaching the last rank takes one
+  ['4k3/P7/8/8/8/8/8/4K3 w - - 0 1', 'a7a8', 'Illegal move: a7a8'],
+  [START_FEN, 'e2e4q', 'Illegal move: e2e4q'],
+  // Moving into check, and leaving the king in check
+  ['4k3/8/8/8/8/8/8/r3K3 w - - 0 1', 'e1d1', 'Illegal move: e1d1'],
+  ['4k3/8/8/8/8/8/3P4/r3K3 w - - 0 1', 'd2d3', 'Illegal move: d2d3'],
+  [START_FEN, 'E2E4', '"E2E4" is not a UCI move (e.g. e2e4, e7e8q)'],
+  [START_FEN, 'e2e4\nquit', '"e2e4\nquit" is not a UCI move (e.g. e2e4, e7e8q)'],
+  [START_FEN, 'Nf3', '"Nf3" is not a UCI move (e.g. e2e4, e7e8q)'],
+  [START_FEN, 42, '"42" is not a UCI move (e.g. e2e4, e7e8q)'],
+  [START_FEN, 'e2e4'.repeat(10), `"${'e2e4'.repeat(5)}" is not a UCI move (e.g. e2e4, e7e8q)`]
+];
+
+for (const [fen, uci, message] of BAD_MOVES) {
+  test(`readClientMove rejects ${JSON.stringify(uci)} in ${fen}`, () => {
+    assert.throws(() => readClientMove(parseFen(fen), uci), { name: 'ValidationError', message });
+  });
+}
+
+test('readClientMove returns the legal move it names', () => {
+  assert.deepEqual(readClientMove(parseFen(START_FEN), 'g1f3'), { from: 6, to: 21, piece: 'N', captured: null });
+  assert.equal(readClientMove(parseFen('4k3/P7/8/8/8/8/8/4K3 w - - 0 1'), 'a7a8n').promotion, 'n');
+});
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WS_OP, WsMessageBuffer, readWsFrame, wsAcceptKey, wsFrame } from '../lib/websocket.js';
+
+// A masked client frame, with a 7-bit or 16-bit length; rsv sets reserved bits 1-3
+function clientFrame(opcode, payload, { fin = true, rsv = 0, mask = [1, 2, 3, 4] } = {}) {
+  const length = payload.length < 126 ? [payload.length] : [126, payload.length >> 8, payload.length & 0xff];
+  const masked = Buffer.from(payload.map((byte, i) => byte ^ mask[i & 3]));
+  const first = (fin ? 0x80 : 0) | (rsv << 4) | opcode;
+  return Buffer.concat([Buffer.from([first, 0x80 | length[0], ...length.slice(1), ...mask]), masked]);
+}
+
+const frame = (opcode, text, fin = true) => ({ fin, opcode, payload: Buffer.from(text) });
+
+test('accept key of the RFC 6455 example handshake', () => {
+  assert.equal(wsAcceptKey('dGhlIHNhbXBsZSBub25jZQ=='), 's3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+});
+
+test('reads and unmasks a text frame, leaving the rest of the buffer', () => {
+  const next = Buffer.from([0x89, 0x80, 0, 0, 0, 0]);
+  const read = readWsFrame(Buffer.concat([clientFrame(WS_OP.text, Buffer.from('{"type":"go"}')), next]), 1024);
+  assert.deepEqual(read.frame, { fin: true, opcode: WS_OP.text, payload: Buffer.from('{"type":"go"}') });
+  assert.deepEqual(read.rest, next);
+});
+
+test('reads 16-bit lengths and continuation frames', () => {
+  const payload = Buffer.alloc(300, 'a');
+  const read = readWsFrame(clientFrame(WS_OP.continuation, payload, { fin: false }), 1024);
+  assert.deepEqual(read.frame, { fin: false, opcode: WS_OP.continuation, payload });
+});
+
+test('waits for the rest of a partial frame', () => {
+  const frame = clientFrame(WS_OP.text, Buffer.alloc(300, 'a'));
+  for (const length of [0, 1, 3, 7, frame.length - 1]) assert.equal(readWsFrame(frame.subarray(0, length), 1024), null);
+});
+
+test('refuses unmasked and oversized frames', () => {
+  assert.deepEqual(readWsFrame(Buffer.from([0x81, 0x02, 0x68, 0x69]), 1024), { problem: [1002, 'Unmasked frame'] });
+  const big = Buffer.from([0x81, 0xff, 0, 0, 0, 0, 0, 1, 0, 0]);
+  assert.deepEqual(readWsFrame(big, 1024), { problem: [1009, 'Message too big'] });
+});
+
+test('refuses control frames over 125 bytes', () => {
+  for (const opcode of [WS_OP.close, WS_OP.ping, WS_OP.pong]) {
+    assert.deepEqual(readWsFrame(clientFrame(opcode, Buffer.alloc(126)), 1024),
+      { problem: [1002, 'Control frame too big'] });
+  }
+  const ping = readWsFrame(clientFrame(WS_OP.ping, Buffer.alloc(125, 'p')), 1024);
+  assert.deepEqual(ping.frame, { fin: true, opcode: WS_OP.ping, payload: Buffer.alloc(125, 'p') });
+});
+
+test('refuses fragmented control frames', () => {
+  for (const opcode of [WS_OP.close, WS_OP.ping, WS_OP.pong]) {
+    assert.deepEqual(readWsFrame(clientFrame(opcode, Buffer.from([0x03, 0xe8]), { fin: false }), 1024),
+      { problem: [1002, 'Fragmented control frame'] });
+  }
+});
+
+test('refuses frames with a reserved bit set, as no extension is negotiated', () => {
+  for (const rsv of [0b100, 0b010, 0b001, 0b111]) {
+    for (const opcode of [WS_OP.text, WS_OP.continuation, WS_OP.ping]) {
+      assert.deepEqual(readWsFrame(clientFrame(opcode, Buffer.from('hi'), { rsv }), 1024),
+        { problem: [1002, 'Reserved bits set'] });
+    }
+  }
+});
+
+test('puts fragmented messages back together, with control frames left out', () => {
+  const messages = new WsMessageBuffer(1024);
+  assert.equal(messages.add(frame(WS_OP.text, '{"type":', false)), null);
+  assert.equal(messages.opcode, WS_OP.text);
+  assert.equal(messages.add(frame(WS_OP.continuation, '', false)), null);
+  assert.deepEqual(messages.add(frame(WS_OP.continuation, '"go"}')),
+    { message: { opcode: WS_OP.text, payload: Buffer.from('{"type":"go"}') } });
+  assert.equal(messages.opcode, null);
+  assert.deepEqual(messages.add(frame(WS_OP.binary, 'ab')), { message: { opcode: WS_OP.binary, payload: Buffer.from('ab') } });
+});
+
+test('refuses a continuation frame with no message to continue', () => {
+  const messages = new WsMessageBuffer(1024);
+  const orphan = { problem: [1002, 'Continuation frame without a message'] };
+  assert.deepEqual(messages.add(frame(WS_OP.continuation, 'x')), orphan);
+  assert.deepEqual(messages.add(frame(WS_OP.continuation, 'x', false)), orphan);
+  // Nor once the message it belonged to has ended
+  messages.add(frame(WS_OP.text, 'a'));
+  assert.deepEqual(messages.add(frame(WS_OP.continuation, 'b')), orphan);
+});
+
+test('refuses a text or binary frame while a fragmented message is unfinished', () => {
+  for (const opcode of [WS_OP.text, WS_OP.binary]) {
+    const messages = new WsMessageBuffer(1024);
+    assert.equal(messages.add(frame(WS_OP.text, 'a', false)), null);
+    assert.deepEqual(messages.add(frame(opcode, 'b')), { problem: [1002, 'New message before the last one ended'] });
+  }
+  // An empty first fragment still starts a message
+  const messages = new WsMessageBuffer(1024);
+  messages.add(frame(WS_OP.text, '', false));
+  assert.deepEqual(messages.add(frame(WS_OP.text, 'b')), { problem: [1002, 'New message before the last one ended'] });
+});
+
+test('refuses a fragmented message over the size limit', () => {
+  const messages = new WsMessageBuffer(8);
+  assert.equal(messages.add(frame(WS_OP.text, 'abcd', false)), null);
+  assert.equal(messages.add(frame(WS_OP.continuation, 'efgh', false)), null);
+  assert.deepEqual(messages.add(frame(WS_OP.continuation, 'i')), { problem: [1009, 'Message too big'] });
+});
+
+test('server frames use the shortest length form', () => {
+  assert.deepEqual(wsFrame(WS_OP.text, Buffer.from('hi')), Buffer.from([0x81, 0x02, 0x68, 0x69]));
+  const medium = wsFrame(WS_OP.text, Buffer.alloc(300));
+  assert.deepEqual([...medium.subarray(0, 4)], [0x81, 126, 0x01, 0x2c]);
+  const large = wsFrame(WS_OP.binary, Buffer.alloc(70000));
+  assert.equal(large[1], 127);
+  assert.equal(large.readBigUInt64BE(2), 70000n);
+  assert.deepEqual(wsFrame(WS_OP.close), Buffer.from([0x88, 0x00]));
+});